@@ -5,6 +5,351 @@
 
 define(['fmjs'], function(fmjs) {
 
+  /**
+   * Create a fake Drive v3 server that answers the requests sent by fmjs.GDriveFileManager
+   * objects with base URL http://drive.test through a window.fetch spy. Files are kept by
+   * id and every content update is recorded as a revision. A request is answered by the
+   * server's handler function instead when the handler returns a response.
+   */
+  function createDriveServer() {
+    var FOLDER = 'application/vnd.google-apps.folder';
+    var server = {
+      files: {root: {id: 'root', name: 'My Drive', mimeType: FOLDER, parents: [], trashed: false}},
+      changes: [],
+      sessions: {},
+      requests: [],
+      handler: null
+    };
+    var nextId = 0;
+
+    function respond(status, body, headers) {
+      return Promise.resolve(new Response(body === null ? null : JSON.stringify(body), {status: status,
+        headers: headers}));
+    }
+
+    function isTrashed(file) {
+      return !!file && (file.trashed || file.parents.some(function(id) { return isTrashed(server.files[id]); }));
+    }
+
+    function matches(file, q) {
+      var appProperty = /^(.*) and appProperties has \{ key='(\w+)' and value='(.*)' \}$/.exec(q);
+
+      if (appProperty) {
+        return (file.appProperties || {})[appProperty[2]] === appProperty[3] && matches(file, appProperty[1]);
+      }
+
+      return q.split(' and ').every(function(cond) {
+        var m = /^'(.*)' in parents$/.exec(cond);
+
+        if (m) {
+          return file.parents.indexOf(m[1]) !== -1;
+        }
+        if ((m = /^trashed = (true|false)$/.exec(cond))) {
+          return isTrashed(file) === (m[1] === 'true');
+        }
+        m = /^(\w+) (!?=) '(.*)'$/.exec(cond);
+        return (file[m[1]] === m[3].replace(/\\(.)/g, '$1')) === (m[2] === '=');
+      });
+    }
+
+    function saveFile(file, props, data) {
+      var now = new Date(Date.now() + nextId).toISOString();
+
+      Object.keys(props).forEach(function(key) {
+        file[key] = props[key];
+      });
+      if (!file.id) {
+        file.id = 'id' + (++nextId);
+        file.parents = file.parents || ['root'];
+        file.mimeType = file.mimeType || 'application/octet-stream';
+        file.createdTime = now;
+        file.trashed = false;
+        file.revisions = [];
+        server.files[file.id] = file;
+      }
+      if (data !== undefined) {
+        file.revisions.push(data);
+        file.size = String(data.length);
+      }
+      file.version = String((file.version ? parseInt(file.version, 10) : 0) + 1);
+      file.modifiedTime = now;
+      server.changes.push({fileId: file.id, removed: false, file: JSON.parse(JSON.stringify(file))});
+      return file;
+    }
+
+    function removeFile(id) {
+      Object.keys(server.files).forEach(function(childId) {
+        if (server.files[childId].parents.indexOf(id) !== -1) {
+          removeFile(childId);
+        }
+      });
+      delete server.files[id];
+      server.changes.push({fileId: id, removed: true});
+    }
+
+    function parseMultipart(text) {
+      var parts = text.split(/\r\n--[^\r\n]*/);
+
+      return {metadata: JSON.parse(parts[1].split('\r\n\r\n')[1]),
+        data: parts[2].substring(parts[2].indexOf('\r\n\r\n') + 4)};
+    }
+
+    // answer every part of a batch request with the response of the request it contains
+    function handleBatch(init, text) {
+      var boundary = /boundary=(\S+)/.exec(init.headers['Content-Type'])[1];
+      var parts = text.split('--' + boundary).filter(function(part) { return /Content-ID/.test(part); });
+
+      return Promise.all(parts.map(function(part) {
+        var sections = part.split('\r\n\r\n');
+        var id = /Content-ID: <(\w+)>/.exec(sections[0])[1];
+        var request = /^(\w+) (\S+) HTTP/.exec(sections[1]);
+        var url = new URL('http://drive.test' + request[2]);
+
+        server.requests.push(request[1] + ' ' + url.pathname + url.search);
+        return handle(url, {method: request[1], headers: {}}, (sections[2] || '').trim()).then(function(resp) {
+          return resp.text().then(function(body) {
+            return '--response\r\nContent-Type: application/http\r\nContent-ID: <response-' + id + '>\r\n\r\n' +
+              'HTTP/1.1 ' + resp.status + ' OK\r\n\r\n' + body + '\r\n';
+          });
+        });
+      })).then(function(responses) {
+        return new Response(responses.join('') + '--response--', {status: 200,
+          headers: {'Content-Type': 'multipart/mixed; boundary=response'}});
+      });
+    }
+
+    function handle(url, init, text) {
+      var path = url.pathname;
+      var method = init.method || 'GET';
+      var params = url.searchParams;
+      var m = /^\/(upload\/)?drive\/v3\/files(?:\/([^/]+))?(\/copy)?$/.exec(path);
+      var file = m && m[2] && server.files[decodeURIComponent(m[2])];
+      var session = /^\/upload\/session\/(\d+)$/.exec(path);
+      var range;
+
+      if (path === '/batch/drive/v3') {
+        return handleBatch(init, text);
+      }
+      if (path === '/drive/v3/changes/startPageToken') {
+        return respond(200, {startPageToken: String(server.changes.length)});
+      }
+      if (path === '/drive/v3/changes') {
+        return respond(200, {changes: server.changes.slice(parseInt(params.get('pageToken'), 10)),
+          newStartPageToken: String(server.changes.length)});
+      }
+      if (session) {
+        session = server.sessions[session[1]];
+        range = /bytes (\d+)-\d+\/(\d+|\*)/.exec(init.headers['Content-Range']);
+        if (range && parseInt(range[1], 10) === session.data.length) {
+          session.data += text;
+        }
+        // the size of a streamed file is only known with its last chunk
+        if (range && range[2] !== '*') {
+          session.size = parseInt(range[2], 10);
+        }
+        if (session.data.length === session.size) {
+          return respond(200, session.fileId ? saveFile(server.files[session.fileId], session.metadata, session.data) :
+            saveFile({}, session.metadata, session.data));
+        }
+        return respond(308, null, session.data.length ? {'Range': 'bytes=0-' + (session.data.length - 1)} : {});
+      }
+      if (!m) {
+        return respond(404, {error: {code: 404, message: 'Not found'}});
+      }
+      if (m[2] && !file) {
+        return respond(404, {error: {code: 404, message: 'File not found', errors: [{reason: 'notFound'}]}});
+      }
+      if (m[1] && params.get('uploadType') === 'resumable') {
+        server.sessions[++nextId] = {metadata: JSON.parse(text), fileId: file && file.id, data: '',
+          size: parseInt(init.headers['X-Upload-Content-Length'], 10)};
+        return respond(200, {}, {'Location': 'http://drive.test/upload/session/' + nextId});
+      }
+      if (m[1]) {
+        var multipart = parseMultipart(text);
+
+        return respond(200, saveFile(file || {}, multipart.metadata, multipart.data));
+      }
+      if (m[3]) {
+        var copy = JSON.parse(JSON.stringify(file));
+
+        delete copy.id;
+        return respond(200, saveFile(copy, JSON.parse(text), file.revisions[file.revisions.length - 1]));
+      }
+      if (!file) {
+        if (method === 'POST') {
+          return respond(200, saveFile({}, JSON.parse(text)));
+        }
+        return respond(200, {files: Object.keys(server.files).map(function(id) {
+          return server.files[id];
+        }).filter(function(file) {
+          return file.id !== 'root' && matches(file, params.get('q'));
+        })});
+      }
+      if (method === 'DELETE') {
+        removeFile(file.id);
+        return respond(204, null);
+      }
+      if (method === 'PATCH') {
+        var props = text ? JSON.parse(text) : {};
+
+        if (params.get('removeParents')) {
+          file.parents = file.parents.filter(function(id) { return params.get('removeParents') !== id; });
+        }
+        if (params.get('addParents')) {
+          file.parents.push(params.get('addParents'));
+        }
+        if (props.appProperties) {
+          props.appProperties = Object.keys(props.appProperties).reduce(function(appProperties, key) {
+            if (props.appProperties[key] === null) {
+              delete appProperties[key];
+            } else {
+              appProperties[key] = props.appProperties[key];
+            }
+            return appProperties;
+          }, file.appProperties || {});
+        }
+        if (props.trashed !== undefined) {
+          props.explicitlyTrashed = props.trashed;
+          props.trashedTime = props.trashed ? new Date().toISOString() : undefined;
+        }
+        return respond(200, saveFile(file, props));
+      }
+      if (params.get('alt') === 'media') {
+        return Promise.resolve(new Response(file.revisions[file.revisions.length - 1]));
+      }
+      // the files in a trashed folder are trashed too
+      return respond(200, Object.assign({}, file, {trashed: isTrashed(file)}));
+    }
+
+    spyOn(window, 'fetch').and.callFake(function(url, init) {
+      var body = init.body instanceof Blob ? init.body.text() : Promise.resolve(init.body || '');
+
+      url = new URL(url);
+      server.requests.push((init.method || 'GET') + ' ' + url.pathname + url.search);
+      return body.then(function(text) {
+        return (server.handler && server.handler(url, init, text)) || handle(url, init, text);
+      });
+    });
+
+    return server;
+  }
+
+  /**
+   * Create a fake Dropbox API v2 server that answers the requests sent by
+   * fmjs.DropboxFileManager objects with API URL http://dropbox.test through a fake
+   * window.XMLHttpRequest class. Files are kept by path and only the server's current
+   * access token is accepted. The server's restore method puts back the real class.
+   */
+  function createDropboxServer() {
+    var RealXMLHttpRequest = window.XMLHttpRequest;
+    var server = {
+      files: {},
+      sessions: {},
+      requests: [],
+      accessToken: 'token',
+      refreshToken: 'refresh',
+      restore: function() {
+        window.XMLHttpRequest = RealXMLHttpRequest;
+      }
+    };
+    var nextId = 0;
+
+    function respond(status, body, headers) {
+      return {status: status, body: body === null ? '' : JSON.stringify(body), headers: headers || {}};
+    }
+
+    function notFound() {
+      return respond(409, {error_summary: 'path/not_found/..', error: {'.tag': 'path', path: {'.tag': 'not_found'}}});
+    }
+
+    function saveFile(path, data) {
+      var file = {'.tag': 'file', name: path.substring(path.lastIndexOf('/') + 1), path_display: path,
+        id: 'id:' + (++nextId), rev: 'rev' + nextId, size: data.length, server_modified: new Date().toISOString()};
+
+      server.files[path.toLowerCase()] = {metadata: file, data: data};
+      return respond(200, file);
+    }
+
+    function handle(path, headers, text) {
+      var arg, file, session;
+
+      if (path === '/oauth2/token') {
+        if (/grant_type=refresh_token/.test(text) && text.indexOf('refresh_token=' + server.refreshToken) !== -1) {
+          server.accessToken = 'token' + (++nextId);
+          return respond(200, {access_token: server.accessToken, expires_in: 14400});
+        }
+        return respond(400, {error: 'invalid_grant'});
+      }
+      if (headers.Authorization !== 'Bearer ' + server.accessToken) {
+        return respond(401, {error_summary: 'expired_access_token/..', error: {'.tag': 'expired_access_token'}});
+      }
+      arg = JSON.parse(headers['Dropbox-API-Arg'] || text || 'null');
+      if (path === '/2/files/upload') {
+        return saveFile(arg.path, text);
+      }
+      if (path === '/2/files/upload_session/start') {
+        server.sessions[++nextId] = text;
+        return respond(200, {session_id: String(nextId)});
+      }
+      if (path === '/2/files/upload_session/append_v2' || path === '/2/files/upload_session/finish') {
+        session = server.sessions[arg.cursor.session_id];
+        if (session === undefined || session.length !== arg.cursor.offset) {
+          return respond(409, {error_summary: 'incorrect_offset/..', error: {'.tag': 'incorrect_offset'}});
+        }
+        server.sessions[arg.cursor.session_id] = session + text;
+        if (path === '/2/files/upload_session/finish') {
+          delete server.sessions[arg.cursor.session_id];
+          return saveFile(arg.commit.path, session + text);
+        }
+        return respond(200, null);
+      }
+      file = server.files[arg.path.toLowerCase()];
+      if (path === '/2/files/get_metadata') {
+        return file ? respond(200, file.metadata) : notFound();
+      }
+      if (path === '/2/files/download') {
+        return file ? {status: 200, body: file.data,
+          headers: {'Dropbox-API-Result': JSON.stringify(file.metadata)}} : notFound();
+      }
+      return respond(400, {error_summary: 'unsupported endpoint ' + path});
+    }
+
+    function FakeXMLHttpRequest() {
+      this.headers = {};
+      this.responseType = '';
+    }
+
+    FakeXMLHttpRequest.prototype.open = function(method, url) {
+      this.url = new URL(url);
+    };
+
+    FakeXMLHttpRequest.prototype.setRequestHeader = function(name, value) {
+      this.headers[name] = value;
+    };
+
+    FakeXMLHttpRequest.prototype.send = function(body) {
+      var xhr = this;
+      var text = body instanceof Blob ? body.text() : Promise.resolve(body || '');
+
+      server.requests.push(this.url.pathname);
+      text.then(function(text) {
+        var resp = handle(xhr.url.pathname, xhr.headers, text);
+
+        xhr.status = resp.status;
+        xhr.statusText = String(resp.status);
+        xhr.responseText = resp.body;
+        xhr.response = xhr.responseType === 'blob' ? new Blob([resp.body]) : resp.body;
+        xhr.getResponseHeader = function(name) {
+          return resp.headers[name] === undefined ? null : resp.headers[name];
+        };
+        xhr.onload();
+      });
+    };
+
+    window.XMLHttpRequest = FakeXMLHttpRequest;
+    return server;
+  }
+
   describe('fmjs', function() {
     var driveFm;
 
@@ -23,6 +368,1283 @@ define(['fmjs'], function(fmjs) {
           return user.mail;
         })).toEqual('admin@babymri.org');
     });
+
+    it('fmjs.GDriveFileManager.base64Encode encodes binary data', function () {
+
+      expect(fmjs.GDriveFileManager.base64Encode(new Uint8Array([0, 255, 1, 2, 3]))).toEqual('AP8BAgM=');
+    });
+
+    it('fmjs.GDriveFileManager.buildQuery quotes and escapes the values', function () {
+
+      expect(fmjs.GDriveFileManager.buildQuery('title = ? and ? in parents and trashed = ?',
+        ["O'Brien\\scan", 'root', false])).toEqual("title = 'O\\'Brien\\\\scan' and 'root' in parents and trashed = false");
+    });
+
+    it('driveFm.invalidateCache removes a folder and the paths under it from the path-to-id cache', function () {
+      var fm = new fmjs.GDriveFileManager('clientId', {cacheSize: 3});
+
+      fm.cacheId('/a', true, 'id1');
+      fm.cacheId('/a/b.txt', false, 'id2');
+      fm.cacheId('/ab.txt', false, 'id3');
+      expect(fm.getCachedId('/a/', true)).toEqual('id1');
+      expect(fm.getCachedId('/a', false)).toBeNull();
+
+      fm.invalidateCache('/a');
+      expect(fm.getCachedId('/a', true)).toBeNull();
+      expect(fm.getCachedId('/a/b.txt', false)).toBeNull();
+      expect(fm.getCachedId('/ab.txt', false)).toEqual('id3');
+
+      // the oldest path is dropped when the cache is full
+      fm.cacheId('/c', true, 'id4');
+      fm.cacheId('/d', true, 'id5');
+      fm.cacheId('/e', true, 'id6');
+      expect(fm.getCachedId('/ab.txt', false)).toBeNull();
+      expect(fm.getCachedId('/e', true)).toEqual('id6');
+    });
+
+    it('driveFm only retries transient errors and honors Retry-After', function () {
+      var fm = new fmjs.GDriveFileManager('clientId', {retry: {initialDelay: 100, multiplier: 3, maxDelay: 500}});
+
+      expect(fm.isTransientError({code: 503})).toBe(true);
+      expect(fm.isTransientError({code: 403, errors: [{reason: 'userRateLimitExceeded'}]})).toBe(true);
+      expect(fm.isTransientError({code: 403, errors: [{reason: 'insufficientFilePermissions'}]})).toBe(false);
+      expect(fm.isTransientError({code: 404})).toBe(false);
+      expect(Math.floor(fm.getRetryDelay(2) / 100)).toEqual(3);
+      expect(Math.floor(fm.getRetryDelay(5) / 100)).toEqual(5);
+      expect(fm.getRetryDelay(1, '7')).toEqual(7000);
+    });
+
+    it('driveFm.shareWith shares a folder with every user one after another', function(done) {
+      var fm = new fmjs.GDriveFileManager('clientId', {accessToken: 'token'});
+
+      fm.cacheId('/study', true, 'folderId');
+      spyOn(window, 'fetch').and.callFake(function(url, init) {
+        // the cached folder is checked before it's shared
+        if (!init.body) {
+          return Promise.resolve(new Response('{"id":"folderId","trashed":false}'));
+        }
+        return Promise.resolve(new Response(init.body.replace('{', '{"id":"p1",')));
+      });
+
+      fm.shareWith('/study', ['a@example.org', 'b@example.org'], 'writer', {sendNotificationEmail: false},
+        function(report) {
+          expect(report.permissions.map(function(p) { return p.emailAddress + ' ' + p.role; })).toEqual(
+            ['a@example.org writer', 'b@example.org writer']);
+          expect(report.failed).toEqual([]);
+          expect(window.fetch.calls.count()).toEqual(3);
+          expect(window.fetch.calls.argsFor(2)[0]).toContain('/files/folderId/permissions?');
+          expect(window.fetch.calls.argsFor(2)[0]).toContain('sendNotificationEmail=false');
+          done();
+        });
+    });
+
+    it('driveFm.shareWith reports the users it could not share with and shares with the others', function(done) {
+      var fm = new fmjs.GDriveFileManager('clientId', {accessToken: 'token'});
+
+      fm.cacheId('/study', true, 'folderId');
+      spyOn(window, 'fetch').and.callFake(function(url, init) {
+        if (!init.body) {
+          return Promise.resolve(new Response('{"id":"folderId","trashed":false}'));
+        }
+        if (init.body.indexOf('bad@example.org') !== -1) {
+          return Promise.resolve(new Response('{"error":{"code":400,"message":"Invalid sharing request"}}',
+            {status: 400}));
+        }
+        return Promise.resolve(new Response(init.body.replace('{', '{"id":"p1",')));
+      });
+
+      fm.shareWith('/study', ['a@example.org', 'bad@example.org', 'b@example.org'], 'reader').then(function(report) {
+        expect(report.permissions.map(function(p) { return p.emailAddress; })).toEqual(
+          ['a@example.org', 'b@example.org']);
+        expect(report.failed.length).toEqual(1);
+        expect(report.failed[0].user).toEqual('bad@example.org');
+        expect(report.failed[0].error instanceof fmjs.FileManagerError).toBe(true);
+        done();
+      }).catch(done.fail);
+    });
+
+    it('driveFm sends Drive v3 requests to the configured base URL with the provided token', function(done) {
+      var fm = new fmjs.GDriveFileManager('clientId', {baseUrl: 'http://localhost:9000', tokenProvider:
+        function(interactive, callback) {
+          callback('token');
+        }});
+
+      spyOn(window, 'fetch').and.returnValue(Promise.resolve(new Response(JSON.stringify({
+        user: {permissionId: '1', displayName: 'User', emailAddress: 'user@example.org'}}))));
+
+      fm.getUserInfo(function(user) {
+        var args = window.fetch.calls.mostRecent().args;
+
+        expect(user).toEqual({id: '1', name: 'User', mail: 'user@example.org'});
+        expect(args[0]).toEqual('http://localhost:9000/drive/v3/about?fields=user');
+        expect(args[1].headers.Authorization).toEqual('Bearer token');
+        done();
+      });
+    });
+
+    it('driveFm.requestFileSystem fails with fmjs.NotAuthorizedError when no token is provided', function(done) {
+      var fm = new fmjs.GDriveFileManager('clientId', {tokenProvider: function(interactive, callback) {
+        callback(null);
+      }});
+
+      fm.requestFileSystem(true).then(done.fail, function(err) {
+        expect(err instanceof fmjs.NotAuthorizedError).toBe(true);
+        done();
+      });
+    });
+
+    it('driveFm.createBatch sends the queued operations in a single batch request', function(done) {
+      var fm = new fmjs.GDriveFileManager('clientId', {accessToken: 'token'});
+      var batch = fm.createBatch();
+      var body = '--b\r\nContent-Type: application/http\r\nContent-ID: <response-item1>\r\n\r\n' +
+        'HTTP/1.1 404 Not Found\r\nContent-Type: application/json\r\n\r\n{"error":{"code":404,"message":"x"}}\r\n' +
+        '--b\r\nContent-Type: application/http\r\nContent-ID: <response-item0>\r\n\r\n' +
+        'HTTP/1.1 200 OK\r\nContent-Type: application/json\r\n\r\n{"id":"id1","name":"a.dcm"}\r\n--b--';
+
+      spyOn(window, 'fetch').and.returnValue(Promise.resolve(new Response(body, {headers:
+        {'Content-Type': 'multipart/mixed; boundary=b'}})));
+
+      var results = [batch.getFileMeta('id1'), batch.getFileMeta('id2').catch(function(err) { return err; })];
+
+      batch.execute().then(function() {
+        return Promise.all(results);
+      }).then(function(results) {
+        expect(window.fetch.calls.count()).toEqual(1);
+        expect(window.fetch.calls.mostRecent().args[0]).toEqual('https://www.googleapis.com/batch/drive/v3');
+        expect(results[0].name).toEqual('a.dcm');
+        expect(results[1] instanceof fmjs.NotFoundError).toBe(true);
+        done();
+      }, done.fail);
+    });
+  });
+
+  describe('fmjs.GDriveFileManager', function() {
+    var server;
+    var driveFm;
+
+    beforeEach(function() {
+      server = createDriveServer();
+      driveFm = new fmjs.GDriveFileManager('clientId', {baseUrl: 'http://drive.test', accessToken: 'token',
+        multipartMaxSize: 8, chunkSize: 4, retry: {initialDelay: 0}});
+    });
+
+    it('driveFm.createPath creates the missing folders and driveFm.findEntry finds them', function(done) {
+
+      driveFm.createPath('/a/b').then(function(folderResp) {
+        expect(server.files[folderResp.id].name).toEqual('b');
+        // a new file manager has an empty path-to-id cache
+        driveFm = new fmjs.GDriveFileManager('clientId', {baseUrl: 'http://drive.test', accessToken: 'token'});
+        return driveFm.findEntry('/a/b', true);
+      }).then(function(entryResp) {
+        expect(entryResp.id).toEqual(server.files[entryResp.id].id);
+        expect(Object.keys(server.files).length).toEqual(3);
+        return driveFm.findEntry('/a/c', true);
+      }).then(function(entryResp) {
+        expect(entryResp).toBeNull();
+        done();
+      }, done.fail);
+    });
+
+    it('driveFm.writeFile uploads a small file in a multipart request and updates it in place', function(done) {
+      var fileId;
+
+      driveFm.writeFile('/a/b.txt', new Blob(['abc'])).then(function(fileResp) {
+        fileId = fileResp.id;
+        expect(server.requests).toContain('POST /upload/drive/v3/files?uploadType=multipart&fields=' +
+          encodeURIComponent(driveFm.FILE_FIELDS));
+        return driveFm.writeFile('/a/b.txt', new Blob(['abcd']));
+      }).then(function(fileResp) {
+        // the updated file keeps its id and revision history
+        expect(fileResp.id).toEqual(fileId);
+        expect(server.requests.pop()).toContain('PATCH /upload/drive/v3/files/' + fileId + '?uploadType=multipart');
+        expect(server.files[fileId].revisions).toEqual(['abc', 'abcd']);
+        return driveFm.readFile('/a/b.txt');
+      }).then(function(data) {
+        expect(new TextDecoder().decode(data)).toEqual('abcd');
+        done();
+      }, done.fail);
+    });
+
+    it('driveFm.writeFile uploads a large file in chunks with the resumable upload protocol', function(done) {
+
+      driveFm.writeFile('/a/b.txt', new Blob(['0123456789'])).then(function(fileResp) {
+        var puts = server.requests.filter(function(request) { return request.indexOf('PUT ') === 0; });
+
+        expect(puts.length).toEqual(3);
+        expect(server.files[fileResp.id].revisions).toEqual(['0123456789']);
+        return driveFm.readFile('/a/b.txt');
+      }).then(function(data) {
+        expect(new TextDecoder().decode(data)).toEqual('0123456789');
+        done();
+      }, done.fail);
+    });
+
+    it('driveFm.writeFile resumes a resumable upload from the offset received by the server', function(done) {
+      var failed = false;
+
+      server.handler = function(url, init, text) {
+        // the first chunk fails with a transient error
+        if (text && url.pathname.indexOf('/upload/session/') === 0 && !failed) {
+          failed = true;
+          return Promise.resolve(new Response(null, {status: 503}));
+        }
+      };
+
+      driveFm.writeFile('/a/b.txt', new Blob(['0123456789'])).then(function(fileResp) {
+        var puts = server.requests.filter(function(request) { return request.indexOf('PUT ') === 0; });
+
+        // the failed chunk, the query of the upload offset and the three chunks
+        expect(puts.length).toEqual(5);
+        expect(server.files[fileResp.id].revisions).toEqual(['0123456789']);
+        done();
+      }, done.fail);
+    });
+
+    it('driveFm.writeFile retries the chunks of a resumable upload that make no progress', function(done) {
+      driveFm = new fmjs.GDriveFileManager('clientId', {baseUrl: 'http://drive.test', accessToken: 'token',
+        multipartMaxSize: 8, chunkSize: 4, retry: {initialDelay: 0, maxAttempts: 3}});
+
+      server.handler = function(url, init, text) {
+        // the server never acknowledges the data
+        if (text && url.pathname.indexOf('/upload/session/') === 0) {
+          return Promise.resolve(new Response(null, {status: 308}));
+        }
+      };
+
+      driveFm.writeFile('/a/b.txt', new Blob(['0123456789'])).then(done.fail, function(err) {
+        var chunks = window.fetch.calls.allArgs().filter(function(args) {
+          return args[1].method === 'PUT' && args[1].body;
+        });
+
+        expect(err instanceof fmjs.FileManagerError).toBe(true);
+        expect(chunks.length).toEqual(3);
+        done();
+      });
+    });
+
+    it('driveFm.copyFile, driveFm.moveFile and driveFm.removePath update the files on the server', function(done) {
+      var fileId;
+
+      driveFm.writeFile('/a/b.txt', new Blob(['abc'])).then(function(fileResp) {
+        fileId = fileResp.id;
+        return driveFm.copyFile('/a/b.txt', '/c/b.txt');
+      }).then(function(fileResp) {
+        expect(fileResp.id).not.toEqual(fileId);
+        expect(server.files[fileResp.id].revisions).toEqual(['abc']);
+        return driveFm.moveFile('/a/b.txt', '/d/e.txt');
+      }).then(function(fileResp) {
+        // a moved file keeps its id
+        expect(fileResp.id).toEqual(fileId);
+        expect(server.files[fileId].name).toEqual('e.txt');
+        return driveFm.removePath('/c', {recursive: true});
+      }).then(function() {
+        return Promise.all([driveFm.isFile('/c/b.txt'), driveFm.isFile('/a/b.txt'), driveFm.readFile('/d/e.txt')]);
+      }).then(function(results) {
+        expect(results[0]).toBeNull();
+        expect(results[1]).toBeNull();
+        expect(new TextDecoder().decode(results[2])).toEqual('abc');
+        done();
+      }, done.fail);
+    });
+
+    it('driveFm.isFile gets a file in a cached folder from the search that finds it', function(done) {
+
+      driveFm.writeFile('/a/b.txt', new Blob(['abc'])).then(function(fileResp) {
+        driveFm.invalidateCache('/a/b.txt');
+        server.requests = [];
+        return Promise.all([fileResp, driveFm.isFile('/a/b.txt')]);
+      }).then(function(results) {
+        // the cached folder is checked and searched, the file's metadata isn't requested again
+        expect(server.requests.length).toEqual(2);
+        expect(server.requests[0]).toContain('/files/' + driveFm.getCachedId('/a', true) + '?');
+        expect(results[1].id).toEqual(results[0].id);
+        expect(results[1].version).toEqual(results[0].version);
+        done();
+      }, done.fail);
+    });
+
+    it('driveFm.findEntry and driveFm.isFile do not find a cached file trashed elsewhere', function(done) {
+
+      driveFm.writeFile('/a/b.txt', new Blob(['abc'])).then(function(fileResp) {
+        expect(driveFm.getCachedId('/a/b.txt', false)).toEqual(fileResp.id);
+        server.files[fileResp.id].trashed = true;
+        return driveFm.findEntry('/a/b.txt', false);
+      }).then(function(entryResp) {
+        expect(entryResp).toBeNull();
+        expect(driveFm.getCachedId('/a/b.txt', false)).toBeFalsy();
+        return driveFm.isFile('/a/b.txt');
+      }).then(function(fileResp) {
+        expect(fileResp).toBeNull();
+        done();
+      }, done.fail);
+    });
+
+    it('driveFm.createWriteStream does not upload anything when its signal is aborted already', function(done) {
+      var controller = new AbortController();
+      var signal = controller.signal;
+      var writer;
+
+      controller.abort();
+      spyOn(signal, 'addEventListener').and.callThrough();
+      writer = driveFm.createWriteStream('/s.bin', {signal: signal}).getWriter();
+
+      writer.write(new Uint8Array([1, 2, 3])).then(function() {
+        return writer.close();
+      }).then(done.fail, function(err) {
+        expect(err instanceof fmjs.AbortError).toBe(true);
+        expect(signal.addEventListener).not.toHaveBeenCalled();
+        expect(server.requests.filter(function(request) { return /upload/.test(request); })).toEqual([]);
+        expect(Object.keys(server.files)).toEqual(['root']);
+        done();
+      });
+    });
+
+    it('driveFm.createWriteStream stops listening to its signal when it is closed', function(done) {
+      var signal = new AbortController().signal;
+      var writer;
+
+      spyOn(signal, 'removeEventListener').and.callThrough();
+      writer = driveFm.createWriteStream('/s.bin', {signal: signal}).getWriter();
+
+      writer.write(new Uint8Array([1, 2, 3])).then(function() {
+        return writer.close();
+      }).then(function() {
+        expect(signal.removeEventListener).toHaveBeenCalledWith('abort', jasmine.any(Function));
+        return driveFm.readFile('/s.bin');
+      }).then(function(data) {
+        expect(new Uint8Array(data)).toEqual(new Uint8Array([1, 2, 3]));
+        done();
+      }).catch(done.fail);
+    });
+
+    it('driveFm.createPath and driveFm.findEntry do not use a cached folder trashed elsewhere', function(done) {
+      var folderId;
+      var newFolderId;
+
+      driveFm.writeFile('/a/b.txt', new Blob(['abc'])).then(function() {
+        folderId = driveFm.getCachedId('/a', true);
+        server.files[folderId].trashed = true;
+        driveFm.invalidateCache('/a/b.txt');
+        return driveFm.isFile('/a/b.txt');
+      }).then(function(fileResp) {
+        expect(fileResp).toBeNull();
+        expect(driveFm.getCachedId('/a', true)).toBeFalsy();
+        driveFm.cacheId('/a', true, folderId);
+        return driveFm.writeFile('/a/c.txt', new Blob(['c']));
+      }).then(function(fileResp) {
+        newFolderId = server.files[fileResp.id].parents[0];
+        expect(newFolderId).not.toEqual(folderId);
+        return driveFm.createPath('/a');
+      }).then(function(folderResp) {
+        expect(folderResp.id).toEqual(newFolderId);
+        done();
+      }).catch(done.fail);
+    });
+
+    it('driveFm.watch reports the changes made elsewhere from the changes feed', function(done) {
+      // file manager of another device sharing the same drive
+      var otherFm = new fmjs.GDriveFileManager('clientId', {baseUrl: 'http://drive.test', accessToken: 'token'});
+      var events = [];
+      var watcher;
+
+      driveFm.createPath('/w').then(function() {
+        watcher = driveFm.watch('/w', function(event) {
+          events.push(event.kind + ' ' + event.path + (event.oldPath ? ' ' + event.oldPath : ''));
+
+          if (events.length === 6) {
+            watcher.close();
+            expect(events).toEqual(['created /w/a.txt', 'modified /w/a.txt', 'moved /w/b.txt /w/a.txt',
+              'deleted /w/b.txt', 'created /w/c.txt', 'deleted /w/c.txt']);
+            done();
+          }
+        }, {interval: 5});
+        return watcher.tasks;
+      }).then(function() {
+        return otherFm.writeFile('/w/a.txt', new Blob(['a']));
+      }).then(function() {
+        return otherFm.writeFile('/w/a.txt', new Blob(['ab']));
+      }).then(function() {
+        return otherFm.renameFile('/w/a.txt', 'b.txt');
+      }).then(function() {
+        return otherFm.trash('/w/b.txt');
+      }).then(function() {
+        return otherFm.writeFile('/w/c.txt', new Blob(['c']));
+      }).then(function() {
+        return otherFm.removePath('/w/c.txt');
+      }).catch(done.fail);
+    });
+
+    it('driveFm.watch reports an error event when the position of the changes feed can not be got', function(done) {
+      var watcher;
+
+      server.handler = function(url) {
+        if (url.pathname === '/drive/v3/changes/startPageToken') {
+          return Promise.resolve(new Response(JSON.stringify({error: {code: 400, message: 'Bad request'}}),
+            {status: 400}));
+        }
+      };
+
+      watcher = driveFm.watch('/w', function(event) {
+        watcher.close();
+        expect(event.kind).toEqual('error');
+        expect(event.path).toEqual('/w');
+        expect(event.error instanceof fmjs.FileManagerError).toBe(true);
+        done();
+      }, {interval: 60000});
+    });
+
+    it('driveFm.watch reports an expired page token and recovers with the current one', function(done) {
+      var events = [];
+      var watcher;
+
+      server.handler = function(url) {
+        if (url.pathname === '/drive/v3/changes' && url.searchParams.get('pageToken') === 'expired') {
+          return Promise.resolve(new Response(JSON.stringify({error: {code: 400, message: 'Invalid Value'}}),
+            {status: 400}));
+        }
+      };
+
+      driveFm.createPath('/w').then(function() {
+        watcher = driveFm.watch('/w', function(event) {
+          events.push(event.kind + ' ' + event.path);
+
+          if (event.kind === 'error') {
+            expect(event.error instanceof fmjs.FileManagerError).toBe(true);
+            // the new page token is got right after the failed poll
+            setTimeout(function() {
+              driveFm.writeFile('/w/a.txt', new Blob(['a'])).catch(done.fail);
+            }, 0);
+          } else {
+            watcher.close();
+            expect(events).toEqual(['error /w', 'created /w/a.txt']);
+            done();
+          }
+        }, {interval: 5, pageToken: 'expired'});
+      }).catch(done.fail);
+    });
+
+    it('driveFm.watch reports a failing changes feed once until it works again', function(done) {
+      var events = [];
+      var polls = 0;
+      var watcher;
+
+      server.handler = function(url) {
+        if (url.pathname === '/drive/v3/changes' && ++polls <= 3) {
+          return Promise.resolve(new Response(JSON.stringify({error: {code: 403, message: 'Insufficient scope',
+            errors: [{reason: 'insufficientPermissions'}]}}), {status: 403}));
+        }
+      };
+
+      watcher = driveFm.watch('/w', function(event) {
+        events.push(event.kind);
+      }, {interval: 5, pageToken: '0'});
+
+      setTimeout(function() {
+        watcher.close();
+        expect(polls).toBeGreaterThan(3);
+        expect(events).toEqual(['error']);
+        done();
+      }, 100);
+    });
+
+    it('driveFm resolves a path with duplicate titles according to the duplicateTitles policy', function(done) {
+      var ids = [];
+
+      driveFm.createFile('/dup.txt', 'text/plain').then(function(fileResp) {
+        ids.push(fileResp.id);
+        return driveFm.createFile('/dup.txt', 'text/plain');
+      }).then(function(fileResp) {
+        ids.push(fileResp.id);
+        driveFm.invalidateCache();
+        return driveFm.isFile('/dup.txt');
+      }).then(function(fileResp) {
+        expect(fileResp.id).toEqual(ids[0]);
+        driveFm.invalidateCache();
+        return driveFm.isFile('/dup.txt', {duplicateTitles: 'newest'});
+      }).then(function(fileResp) {
+        expect(fileResp.id).toEqual(ids[1]);
+        driveFm.invalidateCache();
+        return driveFm.isFile('/dup.txt', {duplicateTitles: 'error'});
+      }).then(done.fail, function(err) {
+        expect(err instanceof fmjs.DuplicateEntryError).toBe(true);
+        return driveFm.shareFile('/dup.txt', {value: 'a@example.org', type: 'user', role: 'reader'},
+          {duplicateTitles: 'error'});
+      }).then(done.fail, function(err) {
+        expect(err instanceof fmjs.DuplicateEntryError).toBe(true);
+        done();
+      });
+    });
+
+    it('driveFm.createFile applies the duplicateTitles policy to the parent folders', function(done) {
+      var FOLDER = 'application/vnd.google-apps.folder';
+
+      driveFm.createFile('/d', FOLDER).then(function() {
+        return driveFm.createFile('/d', FOLDER);
+      }).then(function() {
+        driveFm.invalidateCache();
+        return driveFm.createFile('/d/a.txt', 'text/plain', {duplicateTitles: 'error'});
+      }).then(done.fail, function(err) {
+        expect(err instanceof fmjs.DuplicateEntryError).toBe(true);
+        return driveFm.createFile('/d/a.txt', 'text/plain', {duplicateTitles: 'newest'});
+      }).then(function(fileResp) {
+        var folders = Object.keys(server.files).filter(function(id) { return server.files[id].name === 'd'; });
+
+        expect(server.files[fileResp.id].parents).toEqual([folders[1]]);
+        done();
+      }).catch(done.fail);
+    });
+
+    it('driveFm.emptyTrash only deletes the files moved to the trash by driveFm.trash', function(done) {
+      var otherId;
+      var trashedId;
+
+      driveFm.writeFile('/a/b.txt', new Blob(['abc'])).then(function() {
+        return driveFm.writeFile('/a/c.txt', new Blob(['def']));
+      }).then(function(fileResp) {
+        // a file trashed by another application
+        otherId = fileResp.id;
+        server.files[otherId].trashed = true;
+        return driveFm.trash('/a/b.txt');
+      }).then(function(item) {
+        expect(item.path).toEqual('/a/b.txt');
+        trashedId = item.id;
+        return driveFm.emptyTrash();
+      }).then(function() {
+        expect(server.files[trashedId]).toBeUndefined();
+        expect(server.files[otherId].trashed).toBe(true);
+        expect(server.requests).toContain('POST /batch/drive/v3');
+        done();
+      }, done.fail);
+    });
+
+    it('driveFm.createBatch removes the files it deletes from the file manager\'s path cache', function(done) {
+      var batch = driveFm.createBatch();
+      var count;
+
+      driveFm.writeFile('/b.txt', new Blob(['abc'])).then(function(fileResp) {
+        count = driveFm.pathCacheCount;
+        batch.removeFileById(fileResp.id);
+        return batch.execute();
+      }).then(function() {
+        expect(driveFm.getCachedId('/b.txt', false)).toBeFalsy();
+        expect(driveFm.pathCacheCount).toEqual(count - 1);
+        expect(Object.keys(driveFm.pathCache).length).toEqual(driveFm.pathCacheCount);
+        done();
+      }, done.fail);
+    });
+  });
+
+  describe('fmjs.FileManagerError', function() {
+
+    it('fmjs.FileManagerError.getErrorClass maps API errors to error classes', function() {
+      var getErrorClass = fmjs.FileManagerError.getErrorClass;
+
+      expect(getErrorClass({name: 'QuotaExceededError'})).toBe(fmjs.QuotaExceededError);
+      expect(getErrorClass({code: 404, message: 'File not found'})).toBe(fmjs.NotFoundError);
+      expect(getErrorClass({code: 403, errors: [{reason: 'storageQuotaExceeded'}]})).toBe(fmjs.QuotaExceededError);
+      expect(getErrorClass({status: 409, summary: 'path/conflict/folder/'})).toBe(fmjs.AlreadyExistsError);
+      expect(getErrorClass({status: 0})).toBe(fmjs.NetworkError);
+      expect(getErrorClass(null)).toBe(fmjs.FileManagerError);
+    });
+  });
+
+  describe('fmjs.transfer', function() {
+
+    it('fmjs.transfer copies a directory tree and skips unchanged files', function(done) {
+      var srcFm = new fmjs.MemoryFileManager();
+      var dstFm = new fmjs.MemoryFileManager();
+      var progress = [];
+
+      srcFm.writeFile('/a/b.txt', new Blob(['abc'])).then(function() {
+        return srcFm.writeFile('/a/c/d.txt', new Blob(['d']));
+      }).then(function() {
+        return fmjs.transfer(srcFm, '/a', dstFm, '/e', {onProgress: function(loaded, total) {
+          progress.push([loaded, total]);
+        }});
+      }).then(function(report) {
+        expect(report.copied.sort()).toEqual(['/a/b.txt', '/a/c/d.txt']);
+        expect(report.bytesCopied).toEqual(4);
+        expect(progress[progress.length - 1]).toEqual([4, 4]);
+        return fmjs.transfer(srcFm, '/a', dstFm, '/e', {skipUnchanged: 'metadata'});
+      }).then(function(report) {
+        expect(report.copied).toEqual([]);
+        expect(report.skipped.length).toEqual(2);
+        return dstFm.readFile('/e/c/d.txt');
+      }).then(function(data) {
+        expect(data.byteLength).toEqual(1);
+        done();
+      }, done.fail);
+    });
+
+    it('fmjs.transfer reports the progress of every file and compares their data with checksum', function(done) {
+      var srcFm = new fmjs.MemoryFileManager();
+      var dstFm = new fmjs.MemoryFileManager();
+      var writeFile = dstFm.writeFile;
+      var progress = [];
+
+      Promise.all([srcFm.writeFile('/a/b.txt', new Blob(['abc'])), srcFm.writeFile('/a/c.txt', new Blob(['def'])),
+        dstFm.writeFile('/e/b.txt', new Blob(['abc'])), dstFm.writeFile('/e/c.txt', new Blob(['dex']))
+      ]).then(function() {
+        spyOn(dstFm, 'writeFile').and.callFake(function(filePath, data, options, callback) {
+          options.onProgress(1, 3);
+          writeFile.call(dstFm, filePath, data, options, callback);
+        });
+
+        return fmjs.transfer(srcFm, '/a', dstFm, '/e', {skipUnchanged: 'checksum',
+          onFileProgress: function(path, loaded) {
+            progress.push(path + ' ' + loaded);
+          }});
+      }).then(function(report) {
+        expect(report.copied).toEqual(['/a/c.txt']);
+        expect(report.skipped).toEqual(['/a/b.txt']);
+        expect(progress.filter(function(event) { return event.indexOf('/a/c.txt') === 0; })).toEqual(
+          ['/a/c.txt 0', '/a/c.txt 1', '/a/c.txt 3']);
+        return dstFm.readFile('/e/c.txt');
+      }).then(function(data) {
+        expect(new TextDecoder().decode(data)).toEqual('def');
+        done();
+      }, done.fail);
+    });
+  });
+
+  describe('fmjs.OPFSFileManager', function() {
+
+    it('opfsFm.readFile returns the data written by opfsFm.writeFile', function(done) {
+
+      if (!fmjs.OPFSFileManager.isSupported()) {
+        pending('Origin Private File System not supported by this browser');
+      }
+
+      var opfsFm = new fmjs.OPFSFileManager();
+      var data = new Uint8Array([1, 2, 3]).buffer;
+
+      opfsFm.writeFile('/fmjs_spec/a/b.bin', data, function(fileObj) {
+        expect(fileObj.size).toEqual(3);
+
+        opfsFm.readFile('/fmjs_spec/a/b.bin', function(result) {
+          expect(new Uint8Array(result)).toEqual(new Uint8Array([1, 2, 3]));
+          done();
+        });
+      });
+    });
+
+    it('opfsFm.writeFile aborts the writable stream when the write fails', function(done) {
+      var opfsFm = new fmjs.OPFSFileManager();
+      var writable = jasmine.createSpyObj('writable', ['write', 'close', 'abort']);
+
+      writable.write.and.returnValue(Promise.reject(new DOMException('Quota exceeded', 'QuotaExceededError')));
+      writable.abort.and.returnValue(Promise.resolve());
+      spyOn(opfsFm, 'getFileHandle').and.returnValue(Promise.resolve({createWritable: function() {
+        return Promise.resolve(writable);
+      }}));
+
+      opfsFm.writeFile('/a.bin', new Uint8Array([1, 2, 3]).buffer).then(done.fail, function(err) {
+        expect(writable.abort).toHaveBeenCalled();
+        expect(writable.close).not.toHaveBeenCalled();
+        expect(err instanceof fmjs.QuotaExceededError).toBe(true);
+        done();
+      });
+    });
+
+    it('opfsFm.writeFile removes the file it has created when the write fails', function(done) {
+      var opfsFm = new fmjs.OPFSFileManager();
+      var writable = jasmine.createSpyObj('writable', ['write', 'close', 'abort']);
+      var dirHandle = jasmine.createSpyObj('dirHandle', ['removeEntry']);
+
+      writable.write.and.returnValue(Promise.reject(new DOMException('Quota exceeded', 'QuotaExceededError')));
+      writable.abort.and.returnValue(Promise.resolve());
+      dirHandle.removeEntry.and.returnValue(Promise.resolve());
+      spyOn(opfsFm, 'getFileHandle').and.callFake(function(path, create) {
+        if (!create) {
+          return Promise.reject(new DOMException('Not found', 'NotFoundError'));
+        }
+        return Promise.resolve({createWritable: function() {
+          return Promise.resolve(writable);
+        }});
+      });
+      spyOn(opfsFm, 'getDirectoryHandle').and.returnValue(Promise.resolve(dirHandle));
+      spyOn(opfsFm, 'pathChanged');
+
+      opfsFm.writeFile('/a/b.bin', new Uint8Array([1, 2, 3]).buffer).then(done.fail, function(err) {
+        expect(err instanceof fmjs.QuotaExceededError).toBe(true);
+        expect(opfsFm.getDirectoryHandle).toHaveBeenCalledWith('/a', false);
+        expect(dirHandle.removeEntry).toHaveBeenCalledWith('b.bin');
+        expect(opfsFm.pathChanged).not.toHaveBeenCalled();
+        done();
+      });
+    });
+  });
+
+  describe('fmjs.IndexedDBFileManager', function() {
+    var idbFm;
+
+    beforeEach(function() {
+      idbFm = new fmjs.IndexedDBFileManager('fmjs_spec');
+    });
+
+    afterEach(function(done) {
+      if (idbFm.db) {
+        idbFm.db.close();
+      }
+      window.indexedDB.deleteDatabase('fmjs_spec').onsuccess = function() {
+        done();
+      };
+    });
+
+    it('idbFm.readFile returns the data written by idbFm.writeFile', function(done) {
+      var data = new Uint8Array([1, 2, 3]).buffer;
+
+      idbFm.writeFile('/a/b/c.bin', data, function(fileObj) {
+        expect(fileObj.size).toEqual(3);
+
+        idbFm.readFile('/a/b/c.bin', function(result) {
+          expect(new Uint8Array(result)).toEqual(new Uint8Array([1, 2, 3]));
+          done();
+        });
+      });
+    });
+
+    it('idbFm.isFile returns the file metadata', function(done) {
+
+      idbFm.writeFile('/a/b.txt', new Blob(['abc'], {type: 'text/plain'}), function() {
+        idbFm.isFile('/a/b.txt', function(entry) {
+          expect(entry.path).toEqual('/a/b.txt');
+          expect(entry.size).toEqual(3);
+          expect(entry.mimeType).toEqual('text/plain');
+
+          idbFm.isFile('/a', function(entry) {
+            expect(entry).toBeNull();
+            done();
+          });
+        });
+      });
+    });
+
+    it('idbFm.listDirectory returns the entries of a directory', function(done) {
+
+      idbFm.writeFile('/a/b.txt', new Blob(['abc'], {type: 'text/plain'})).then(function() {
+        return idbFm.createPath('/a/c');
+      }).then(function() {
+        return idbFm.listDirectory('/a');
+      }).then(function(entries) {
+        entries.sort(function(e1, e2) { return e1.name < e2.name ? -1 : 1; });
+        expect(entries.length).toEqual(2);
+        expect(entries[0].path).toEqual('/a/b.txt');
+        expect(entries[0].kind).toEqual('file');
+        expect(entries[0].size).toEqual(3);
+        expect(entries[0].mimeType).toEqual('text/plain');
+        expect(entries[1].kind).toEqual('folder');
+        done();
+      }, done.fail);
+    });
+  });
+
+  describe('fmjs.DropboxFileManager', function() {
+
+    it('fmjs.DropboxFileManager.toHeaderSafeJson escapes non ASCII characters', function() {
+
+      expect(fmjs.DropboxFileManager.toHeaderSafeJson({path: '/estudio/año'})).toEqual(
+        '{"path":"/estudio/a\\u00f1o"}');
+    });
+
+    it('dropboxFm.toDropboxPath returns the empty string for the root folder', function() {
+      var dropboxFm = new fmjs.DropboxFileManager('appkey');
+
+      expect(dropboxFm.toDropboxPath('/')).toEqual('');
+      expect(dropboxFm.toDropboxPath('a//b/')).toEqual('/a/b');
+    });
+
+    it('dropboxFm.requestFileSystem fails with fmjs.NotAuthorizedError when it is not authorized', function(done) {
+      var dropboxFm = new fmjs.DropboxFileManager('appkey');
+
+      dropboxFm.requestFileSystem(true).then(done.fail, function(err) {
+        expect(err instanceof fmjs.NotAuthorizedError).toBe(true);
+        done();
+      });
+    });
+
+    describe('with a fake Dropbox server', function() {
+      var server;
+      var dropboxFm;
+
+      beforeEach(function() {
+        server = createDropboxServer();
+        dropboxFm = new fmjs.DropboxFileManager('appkey', {apiUrl: 'http://dropbox.test', accessToken: 'token',
+          refreshToken: 'refresh', chunkSize: 4});
+      });
+
+      afterEach(function() {
+        server.restore();
+      });
+
+      it('dropboxFm.writeFile uploads a large file in chunks through an upload session', function(done) {
+        var progress = [];
+
+        dropboxFm.writeFile('/a/b.txt', new Blob(['0123456789']), {onProgress: function(loaded) {
+          progress.push(loaded);
+        }}).then(function(metadata) {
+          expect(metadata.path_display).toEqual('/a/b.txt');
+          expect(server.requests).toEqual(['/2/files/upload_session/start', '/2/files/upload_session/append_v2',
+            '/2/files/upload_session/finish']);
+          expect(progress).toEqual([4, 8, 10]);
+          return dropboxFm.readFile('/a/b.txt');
+        }).then(function(data) {
+          expect(new TextDecoder().decode(data)).toEqual('0123456789');
+          done();
+        }).catch(done.fail);
+      });
+
+      it('dropboxFm renews an expired access token with the refresh token and repeats the request', function(done) {
+        server.files['/a.txt'] = {metadata: {'.tag': 'file', name: 'a.txt', path_display: '/a.txt', rev: 'rev0'},
+          data: 'abc'};
+        server.accessToken = 'newer';
+
+        dropboxFm.isFile('/a.txt').then(function(metadata) {
+          expect(metadata.rev).toEqual('rev0');
+          expect(server.requests).toEqual(['/2/files/get_metadata', '/oauth2/token', '/2/files/get_metadata']);
+          expect(dropboxFm.accessToken).toEqual(server.accessToken);
+          done();
+        }).catch(done.fail);
+      });
+
+      it('dropboxFm.readFile fails with fmjs.NotFoundError when the file does not exist', function(done) {
+
+        dropboxFm.readFile('/missing.txt').then(done.fail, function(err) {
+          expect(err instanceof fmjs.NotFoundError).toBe(true);
+          expect(err.path).toEqual('/missing.txt');
+          done();
+        });
+      });
+    });
+  });
+
+  describe('fmjs.MemoryFileManager', function() {
+    var memFm;
+
+    beforeEach(function() {
+      memFm = new fmjs.MemoryFileManager();
+    });
+
+    it('memFm.requestFileSystem takes the same arguments as the cloud file managers', function(done) {
+      memFm.requestFileSystem(true, function() {
+        expect(memFm.root).not.toBeNull();
+
+        memFm.requestFileSystem(true).then(done, done.fail);
+      });
+    });
+
+    it('memFm.readFile returns the data written by memFm.writeFile', function(done) {
+      var data = new Uint8Array([1, 2, 3]).buffer;
+
+      memFm.writeFile('/a/b/c.bin', data, function(fileObj) {
+        expect(fileObj.size).toEqual(3);
+
+        memFm.readFile('/a/b/c.bin', function(result) {
+          expect(new Uint8Array(result)).toEqual(new Uint8Array([1, 2, 3]));
+          done();
+        });
+      });
+    });
+
+    it('memFm.writeFile overwrites an existing file', function(done) {
+
+      memFm.writeFile('/a.txt', new Blob(['first']), function() {
+        memFm.writeFile('/a.txt', new Blob(['2nd']), function() {
+          memFm.isFile('/a.txt', function(fileObj) {
+            expect(fileObj.size).toEqual(3);
+            done();
+          });
+        });
+      });
+    });
+
+    it('memFm.isFile returns null for missing files and directories', function(done) {
+
+      memFm.createPath('/a/b', function(dirEntry) {
+        expect(dirEntry.fullPath).toEqual('/a/b');
+
+        memFm.isFile('/a/b', function(fileObj) {
+          expect(fileObj).toBeNull();
+
+          memFm.isFile('/a/b/missing.txt', function(fileObj) {
+            expect(fileObj).toBeNull();
+            done();
+          });
+        });
+      });
+    });
+
+    it('memFm methods return a Promise when called without a callback', function(done) {
+
+      memFm.writeFile('/a/b.txt', new Blob(['abc'])).then(function(fileObj) {
+        expect(fileObj.size).toEqual(3);
+        return memFm.readFile('/a/b.txt');
+      }).then(function(result) {
+        expect(result.byteLength).toEqual(3);
+        return memFm.readFile('/a/missing.txt');
+      }).then(function() {
+        done.fail('reading a missing file should fail');
+      }, function(err) {
+        expect(err instanceof Error).toBe(true);
+        done();
+      });
+    });
+
+    it('memFm.readFile reports a fmjs.NotFoundError for missing files', function(done) {
+
+      memFm.readFile('/a/missing.txt', function(result, err) {
+        expect(result).toBeNull();
+        expect(err instanceof fmjs.NotFoundError).toBe(true);
+        expect(err instanceof fmjs.FileManagerError).toBe(true);
+        expect(err.backend).toEqual('MemoryFileManager');
+        expect(err.path).toEqual('/a/missing.txt');
+        done();
+      });
+    });
+
+    it('memFm.listDirectory lists a directory tree recursively', function(done) {
+
+      memFm.writeFile('/a/b/c.txt', new Blob(['abc'])).then(function() {
+        return memFm.writeFile('/a/d.txt', new Blob(['d']));
+      }).then(function() {
+        return memFm.listDirectory('/a');
+      }).then(function(entries) {
+        expect(entries.map(function(entry) { return entry.path; }).sort()).toEqual(['/a/b', '/a/d.txt']);
+        return memFm.listDirectory('/a', {recursive: true});
+      }).then(function(entries) {
+        expect(entries.map(function(entry) { return entry.path; }).sort()).toEqual(
+          ['/a/b', '/a/b/c.txt', '/a/d.txt']);
+        return memFm.listDirectory('/missing');
+      }).then(function() {
+        done.fail('listing a missing directory should fail');
+      }, function(err) {
+        expect(err instanceof fmjs.NotFoundError).toBe(true);
+        done();
+      });
+    });
+
+    it('memFm.removePath only removes a directory that is not empty if recursive', function(done) {
+
+      memFm.writeFile('/a/b/c.txt', new Blob(['abc'])).then(function() {
+        return memFm.removePath('/a');
+      }).then(function() {
+        done.fail('removing a directory that is not empty should fail');
+      }, function(err) {
+        expect(err instanceof fmjs.DirectoryNotEmptyError).toBe(true);
+        return memFm.removeFile('/a/b/c.txt');
+      }).then(function(removed) {
+        expect(removed).toBe(true);
+        return memFm.writeFile('/a/b/d.txt', new Blob(['d']));
+      }).then(function() {
+        return memFm.removePath('/a', {recursive: true});
+      }).then(function() {
+        return memFm.listDirectory('/');
+      }).then(function(entries) {
+        expect(entries).toEqual([]);
+        done();
+      }, done.fail);
+    });
+
+    it('memFm.copyFile, memFm.moveFile and memFm.renameFile create the destination folders', function(done) {
+
+      memFm.writeFile('/a/b.txt', new Blob(['abc'])).then(function() {
+        return memFm.copyFile('/a/b.txt', '/c/d/b.txt');
+      }).then(function(fileObj) {
+        expect(fileObj.size).toEqual(3);
+        return memFm.moveFile('/a/b.txt', '/e/b.txt');
+      }).then(function() {
+        return memFm.renameFile('/e/b.txt', 'f.txt');
+      }).then(function(fileObj) {
+        expect(fileObj.name).toEqual('f.txt');
+        return memFm.listDirectory('/', {recursive: true});
+      }).then(function(entries) {
+        var files = entries.filter(function(entry) { return entry.kind === 'file'; });
+        expect(files.map(function(entry) { return entry.path; }).sort()).toEqual(['/c/d/b.txt', '/e/f.txt']);
+        done();
+      }, done.fail);
+    });
+
+    it('memFm.copyFile only replaces an existing file with the overwrite option', function(done) {
+
+      memFm.writeFile('/a/b.txt', new Blob(['abc'])).then(function() {
+        return memFm.writeFile('/a/c.txt', new Blob(['x']));
+      }).then(function() {
+        return memFm.copyFile('/a/b.txt', '/a/c.txt');
+      }).then(done.fail, function(err) {
+        expect(err instanceof fmjs.AlreadyExistsError).toBe(true);
+        return memFm.copyFile('/a/b.txt', '/a/c.txt', {overwrite: true});
+      }).then(function(fileObj) {
+        expect(fileObj.size).toEqual(3);
+        done();
+      }, done.fail);
+    });
+
+    it('memFm.writeFile reports progress and can be cancelled with an AbortSignal', function(done) {
+      var controller = new AbortController();
+      var progress = [];
+
+      memFm.writeFile('/a/b.txt', new Blob(['abc']), {onProgress: function(loaded, total) {
+        progress.push([loaded, total]);
+      }}).then(function() {
+        expect(progress).toEqual([[3, 3]]);
+        controller.abort();
+        return memFm.writeFile('/a/c.txt', new Blob(['abc']), {signal: controller.signal});
+      }).then(function() {
+        done.fail('a cancelled write should fail');
+      }, function(err) {
+        expect(err instanceof fmjs.AbortError).toBe(true);
+        return memFm.isFile('/a/c.txt');
+      }).then(function(fileObj) {
+        expect(fileObj).toBeNull();
+        done();
+      }, done.fail);
+    });
+
+    it('memFm.writeFile overwrites, fails or keeps both files according to the ifExists option', function(done) {
+
+      memFm.writeFile('/a/b.txt', new Blob(['abc'])).then(function() {
+        return memFm.writeFile('/a/b.txt', new Blob(['def']), {ifExists: 'fail'});
+      }).then(function() {
+        done.fail('writing an existing file should fail');
+      }, function(err) {
+        expect(err instanceof fmjs.AlreadyExistsError).toBe(true);
+        return memFm.writeFile('/a/b.txt', new Blob(['ghi']), {ifExists: 'keepBoth'});
+      }).then(function(fileObj) {
+        expect(fileObj.name).toEqual('b (1).txt');
+        return memFm.writeFile('/a/b.txt', new Blob(['jk']));
+      }).then(function(fileObj) {
+        expect(fileObj.size).toEqual(2);
+        return memFm.listDirectory('/a');
+      }).then(function(entries) {
+        expect(entries.map(function(entry) { return entry.name; }).sort()).toEqual(['b (1).txt', 'b.txt']);
+        done();
+      }, done.fail);
+    });
+
+    it('memFm.updateFile retries the update when the file has changed since it was read', function(done) {
+      var increment = function(data) {
+        return new Blob([String(Number(new TextDecoder().decode(data)) + 1)]);
+      };
+
+      memFm.writeFile('/a/n.txt', new Blob(['0'])).then(function(fileObj) {
+        var version = memFm.getVersion(fileObj);
+
+        return memFm.writeFile('/a/n.txt', new Blob(['1']), {ifMatch: version}).then(function() {
+          return memFm.writeFile('/a/n.txt', new Blob(['2']), {ifMatch: version});
+        });
+      }).then(function() {
+        done.fail('writing an outdated version should fail');
+      }, function(err) {
+        expect(err instanceof fmjs.ConflictError).toBe(true);
+        return Promise.all([memFm.updateFile('/a/n.txt', increment), memFm.updateFile('/a/n.txt', increment)]);
+      }).then(function() {
+        return memFm.readFile('/a/n.txt');
+      }).then(function(data) {
+        expect(new TextDecoder().decode(data)).toEqual('3');
+        done();
+      }, done.fail);
+    });
+
+    it('memFm.updateFile fails with the error thrown by the modify function', function(done) {
+      memFm.writeFile('/a/n.txt', new Blob(['0'])).then(function() {
+        return memFm.updateFile('/a/n.txt', function() {
+          throw new Error('invalid data');
+        });
+      }).then(done.fail, function(err) {
+        expect(err.message).toEqual('invalid data');
+        done();
+      });
+    });
+
+    it('memFm.readRange reads a range of bytes of a file', function(done) {
+
+      memFm.writeFile('/a/h.bin', new Uint8Array([0, 1, 2, 3, 4, 5]).buffer).then(function() {
+        return Promise.all([memFm.readRange('/a/h.bin', 1, 3), memFm.readRange('/a/h.bin', 4, null),
+          memFm.readRange('/a/h.bin', 8, 10)]);
+      }).then(function(ranges) {
+        expect(Array.from(new Uint8Array(ranges[0]))).toEqual([1, 2]);
+        expect(Array.from(new Uint8Array(ranges[1]))).toEqual([4, 5]);
+        expect(ranges[2].byteLength).toEqual(0);
+        done();
+      }, done.fail);
+    });
+
+    it('memFm.createWriteStream and memFm.createReadStream stream the data of a file', function(done) {
+      var writer = memFm.createWriteStream('/a/s.bin').getWriter();
+
+      writer.write(new Uint8Array([1, 2])).then(function() {
+        return writer.write(new Uint8Array([3]));
+      }).then(function() {
+        return writer.close();
+      }).then(function() {
+        return new Response(memFm.createReadStream('/a/s.bin')).arrayBuffer();
+      }).then(function(data) {
+        expect(Array.from(new Uint8Array(data))).toEqual([1, 2, 3]);
+        done();
+      }, done.fail);
+    });
+
+    it('memFm.writeFile fails when a parent path is a file', function(done) {
+
+      memFm.writeFile('/a', new Blob(['x']), function() {
+        memFm.writeFile('/a/b.txt', new Blob(['y']), function(fileObj, err) {
+          expect(fileObj).toBeNull();
+          expect(err instanceof fmjs.AlreadyExistsError).toBe(true);
+          done();
+        });
+      });
+    });
+
+    it('memFm.stat describes a file and memFm.setProperties keeps its properties when it is moved', function(done) {
+
+      memFm.writeFile('/a/p.txt', new Blob(['abc'], {type: 'text/plain'})).then(function() {
+        return memFm.stat('/a/p.txt');
+      }).then(function(stat) {
+        expect(stat.path).toEqual('/a/p.txt');
+        expect(stat.isDirectory).toBe(false);
+        expect(stat.size).toEqual(3);
+        expect(stat.mimeType).toEqual('text/plain');
+        return memFm.setProperties('/a/p.txt', {study: 'case42', series: 3});
+      }).then(function() {
+        return memFm.setProperties('/a/p.txt', {study: null});
+      }).then(function() {
+        return memFm.moveFile('/a/p.txt', '/b/p.txt');
+      }).then(function() {
+        return memFm.getProperties('/b/p.txt');
+      }).then(function(properties) {
+        expect(properties).toEqual({series: '3'});
+        done();
+      }, done.fail);
+    });
+
+    it('memFm.setProperties reports a sidecar properties file that is not valid JSON', function(done) {
+
+      memFm.writeFile('/a/p.txt', new Blob(['abc'])).then(function() {
+        return memFm.writeFile(memFm.PROPERTIES_PATH, new Blob(['{"/a/p.txt":']));
+      }).then(function() {
+        return memFm.setProperties('/a/p.txt', {study: 'case42'});
+      }).then(done.fail, function(err) {
+        expect(err instanceof fmjs.FileManagerError).toBe(true);
+        return memFm.moveFile('/a/p.txt', '/b/p.txt');
+      }).then(function(fileObj) {
+        expect(fileObj.name).toEqual('p.txt');
+        done();
+      }, done.fail);
+    });
+
+    it('memFm.moveFile and memFm.removePath do not read a sidecar properties file known to be absent',
+      function(done) {
+
+      memFm.writeFile('/a/p.txt', new Blob(['abc'])).then(function() {
+        return memFm.moveFile('/a/p.txt', '/a/q.txt');
+      }).then(function() {
+        spyOn(memFm, 'readFile').and.callThrough();
+        return memFm.moveFile('/a/q.txt', '/a/r.txt');
+      }).then(function() {
+        return memFm.removePath('/a/r.txt');
+      }).then(function() {
+        expect(memFm.readFile).not.toHaveBeenCalled();
+        return memFm.writeFile('/a/s.txt', new Blob(['abc']));
+      }).then(function() {
+        return memFm.setProperties('/a/s.txt', {study: 'case42'});
+      }).then(function() {
+        return memFm.moveFile('/a/s.txt', '/b/s.txt');
+      }).then(function() {
+        return memFm.getProperties('/b/s.txt');
+      }).then(function(properties) {
+        expect(properties).toEqual({study: 'case42'});
+        done();
+      }, done.fail);
+    });
+
+    it('memFm.watch reports the files written, moved and removed in a folder', function(done) {
+      var events = [];
+
+      var watcher = memFm.watch('/w', function(event) {
+        events.push(event.kind + ' ' + event.path + (event.oldPath ? ' ' + event.oldPath : ''));
+
+        if (events.length === 3) {
+          watcher.close();
+          expect(events).toEqual(['created /w/a.txt', 'moved /w/b.txt /w/a.txt', 'deleted /w/b.txt']);
+          done();
+        }
+      });
+
+      memFm.writeFile('/w/a.txt', new Blob(['abc'])).then(function() {
+        return memFm.moveFile('/w/a.txt', '/w/b.txt');
+      }).then(function() {
+        return memFm.removePath('/w/b.txt');
+      }).catch(done.fail);
+    });
+
+    it('memFm.trash moves a folder to the trash and memFm.restore restores it', function(done) {
+
+      memFm.writeFile('/a/t/b.txt', new Blob(['abc'])).then(function() {
+        return memFm.trash('/a/t');
+      }).then(function(item) {
+        expect(item.path).toEqual('/a/t');
+        expect(item.isDirectory).toBe(true);
+        return memFm.isFile('/a/t/b.txt');
+      }).then(function(fileObj) {
+        expect(fileObj).toBeNull();
+        return memFm.listTrash();
+      }).then(function(items) {
+        expect(items.map(function(item) { return item.path; })).toEqual(['/a/t']);
+        return memFm.restore('/a/t');
+      }).then(function() {
+        return memFm.readFile('/a/t/b.txt');
+      }).then(function(data) {
+        expect(new TextDecoder().decode(data)).toEqual('abc');
+        return memFm.listTrash();
+      }).then(function(items) {
+        expect(items.length).toEqual(0);
+        done();
+      }, done.fail);
+    });
+
+    it('memFm.trash moves back what was moved to the trash when moving a folder fails', function(done) {
+      var moveFile = memFm.moveFile;
+
+      memFm.writeFile('/a/t/b.txt', new Blob(['abc'])).then(function() {
+        return memFm.writeFile('/a/t/c.txt', new Blob(['def']));
+      }).then(function() {
+        // the second file can not be moved to the trash
+        spyOn(memFm, 'moveFile').and.callFake(function(srcPath, dstPath, callback) {
+          if (srcPath === '/a/t/c.txt') {
+            callback(null, memFm.createError('Could not move file', srcPath));
+          } else {
+            moveFile.apply(memFm, arguments);
+          }
+        });
+        return memFm.trash('/a/t');
+      }).then(done.fail, function(err) {
+        expect(err instanceof fmjs.FileManagerError).toBe(true);
+        return memFm.listDirectory('/a/t');
+      }).then(function(entries) {
+        expect(entries.map(function(entry) { return entry.name; }).sort()).toEqual(['b.txt', 'c.txt']);
+        return memFm.listTrash();
+      }).then(function(items) {
+        expect(items.length).toEqual(0);
+        done();
+      }, done.fail);
+    });
+
+    it('memFm.listDirectory and memFm.stat leave out the trash and the sidecar properties file', function(done) {
+
+      memFm.writeFile('/a/t.txt', new Blob(['abc'])).then(function() {
+        return memFm.setProperties('/a', {study: 'case42'});
+      }).then(function() {
+        return memFm.trash('/a/t.txt');
+      }).then(function() {
+        return memFm.listDirectory('/', {recursive: true});
+      }).then(function(entries) {
+        expect(entries.map(function(entry) { return entry.path; })).toEqual(['/a']);
+        return memFm.stat(memFm.TRASH_PATH);
+      }).then(done.fail, function(err) {
+        expect(err instanceof fmjs.NotFoundError).toBe(true);
+        done();
+      });
+    });
   });
 
 });
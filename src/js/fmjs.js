@@ -5,18 +5,22 @@
  *
  * FEATURES
  * - Read/write files from/to HTML5 sandboxed file system
- * - Upload/Download files from the cloud
+ * - Upload/Download files from the cloud (Google Drive, Dropbox)
+ * - Keep a scratch directory tree in memory
+ * - Read/write files from/to a persistent IndexedDB filesystem
  *
  * TECHNOLOGY
  * - HTML5 filesystem API
+ * - Origin Private File System API
+ * - IndexedDB API
  * - Google drive API
+ * - Dropbox HTTP API v2
  */
 
 // define a new module
 define(
   [
-  '../../../utiljs/src/js/utiljs',
-  'https://apis.google.com/js/api.js'
+  '../../../utiljs/src/js/utiljs'
   ], function(util) {
 
   /**
@@ -36,7 +40,293 @@ define(
     };
 
     /**
-     * Abstract class defining a file manager's interface
+     * Wrap an asynchronous method so that it returns a Promise when it is called
+     * without a callback. The callback must be the method's last declared parameter,
+     * optional parameters before it can be omitted when a callback is passed.
+     *
+     * @function
+     * @param {Function} method whose callback's first argument is the result and second
+     * argument is an Error object if the operation failed.
+     * @param {Number} optional number of required parameters, a function passed to one of
+     * them is not taken for the callback (default 0).
+     * @return {Function} wrapped method.
+     */
+    fmjs.promisify = function(method, nRequired) {
+      var callbackIx = method.length - 1;
+
+      nRequired = nRequired || 0;
+
+      return function() {
+        var self = this;
+        var args = Array.prototype.slice.call(arguments, 0, callbackIx);
+
+        if (arguments.length > nRequired && typeof arguments[arguments.length - 1] === 'function') {
+          return method.apply(this, arguments);
+        }
+
+        return new Promise(function(resolve, reject) {
+          args[callbackIx] = function(result, err) {
+            if (err) {
+              reject(err);
+            } else {
+              resolve(result);
+            }
+          };
+          method.apply(self, args);
+        });
+      };
+    };
+
+    /**
+     * Make the given asynchronous methods of a class return a Promise when they are
+     * called without a callback
+     *
+     * @function
+     * @param {Function} class constructor.
+     * @param {Array} method names.
+     */
+    fmjs.promisifyMethods = function(cls, methodNames) {
+
+      methodNames.forEach(function(name) {
+        cls.prototype[name] = fmjs.promisify(cls.prototype[name]);
+      });
+    };
+
+    /**
+     * Parse a JSON string.
+     *
+     * @function
+     * @param {String} JSON string.
+     * @return {Object} parsed value or null if the string is not valid JSON.
+     */
+    fmjs.parseJson = function(str) {
+      try {
+        return JSON.parse(str);
+      } catch (e) {
+        return null;
+      }
+    };
+
+    /**
+     * Base class of the errors reported by the file managers through their callbacks
+     * and Promises
+     *
+     * @constructor
+     * @extends {Error}
+     * @param {String} error message.
+     * @param {Object} optional object with properties:
+     *  -backend: name of the file manager class that reported the error
+     *  -path: path (or id) of the file or folder the operation failed on
+     *  -cause: underlying error object or API error response
+     */
+    fmjs.FileManagerError = function(message, details) {
+      details = details || {};
+
+      this.message = message;
+      this.backend = details.backend || null;
+      this.path = details.path || null;
+      this.cause = details.cause || null;
+      this.stack = (new Error(message)).stack;
+    };
+
+    /**
+     * fmjs.FileManagerError class inherits from Error class
+     */
+    fmjs.FileManagerError.prototype = Object.create(Error.prototype);
+    fmjs.FileManagerError.prototype.constructor = fmjs.FileManagerError;
+    fmjs.FileManagerError.prototype.name = 'FileManagerError';
+
+    /**
+     * Define a subclass of fmjs.FileManagerError
+     *
+     * @function
+     * @param {String} error name.
+     * @return {Function} error class constructor.
+     */
+    fmjs.FileManagerError.extend = function(name) {
+      var Parent = this;
+
+      var ErrorClass = function(message, details) {
+        Parent.call(this, message, details);
+      };
+
+      ErrorClass.prototype = Object.create(Parent.prototype);
+      ErrorClass.prototype.constructor = ErrorClass;
+      ErrorClass.prototype.name = name;
+
+      return ErrorClass;
+    };
+
+    /**
+     * Error reported when a file or folder doesn't exist
+     *
+     * @constructor
+     * @extends {fmjs.FileManagerError}
+     */
+    fmjs.NotFoundError = fmjs.FileManagerError.extend('NotFoundError');
+
+    /**
+     * Error reported when a file or folder already exists (or a file exists where a
+     * folder is expected and vice versa)
+     *
+     * @constructor
+     * @extends {fmjs.FileManagerError}
+     */
+    fmjs.AlreadyExistsError = fmjs.FileManagerError.extend('AlreadyExistsError');
+
+    /**
+     * Error reported when the current user is not allowed to perform the operation
+     *
+     * @constructor
+     * @extends {fmjs.FileManagerError}
+     */
+    fmjs.PermissionDeniedError = fmjs.FileManagerError.extend('PermissionDeniedError');
+
+    /**
+     * Error reported when the storage quota has been exceeded
+     *
+     * @constructor
+     * @extends {fmjs.FileManagerError}
+     */
+    fmjs.QuotaExceededError = fmjs.FileManagerError.extend('QuotaExceededError');
+
+    /**
+     * Error reported when the application has not been authorized by the user or
+     * the access token could not be renewed
+     *
+     * @constructor
+     * @extends {fmjs.FileManagerError}
+     */
+    fmjs.NotAuthorizedError = fmjs.FileManagerError.extend('NotAuthorizedError');
+
+    /**
+     * Error reported when a server could not be reached
+     *
+     * @constructor
+     * @extends {fmjs.FileManagerError}
+     */
+    fmjs.NetworkError = fmjs.FileManagerError.extend('NetworkError');
+
+    /**
+     * Error reported when the underlying API is not available or has not been loaded
+     *
+     * @constructor
+     * @extends {fmjs.FileManagerError}
+     */
+    fmjs.ApiNotLoadedError = fmjs.FileManagerError.extend('ApiNotLoadedError');
+
+    /**
+     * Error reported when a directory that is not empty is removed without the
+     * recursive option
+     *
+     * @constructor
+     * @extends {fmjs.FileManagerError}
+     */
+    fmjs.DirectoryNotEmptyError = fmjs.FileManagerError.extend('DirectoryNotEmptyError');
+
+    /**
+     * Error reported when an operation is cancelled through the AbortSignal object
+     * passed in its options
+     *
+     * @constructor
+     * @extends {fmjs.FileManagerError}
+     */
+    fmjs.AbortError = fmjs.FileManagerError.extend('AbortError');
+
+    /**
+     * Error reported when several files or folders are found at the same path and the
+     * duplicate titles policy doesn't allow it
+     *
+     * @constructor
+     * @extends {fmjs.FileManagerError}
+     */
+    fmjs.DuplicateEntryError = fmjs.FileManagerError.extend('DuplicateEntryError');
+
+    /**
+     * Error reported when a file has changed since the version given in the ifMatch
+     * write option
+     *
+     * @constructor
+     * @extends {fmjs.FileManagerError}
+     */
+    fmjs.ConflictError = fmjs.FileManagerError.extend('ConflictError');
+
+    /**
+     * Get the fmjs.FileManagerError subclass corresponding to an underlying error
+     *
+     * @function
+     * @param {Object} DOMException/DOMError object, GDrive error object (properties: code,
+     * message, errors) or Dropbox error object (properties: status, summary).
+     * @return {Function} error class constructor.
+     */
+    fmjs.FileManagerError.getErrorClass = function(cause) {
+      var domErrors = {
+        'NotFoundError': fmjs.NotFoundError,
+        'TypeMismatchError': fmjs.NotFoundError,
+        'PathExistsError': fmjs.AlreadyExistsError,
+        'InvalidModificationError': fmjs.AlreadyExistsError,
+        'ConstraintError': fmjs.AlreadyExistsError,
+        'NotAllowedError': fmjs.PermissionDeniedError,
+        'SecurityError': fmjs.PermissionDeniedError,
+        'NoModificationAllowedError': fmjs.PermissionDeniedError,
+        'QuotaExceededError': fmjs.QuotaExceededError,
+        'AbortError': fmjs.AbortError
+      };
+
+      if (!cause) {
+        return fmjs.FileManagerError;
+      }
+
+      if (cause instanceof fmjs.FileManagerError) {
+        return cause.constructor;
+      }
+
+      if (domErrors[cause.name]) {
+        return domErrors[cause.name];
+      }
+
+      var status = cause.status !== undefined ? cause.status : cause.code;
+      // GDrive error reason or Dropbox error summary
+      var reason = cause.summary || (cause.errors && cause.errors.length && cause.errors[0].reason) || '';
+
+      switch (status) {
+        case 0:
+          return fmjs.NetworkError;
+        case 401:
+          return fmjs.NotAuthorizedError;
+        case 403:
+          return /quota|storage/i.test(reason) ? fmjs.QuotaExceededError : fmjs.PermissionDeniedError;
+        case 404:
+          return fmjs.NotFoundError;
+        case 412:
+          return fmjs.ConflictError;
+        case 409:
+          if (/not_found|not_folder/.test(reason)) {
+            return fmjs.NotFoundError;
+          }
+          if (/conflict/.test(reason)) {
+            return fmjs.AlreadyExistsError;
+          }
+          if (/insufficient_space/.test(reason)) {
+            return fmjs.QuotaExceededError;
+          }
+          if (/no_write_permission|disallowed/.test(reason)) {
+            return fmjs.PermissionDeniedError;
+          }
+          return fmjs.FileManagerError;
+        case 507:
+          return fmjs.QuotaExceededError;
+        default:
+          return fmjs.FileManagerError;
+      }
+    };
+
+    /**
+     * Abstract class defining a file manager's interface.
+     * Asynchronous methods take a callback as their last argument. The callback's first
+     * argument is the result and its second argument is an Error object if the operation
+     * failed. When they are called without a callback they return a Promise instead.
+     * Failures are reported with fmjs.FileManagerError objects.
      *
      * @interface
      */
@@ -44,917 +334,8832 @@ define(
       throw new Error('Can not instantiate abstract classes');
     };
 
+    /**
+     * Request access to the filesystem. Takes a boolean immediate (if true the user is not
+     * prompted, only an existing authorization is used) and a callback whose argument is a
+     * boolean true if access was granted. The file managers of the browser's storage need no
+     * user authorization and ignore immediate, which can then be omitted.
+     */
     fmjs.AbstractFileManager.prototype.requestFileSystem = fmjs.abstractmethod;
 
     fmjs.AbstractFileManager.prototype.isFile = fmjs.abstractmethod;
 
+    /**
+     * Get a Blob object with a file's data. Takes the file's path and an optional
+     * options object with properties:
+     *  -onProgress: function(loaded, total) called as the file's data is downloaded
+     *  -signal: AbortSignal object to cancel the operation with a fmjs.AbortError
+     */
     fmjs.AbstractFileManager.prototype.getFileBlob = fmjs.abstractmethod;
 
+    /**
+     * Read a file's data into an ArrayBuffer object. Takes the file's path and the
+     * same options as getFileBlob.
+     */
     fmjs.AbstractFileManager.prototype.readFile = fmjs.abstractmethod;
 
+    /**
+     * Write a file. Takes the file's path, the file's data and an optional options
+     * object with properties:
+     *  -onProgress: function(loaded, total) called as the file's data is written
+     *  -signal: AbortSignal object to cancel the operation with a fmjs.AbortError
+     *  -ifExists: what to do when a file already exists at the path. One of 'overwrite'
+     *   (replace its content), 'fail' (fail with fmjs.AlreadyExistsError) or 'keepBoth'
+     *   (write the file with a number appended to its name, eg. 'b (1).txt')
+     *   (default 'overwrite')
+     *  -ifMatch: version of the file (as returned by getVersion) that is expected to be
+     *   overwritten. The write fails with a fmjs.ConflictError if the file has changed or
+     *   been removed since then (the ifExists option is ignored)
+     */
     fmjs.AbstractFileManager.prototype.writeFile = fmjs.abstractmethod;
 
     fmjs.AbstractFileManager.prototype.createPath = fmjs.abstractmethod;
 
+    fmjs.AbstractFileManager.prototype.getDirectoryEntries = fmjs.abstractmethod;
+
+    fmjs.AbstractFileManager.prototype.removeFile = fmjs.abstractmethod;
+
+    fmjs.AbstractFileManager.prototype.removePath = fmjs.abstractmethod;
 
     /**
-     * Concrete class implementing a file manager for the local FS.
-     * Currently uses the HTML5's sandboxed FS API (only implemented in Chrome)
+     * Move a file. Takes the source file's path, the destination file's path and an
+     * optional options object with property overwrite: whether to replace an existing
+     * file at the destination instead of failing with fmjs.AlreadyExistsError (default
+     * false). The destination's parent folders are created if they don't exist.
+     */
+    fmjs.AbstractFileManager.prototype.moveFile = fmjs.abstractmethod;
+
+    /**
+     * Copy a file. Takes the same arguments as moveFile.
+     */
+    fmjs.AbstractFileManager.prototype.copyFile = fmjs.abstractmethod;
+
+    /**
+     * Name of the concrete file manager class, reported in errors
      *
-     * @constructor
-     * @extends {fmjs.AbstractFileManager}
+     * @type {String}
      */
-    fmjs.LocalFileManager = function() {
+    fmjs.AbstractFileManager.prototype.backendName = 'AbstractFileManager';
 
-      // local filesystem object
-      this.fs = null;
+    /**
+     * Create an error object to report a failed operation
+     *
+     * @param {String} error message.
+     * @param {String} path (or id) of the file or folder the operation failed on.
+     * @param {Object} optional underlying error object or API error response.
+     * @param {Function} optional fmjs.FileManagerError subclass, by default it is
+     * determined from the underlying error.
+     * @return {Object} fmjs.FileManagerError object.
+     */
+    fmjs.AbstractFileManager.prototype.createError = function(message, path, cause, ErrorClass) {
+      ErrorClass = ErrorClass || fmjs.FileManagerError.getErrorClass(cause);
+
+      return new ErrorClass(message, {backend: this.backendName, path: path, cause: cause});
     };
 
     /**
-     * fmjs.LocalFileManager class inherits from fmjs.AbstractFileManager class
+     * Check whether an operation has been cancelled
+     *
+     * @param {Object} operation's options object (property signal: AbortSignal object).
+     * @param {String} path (or id) of the file or folder the operation works on.
+     * @return {Object} fmjs.AbortError object if the operation has been cancelled or null
+     * otherwise.
      */
-    fmjs.LocalFileManager.prototype = Object.create(fmjs.AbstractFileManager.prototype);
-    fmjs.LocalFileManager.prototype.constructor = fmjs.LocalFileManager;
+    fmjs.AbstractFileManager.prototype.checkAborted = function(options, path) {
+      var signal = options && options.signal;
+
+      if (signal && signal.aborted) {
+        return this.createError('Operation aborted', path, signal.reason, fmjs.AbortError);
+      }
+      return null;
+    };
+
+    /**
+     * Read a Blob object into an ArrayBuffer object. The read can be cancelled through
+     * the options' AbortSignal object.
+     *
+     * @param {Object} Blob object.
+     * @param {String} path (or id) of the file the Blob object holds, reported in errors.
+     * @param {Object} read options (see fmjs.AbstractFileManager.prototype.getFileBlob).
+     * @param {Function} callback whose argument is the ArrayBuffer object or null otherwise.
+     */
+    fmjs.AbstractFileManager.prototype.readBlob = function(blob, path, options, callback) {
+      var self = this;
+      var signal = options.signal;
+      var reader = new FileReader();
+
+      function abort() {
+        reader.onload = reader.onerror = null;
+        reader.abort();
+        callback(null, self.checkAborted(options, path));
+      }
+
+      function done() {
+        if (signal) {
+          signal.removeEventListener('abort', abort);
+        }
+      }
+
+      reader.onload = function() {
+        done();
+        callback(reader.result);
+      };
+
+      reader.onerror = function() {
+        done();
+        callback(null, self.createError('Could not read file ' + path, path, reader.error));
+      };
+
+      if (signal && signal.aborted) {
+        callback(null, this.checkAborted(options, path));
+        return;
+      }
+      if (signal) {
+        signal.addEventListener('abort', abort);
+      }
+      reader.readAsArrayBuffer(blob);
+    };
+
+    /**
+     * Read a range of bytes of a file into an ArrayBuffer object. As with Blob.slice the
+     * end offset is excluded and the offsets are clamped to the file's size. The file
+     * managers whose getFileBlob method returns a File object only read the range's bytes.
+     *
+     * @param {String} file's path.
+     * @param {Number} offset of the range's first byte.
+     * @param {Number} offset of the byte after the range's last byte or null/undefined to
+     * read until the end of the file.
+     * @param {Object} optional read options (see fmjs.AbstractFileManager.prototype.getFileBlob).
+     * @param {Function} callback whose argument is an ArrayBuffer object containing the
+     * range's data if the file is successfuly read or null otherwise.
+     */
+    fmjs.AbstractFileManager.prototype.readRange = function(filePath, start, end, options, callback) {
+      var self = this;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
+      this.getFileBlob(filePath, options, function(blob, err) {
+        if (blob) {
+          self.readBlob(end === null || end === undefined ? blob.slice(start) : blob.slice(start, end),
+            filePath, options, callback);
+        } else {
+          callback(null, err);
+        }
+      });
+    };
+
+    /**
+     * Get a ReadableStream object that streams a file's data in Uint8Array chunks. The Blob
+     * object returned by getFileBlob is streamed, so the file's data is not held in memory
+     * by the file managers that return a File object.
+     *
+     * @param {String} file's path.
+     * @param {Object} optional read options (see fmjs.AbstractFileManager.prototype.getFileBlob).
+     * @return {ReadableStream} stream object, it is errored with a fmjs.FileManagerError
+     * object if the file can't be read.
+     */
+    fmjs.AbstractFileManager.prototype.createReadStream = function(filePath, options) {
+      var self = this;
+
+      return this.createReaderStream(filePath, function(callback) {
+        self.getFileBlob(filePath, options || {}, function(blob, err) {
+          callback(blob && blob.stream().getReader(), err);
+        });
+      });
+    };
+
+    /**
+     * Create a ReadableStream object that pulls its chunks from another stream's reader
+     *
+     * @param {String} path of the file that is read, reported in errors.
+     * @param {Function} function(callback) called when the stream starts that calls back
+     * with a ReadableStreamDefaultReader object or null and an error object otherwise.
+     * @return {ReadableStream} stream object.
+     */
+    fmjs.AbstractFileManager.prototype.createReaderStream = function(path, openReader) {
+      var self = this;
+      var reader = null;
+
+      return new ReadableStream({
+        start: function() {
+          return new Promise(function(resolve, reject) {
+            openReader(function(streamReader, err) {
+              reader = streamReader;
+              if (reader) {
+                resolve();
+              } else {
+                reject(err);
+              }
+            });
+          });
+        },
+
+        pull: function(controller) {
+          return reader.read().then(function(result) {
+            if (result.done) {
+              controller.close();
+            } else {
+              controller.enqueue(result.value);
+            }
+          }, function(err) {
+            throw self.createError('Could not read file ' + path, path, err);
+          });
+        },
+
+        cancel: function(reason) {
+          return reader && reader.cancel(reason);
+        }
+      });
+    };
+
+    /**
+     * Get a WritableStream object that writes a file. This implementation keeps the chunks
+     * written to the stream and writes the whole file with writeFile when the stream is
+     * closed, so the file's data must fit in memory. The file managers that can write a
+     * file in parts override it.
+     *
+     * @param {String} file's path.
+     * @param {Object} optional write options (see fmjs.AbstractFileManager.prototype.writeFile)
+     * and mimeType: MIME type of the file.
+     * @return {WritableStream} stream object whose chunks are ArrayBuffer, typed array or Blob
+     * objects. It is errored with a fmjs.FileManagerError object if the file can't be written.
+     */
+    fmjs.AbstractFileManager.prototype.createWriteStream = function(filePath, options) {
+      var self = this;
+      var chunks = [];
+
+      options = options || {};
+
+      return new WritableStream({
+        write: function(chunk) {
+          // the chunk's data is copied so that its buffer can be reused by the producer
+          chunks.push(new Blob([chunk]));
+        },
+
+        close: function() {
+          var blob = new Blob(chunks, {type: options.mimeType || ''});
+
+          return new Promise(function(resolve, reject) {
+            self.writeFile(filePath, blob, options, function(fileObj, err) {
+              if (fileObj) {
+                resolve();
+              } else {
+                reject(err);
+              }
+            });
+          });
+        }
+      });
+    };
+
+    /**
+     * Get a path where a file can be written without replacing an existing file or folder.
+     * A number is appended to the file's name if needed (eg. 'b (1).txt').
+     *
+     * @param {String} file's path.
+     * @param {Function} callback whose argument is the available path or null otherwise.
+     */
+    fmjs.AbstractFileManager.prototype.getAvailablePath = function(filePath, callback) {
+      var basedir = filePath.substring(0, filePath.lastIndexOf('/'));
+      var name = filePath.substring(filePath.lastIndexOf('/') + 1);
+      // the extension is kept at the end of the name, hidden files don't have one
+      var extIx = name.lastIndexOf('.');
+      var baseName = extIx > 0 ? name.substring(0, extIx) : name;
+      var ext = extIx > 0 ? name.substring(extIx) : '';
+
+      this.getDirectoryEntries(basedir || '/', {}, function(entries, err) {
+
+        // a missing directory is created when the file is written
+        if (!entries && !(err instanceof fmjs.NotFoundError)) {
+          callback(null, err);
+          return;
+        }
+
+        var names = (entries || []).map(function(entry) { return entry.name; });
+        var availableName = name;
+
+        for (var n = 1; names.indexOf(availableName) !== -1; n++) {
+          availableName = baseName + ' (' + n + ')' + ext;
+        }
+
+        callback(basedir + '/' + availableName);
+      });
+    };
+
+    /**
+     * Get the version of a file, the local file managers use the file's modification time.
+     *
+     * @param {Object} file object as returned by isFile.
+     * @return {String} file's version string.
+     */
+    fmjs.AbstractFileManager.prototype.getVersion = function(fileObj) {
+      return String(fileObj.lastModified);
+    };
+
+    /**
+     * Get the path where a file has to be written according to the ifMatch and ifExists
+     * write options (see fmjs.AbstractFileManager.prototype.writeFile)
+     *
+     * @param {String} file's path.
+     * @param {Object} write options.
+     * @param {Function} callback whose argument is the path or null if the file can't be
+     * written.
+     */
+    fmjs.AbstractFileManager.prototype.getWritePath = function(filePath, options, callback) {
+      var self = this;
+
+      if (options.ifMatch !== undefined) {
+        this.isFile(filePath, function(fileObj, err) {
+          if (err) {
+            callback(null, err);
+          } else if (!fileObj || self.getVersion(fileObj) !== String(options.ifMatch)) {
+            callback(null, self.createError('Could not write file ' + filePath + '. The file has changed ' +
+              'since version ' + options.ifMatch, filePath, null, fmjs.ConflictError));
+          } else {
+            callback(filePath);
+          }
+        });
+      } else if (options.ifExists === 'keepBoth') {
+        this.getAvailablePath(filePath, callback);
+      } else if (options.ifExists === 'fail') {
+        this.isFile(filePath, function(fileObj, err) {
+          if (err) {
+            callback(null, err);
+          } else if (fileObj) {
+            callback(null, self.createError('Could not write file ' + filePath + '. A file already exists at ' +
+              'the path', filePath, null, fmjs.AlreadyExistsError));
+          } else {
+            callback(filePath);
+          }
+        });
+      } else {
+        callback(filePath);
+      }
+    };
+
+    /**
+     * Normalize a path (eg. into the key of an IndexedDB metadata entry)
+     *
+     * @param {String} absolute path.
+     * @return {String} normalized path starting with '/'.
+     */
+    fmjs.AbstractFileManager.prototype.normalizePath = function(path) {
+      return '/' + util.path2array(path).join('/');
+    };
+
+    /**
+     * Create an object describing an entry of a directory listing
+     *
+     * @param {String} path of the directory containing the entry.
+     * @param {Object} object with properties name, isDirectory, size, mimeType,
+     * modifiedTime and optionally id.
+     * @return {Object} directory entry object (properties: name, path, kind, size,
+     * mimeType, modifiedTime and id for the cloud file managers).
+     */
+    fmjs.AbstractFileManager.prototype.createDirectoryEntry = function(dirPath, props) {
+      var entry = {
+        name: props.name,
+        path: this.normalizePath(dirPath + '/' + props.name),
+        kind: props.isDirectory ? 'folder' : 'file',
+        size: props.isDirectory ? 0 : (props.size || 0),
+        mimeType: props.mimeType || '',
+        // milliseconds since the epoch or null if the filesystem doesn't record it
+        modifiedTime: props.modifiedTime || null
+      };
+
+      if (props.id) {
+        entry.id = props.id;
+      }
+
+      return entry;
+    };
+
+    /**
+     * List the contents of a directory. Entries are objects with properties name, path,
+     * kind ('file' or 'folder'), size, mimeType and modifiedTime (milliseconds since the
+     * epoch or null if unknown). The cloud file managers add the entry's id.
+     *
+     * @param {String} directory's path.
+     * @param {Object} optional object with properties:
+     *  -recursive: whether to also list the contents of every subdirectory (default false)
+     *  -pageSize: maximum number of entries requested per page from the cloud APIs
+     * @param {Function} callback whose argument is an array of entry objects if the
+     * directory is successfuly listed or null otherwise.
+     */
+    fmjs.AbstractFileManager.prototype.listDirectory = function(path, options, callback) {
+      var self = this;
+      var result = [];
+      // the file manager's own files are only listed when a reserved folder is listed explicitly
+      var showReserved = this.isReservedPath(path);
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
+      function listDir(dirPath, done) {
+
+        self.getDirectoryEntries(dirPath, options, function(entries, err) {
+
+          if (!entries) {
+            done(err);
+            return;
+          }
+
+          var folders = [];
+
+          entries.forEach(function(entry) {
+            if (!showReserved && self.isReservedPath(entry.path)) {
+              return;
+            }
+            result.push(entry);
+            if (options.recursive && entry.kind === 'folder') {
+              folders.push(entry.path);
+            }
+          });
+
+          // walk the subdirectories one at a time
+          function listNextFolder(err) {
+            if (err || !folders.length) {
+              done(err);
+            } else {
+              listDir(folders.shift(), listNextFolder);
+            }
+          }
+
+          listNextFolder();
+        });
+      }
+
+      listDir(path, function(err) {
+        callback(err ? null : result, err);
+      });
+    };
+
+    /**
+     * Rename a file without moving it to another directory
+     *
+     * @param {String} file's path.
+     * @param {String} file's new name.
+     * @param {Object} optional options object (see moveFile).
+     * @param {Function} optional callback whose argument is the renamed file object
+     * (as returned by moveFile) or null otherwise.
+     */
+    fmjs.AbstractFileManager.prototype.renameFile = function(filePath, newName, options, callback) {
+      var basedir = filePath.substring(0, filePath.lastIndexOf('/'));
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+
+      if (!newName || newName.indexOf('/') !== -1) {
+        if (callback) {
+          callback(null, this.createError('Could not rename file ' + filePath + '. Invalid file name: ' + newName,
+            filePath));
+        }
+        return;
+      }
+
+      this.moveFile(filePath, basedir + '/' + newName, options, callback);
+    };
+
+    /**
+     * Read a file, modify its data and write it back only if it hasn't changed in the
+     * meantime. The whole update is retried when another write gets in first.
+     *
+     * @param {String} file's path.
+     * @param {Function} function(data, fileObj) that takes the file's data (an ArrayBuffer
+     * object or null if the file doesn't exist) and its file object and returns the new data
+     * or a Promise resolved with it.
+     * @param {Object} optional object with properties:
+     *  -retries: maximum number of times the update is retried after a conflict (default 3)
+     *  -any other write option (see fmjs.AbstractFileManager.prototype.writeFile)
+     * @param {Function} optional callback whose argument is the written file object or
+     * null otherwise.
+     */
+    fmjs.AbstractFileManager.prototype.updateFile = fmjs.promisify(function(filePath, modify, options, callback) {
+      var self = this;
+      var retries;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+      retries = options.retries === undefined ? 3 : options.retries;
+
+      function done(fileObj, err) {
+        if (callback) {
+          callback(fileObj, err);
+        }
+      }
+
+      function update() {
+
+        // the version is read first so that a write between both requests causes a conflict
+        self.isFile(filePath, function(fileObj, err) {
+
+          if (err) {
+            done(null, err);
+            return;
+          }
+
+          function write(data) {
+            var writeOptions = {};
+
+            Object.keys(options).forEach(function(key) {
+              writeOptions[key] = options[key];
+            });
+            delete writeOptions.retries;
+
+            // a file that didn't exist must not be created by another write in the meantime
+            if (fileObj) {
+              writeOptions.ifMatch = self.getVersion(fileObj);
+            } else {
+              writeOptions.ifExists = 'fail';
+            }
+
+            // an error thrown by modify rejects the promise too
+            new Promise(function(resolve) {
+              resolve(modify(data, fileObj));
+            }).then(function(newData) {
+              self.writeFile(filePath, newData, writeOptions, function(newFileObj, err) {
+                var conflict = err instanceof fmjs.ConflictError || err instanceof fmjs.AlreadyExistsError;
+
+                if (conflict && retries-- > 0) {
+                  update();
+                } else {
+                  done(newFileObj, err);
+                }
+              });
+            }, function(err) {
+              done(null, err);
+            });
+          }
+
+          if (fileObj) {
+            self.readFile(filePath, function(data, err) {
+              if (data) {
+                write(data);
+              } else {
+                done(null, err);
+              }
+            });
+          } else {
+            write(null);
+          }
+        });
+      }
+
+      update();
+    }, 2);
+
+    /**
+     * Create the object describing a file or folder returned by stat
+     *
+     * @param {String} file's or folder's path.
+     * @param {Object} object with properties isDirectory, size, mimeType, createdTime,
+     * modifiedTime and id.
+     * @return {Object} stat object (properties: name, path, isDirectory, size, mimeType,
+     * createdTime, modifiedTime and id).
+     */
+    fmjs.AbstractFileManager.prototype.createStat = function(path, props) {
+      var normPath = this.normalizePath(path);
+
+      return {
+        name: normPath.substring(normPath.lastIndexOf('/') + 1),
+        path: normPath,
+        isDirectory: !!props.isDirectory,
+        size: props.isDirectory ? 0 : (props.size || 0),
+        mimeType: props.mimeType || '',
+        // milliseconds since the epoch or null if the filesystem doesn't record them
+        createdTime: props.createdTime || null,
+        modifiedTime: props.modifiedTime || null,
+        // only the cloud file managers identify files by id
+        id: props.id || null
+      };
+    };
+
+    /**
+     * Create the stat object of an entry of a directory listing
+     *
+     * @param {Object} directory entry object (see fmjs.AbstractFileManager.prototype.listDirectory).
+     * @return {Object} stat object (see fmjs.AbstractFileManager.prototype.createStat).
+     */
+    fmjs.AbstractFileManager.prototype.createEntryStat = function(entry) {
+      return this.createStat(entry.path, {isDirectory: entry.kind === 'folder', size: entry.size,
+        mimeType: entry.mimeType, modifiedTime: entry.modifiedTime, id: entry.id});
+    };
+
+    /**
+     * Get a normalized description of a file or folder. This implementation looks the
+     * entry up in its parent directory's listing.
+     *
+     * @param {String} file's or folder's path.
+     * @param {Function} callback whose argument is an object with properties name, path,
+     * isDirectory, size, mimeType, createdTime and modifiedTime (milliseconds since the
+     * epoch or null if unknown) and id (null for the local file managers) or null if the
+     * path is not found.
+     */
+    fmjs.AbstractFileManager.prototype.stat = function(path, callback) {
+      var self = this;
+      var normPath = this.normalizePath(path);
+      var basedir = normPath.substring(0, normPath.lastIndexOf('/'));
+      var name = normPath.substring(normPath.lastIndexOf('/') + 1);
+
+      if (!name) {
+        callback(this.createStat('/', {isDirectory: true}));
+        return;
+      }
+
+      if (this.isReservedPath(normPath)) {
+        callback(null, this.createError('Path ' + path + ' not found', path, null, fmjs.NotFoundError));
+        return;
+      }
+
+      this.getDirectoryEntries(basedir || '/', {}, function(entries, err) {
+        var entry = entries && entries.filter(function(entry) { return entry.name === name; })[0];
+
+        if (entry) {
+          callback(self.createEntryStat(entry));
+        } else if (entries || err instanceof fmjs.NotFoundError) {
+          callback(null, self.createError('Path ' + path + ' not found', path, null, fmjs.NotFoundError));
+        } else {
+          callback(null, err);
+        }
+      });
+    };
+
+    /**
+     * Path of the sidecar file where the file managers without native support for custom
+     * file properties store them, keyed by normalized path
+     *
+     * @type {String}
+     */
+    fmjs.AbstractFileManager.prototype.PROPERTIES_PATH = '/.fmjs-properties.json';
+
+    /**
+     * Read a JSON index file kept by the file manager
+     *
+     * @param {String} index file's path.
+     * @param {Function} callback whose argument is the index object (empty if the index
+     * file doesn't exist yet) or null otherwise.
+     */
+    fmjs.AbstractFileManager.prototype.readIndexFile = function(path, callback) {
+      var self = this;
+
+      this.readFile(path, function(data, err) {
+        var index = null;
+
+        if (data) {
+          index = fmjs.parseJson(new TextDecoder().decode(data));
+          if (!index) {
+            err = self.createError('Could not parse the index file ' + path, path);
+          }
+        } else if (err instanceof fmjs.NotFoundError) {
+          index = {};
+          err = null;
+        }
+
+        callback(index, err);
+      });
+    };
+
+    /**
+     * Read the sidecar properties index
+     *
+     * @param {Function} callback whose argument is the index object (empty if the sidecar
+     * file doesn't exist yet) or null otherwise.
+     */
+    fmjs.AbstractFileManager.prototype.readPropertiesIndex = function(callback) {
+      var self = this;
+
+      this.readIndexFile(this.PROPERTIES_PATH, function(index, err) {
+        // remembered so that removing or moving a path doesn't read an empty or absent sidecar file
+        if (index) {
+          self.propertiesIndexEmpty = !Object.keys(index).length;
+        }
+        callback(index, err);
+      });
+    };
+
+    /**
+     * Update a JSON index file kept by the file manager with updateFile
+     *
+     * @param {String} index file's path.
+     * @param {Function} function(index) that modifies the index object (empty if the index
+     * file doesn't exist yet).
+     * @param {Function} callback whose argument is the written index object or null otherwise.
+     */
+    fmjs.AbstractFileManager.prototype.updateIndexFile = function(path, modify, callback) {
+      var self = this;
+      var newIndex = null;
+
+      this.updateFile(path, function(data) {
+        var index = data ? fmjs.parseJson(new TextDecoder().decode(data)) : {};
+
+        if (!index) {
+          throw self.createError('Could not parse the index file ' + path, path);
+        }
+
+        modify(index);
+        newIndex = index;
+        return new Blob([JSON.stringify(index)], {type: 'application/json'});
+      }, function(fileObj, err) {
+
+        if (fileObj && path === self.PROPERTIES_PATH) {
+          self.propertiesIndexEmpty = !Object.keys(newIndex).length;
+        }
+        callback(fileObj ? newIndex : null, err);
+      });
+    };
+
+    /**
+     * Get the custom properties (user key-value metadata) of a file or folder
+     *
+     * @param {String} file's or folder's path.
+     * @param {Object} optional object with properties (ignored by the file managers that
+     * store the properties in a sidecar file):
+     *  -appProperties: whether to get the properties private to the application instead
+     *   of the public ones (default false)
+     * @param {Function} callback whose argument is an object mapping property names to
+     * string values or null otherwise.
+     */
+    fmjs.AbstractFileManager.prototype.getProperties = function(path, options, callback) {
+      var self = this;
+
+      if (typeof options === 'function') {
+        callback = options;
+      }
+
+      this.stat(path, function(stat, err) {
+
+        if (!stat) {
+          callback(null, err);
+          return;
+        }
+
+        self.readPropertiesIndex(function(index, err) {
+          callback(index && (index[stat.path] || {}), err);
+        });
+      });
+    };
+
+    /**
+     * Set custom properties (user key-value metadata) of a file or folder. The given
+     * properties are merged into the existing ones and a null value removes a property.
+     *
+     * @param {String} file's or folder's path.
+     * @param {Object} object mapping property names to string values or null.
+     * @param {Object} optional object with properties (see
+     * fmjs.AbstractFileManager.prototype.getProperties).
+     * @param {Function} optional callback whose argument is an object with all the
+     * properties of the file or folder or null otherwise.
+     */
+    fmjs.AbstractFileManager.prototype.setProperties = function(path, properties, options, callback) {
+      var self = this;
+      var result = null;
+
+      if (typeof options === 'function') {
+        callback = options;
+      }
+
+      this.stat(path, function(stat, err) {
+
+        if (!stat) {
+          if (callback) {callback(null, err);}
+          return;
+        }
+
+        self.updateIndexFile(self.PROPERTIES_PATH, function(index) {
+          result = index[stat.path] || {};
+          Object.keys(properties).forEach(function(key) {
+            if (properties[key] === null) {
+              delete result[key];
+            } else {
+              result[key] = String(properties[key]);
+            }
+          });
+
+          if (Object.keys(result).length) {
+            index[stat.path] = result;
+          } else {
+            delete index[stat.path];
+          }
+        }, function(index, err) {
+          if (callback) {callback(index ? result : null, err);}
+        });
+      });
+    };
+
+    /**
+     * Keep the sidecar properties index in step with a removed or moved path. The
+     * properties of the path and everything under it are dropped or moved to the new path.
+     *
+     * @param {String} removed or moved path.
+     * @param {String} new path or null if the path has been removed.
+     * @param {Function} callback called when the index is updated, failing to update it
+     * doesn't undo the removal or move.
+     */
+    fmjs.AbstractFileManager.prototype.updatePathProperties = function(path, newPath, callback) {
+      var self = this;
+      var src = this.normalizePath(path);
+      var dst = newPath && this.normalizePath(newPath);
+
+      function isAffected(key) {
+        return key === src || key.indexOf(src + '/') === 0 || (dst && (key === dst || key.indexOf(dst + '/') === 0));
+      }
+
+      if (this.propertiesIndexEmpty) {
+        callback();
+        return;
+      }
+
+      this.readPropertiesIndex(function(index) {
+
+        // the common case of a path without properties doesn't write the sidecar file
+        if (!index || !Object.keys(index).some(isAffected)) {
+          callback();
+          return;
+        }
+
+        self.updateIndexFile(self.PROPERTIES_PATH, function(index) {
+          var moved = {};
+
+          Object.keys(index).forEach(function(key) {
+            if (dst && (key === src || key.indexOf(src + '/') === 0)) {
+              moved[dst + key.substring(src.length)] = index[key];
+            }
+            if (isAffected(key)) {
+              delete index[key];
+            }
+          });
+
+          Object.keys(moved).forEach(function(key) {
+            index[key] = moved[key];
+          });
+        }, function() {
+          callback();
+        });
+      });
+    };
+
+    /**
+     * Report a removed or moved path: the sidecar properties index is updated and the
+     * watchers are notified (see fmjs.AbstractFileManager.prototype.watch).
+     *
+     * @param {String} removed or moved path.
+     * @param {String} new path or null if the path has been removed.
+     * @param {Function} callback called when the properties index is updated.
+     */
+    fmjs.AbstractFileManager.prototype.pathChanged = function(path, newPath, callback) {
+      var self = this;
+
+      this.updatePathProperties(path, newPath, function() {
+        self.notifyWatchers(path, newPath);
+        callback();
+      });
+    };
+
+    /**
+     * Report a file written or copied by the file manager to the watchers (see
+     * fmjs.AbstractFileManager.prototype.watch).
+     *
+     * @param {String} file's path.
+     * @param {Object} optional File object of the written file.
+     */
+    fmjs.AbstractFileManager.prototype.pathWritten = function(path, fileObj) {
+      var self = this;
+      var normPath = this.normalizePath(path);
+      var watchers = this.getPathWatchers(normPath);
+      var statPromise;
+
+      if (!watchers.length) {
+        return;
+      }
+
+      statPromise = this.getChangeStat(normPath, fileObj);
+      watchers.forEach(function(watcher) {
+        self.queueWatcherTask(watcher, function(done) {
+          statPromise.then(function(stat) {
+            if (stat) {
+              self.emitChange(watcher, {kind: watcher.known[normPath] ? 'modified' : 'created', path: normPath,
+                stat: stat});
+            }
+            done();
+          });
+        });
+      });
+    };
+
+    /**
+     * Get the metadata of a changed path for its watchers. It's read right away, before a
+     * later change can make it unavailable.
+     *
+     * @param {String} normalized path.
+     * @param {Object} optional File object of the path's file.
+     * @return {Object} Promise resolved with the stat object or null if the path is not found.
+     */
+    fmjs.AbstractFileManager.prototype.getChangeStat = function(path, fileObj) {
+      var self = this;
+
+      if (fileObj instanceof File) {
+        return Promise.resolve(this.createStat(path, {size: fileObj.size, mimeType: fileObj.type,
+          modifiedTime: fileObj.lastModified}));
+      }
+
+      return new Promise(function(resolve) {
+        self.stat(path, function(stat) {
+          resolve(stat);
+        });
+      });
+    };
+
+    /**
+     * Watch a file or folder for changes. The listener is called with an event object
+     * with properties:
+     *  -kind: one of 'created', 'modified', 'deleted', 'moved' or 'error' (some changes may
+     *   have been missed)
+     *  -path: changed path (the new path of a moved file, the watched path for an error)
+     *  -oldPath: previous path of a moved file
+     *  -stat: normalized metadata of the path (see fmjs.AbstractFileManager.prototype.stat),
+     *   the last known one for a deleted path or null if it's unknown
+     *  -error: fmjs.FileManagerError object of an error event
+     * Watching a folder reports the changes of everything under it. The local file managers
+     * report the changes made through themselves, the cloud file managers may also report
+     * the changes made elsewhere.
+     *
+     * @param {String} file's or folder's path, it doesn't need to exist yet.
+     * @param {Function} listener function(event).
+     * @param {Object} optional watch options (see the file manager's startWatcher).
+     * @return {Object} watcher object with properties path and close: a function that
+     * stops watching.
+     */
+    fmjs.AbstractFileManager.prototype.watch = function(path, listener, options) {
+      var self = this;
+      var watcher = {path: this.normalizePath(path), listener: listener, options: options || {}, known: {},
+        closed: false};
+
+      watcher.close = function() {
+        var ix = self.watchers.indexOf(watcher);
+
+        watcher.closed = true;
+        if (ix !== -1) {
+          self.watchers.splice(ix, 1);
+          self.stopWatcher(watcher);
+        }
+      };
+
+      // the metadata of the watched paths is kept to tell a created file from a modified one
+      // and to report the metadata of deleted paths. The changes are handled in order once known
+      watcher.tasks = new Promise(function(resolve) {
+        self.stat(watcher.path, function(stat) {
+          if (!stat) {
+            resolve();
+            return;
+          }
+
+          watcher.known[stat.path] = stat;
+          if (!stat.isDirectory) {
+            resolve();
+            return;
+          }
+
+          self.listDirectory(watcher.path, {recursive: true}, function(entries) {
+            (entries || []).forEach(function(entry) {
+              watcher.known[entry.path] = self.createEntryStat(entry);
+            });
+            resolve();
+          });
+        });
+      });
+
+      this.watchers = this.watchers || [];
+      this.watchers.push(watcher);
+      this.startWatcher(watcher);
+
+      return watcher;
+    };
+
+    /**
+     * Start reporting the changes made outside the file manager to a watcher. The local
+     * file managers only report their own changes so this implementation does nothing.
+     *
+     * @param {Object} watcher object (see fmjs.AbstractFileManager.prototype.watch).
+     */
+    fmjs.AbstractFileManager.prototype.startWatcher = function() {};
+
+    /**
+     * Stop reporting the changes made outside the file manager to a closed watcher
+     *
+     * @param {Object} watcher object (see fmjs.AbstractFileManager.prototype.watch).
+     */
+    fmjs.AbstractFileManager.prototype.stopWatcher = function() {};
+
+    /**
+     * Get the watchers of a path
+     *
+     * @param {String} normalized path.
+     * @return {Array} watcher objects watching the path or a folder above it.
+     */
+    fmjs.AbstractFileManager.prototype.getPathWatchers = function(path) {
+      // the changes of the file manager's own files are not reported
+      if (this.isReservedPath(path)) {
+        return [];
+      }
+
+      return (this.watchers || []).filter(function(watcher) {
+        return watcher.path === '/' || path === watcher.path || path.indexOf(watcher.path + '/') === 0;
+      });
+    };
+
+    /**
+     * Run a watcher's task after the previous ones
+     *
+     * @param {Object} watcher object.
+     * @param {Function} function(done) that calls done when the task is completed.
+     */
+    fmjs.AbstractFileManager.prototype.queueWatcherTask = function(watcher, task) {
+      watcher.tasks = watcher.tasks.then(function() {
+        return new Promise(function(resolve) {
+          if (watcher.closed) {
+            resolve();
+          } else {
+            task(resolve);
+          }
+        });
+      });
+    };
+
+    /**
+     * Update a watcher's known metadata with a change and call its listener
+     *
+     * @param {Object} watcher object.
+     * @param {Object} event object (see fmjs.AbstractFileManager.prototype.watch).
+     */
+    fmjs.AbstractFileManager.prototype.emitChange = function(watcher, event) {
+      var known = watcher.known;
+      var oldPath = event.kind === 'moved' ? event.oldPath : (event.kind === 'deleted' ? event.path : null);
+
+      if (oldPath) {
+        Object.keys(known).forEach(function(key) {
+          if (key === oldPath || key.indexOf(oldPath + '/') === 0) {
+            if (event.kind === 'moved') {
+              known[event.path + key.substring(oldPath.length)] = known[key];
+            }
+            delete known[key];
+          }
+        });
+      }
+      if (event.kind !== 'deleted' && event.kind !== 'error') {
+        known[event.path] = event.stat;
+      }
+
+      // the listener runs on its own so that its errors don't stop the watcher
+      window.setTimeout(function() {
+        if (!watcher.closed) {
+          watcher.listener(event);
+        }
+      }, 0);
+    };
+
+    /**
+     * Report a removed or moved path to its watchers. A file moved into or out of a
+     * watched folder is reported as created or deleted.
+     *
+     * @param {String} removed or moved path.
+     * @param {String} new path or null if the path has been removed.
+     */
+    fmjs.AbstractFileManager.prototype.notifyWatchers = function(path, newPath) {
+      var self = this;
+      var src = this.normalizePath(path);
+      var dst = newPath && this.normalizePath(newPath);
+      var srcWatchers = this.getPathWatchers(src);
+      var dstWatchers = dst ? this.getPathWatchers(dst) : [];
+      var statPromise = dstWatchers.length ? this.getChangeStat(dst) : null;
+
+      srcWatchers.concat(dstWatchers).forEach(function(watcher, i, watchers) {
+
+        if (watchers.indexOf(watcher) !== i) {
+          return;
+        }
+
+        self.queueWatcherTask(watcher, function(done) {
+
+          if (dstWatchers.indexOf(watcher) === -1) {
+            self.emitChange(watcher, {kind: 'deleted', path: src, stat: watcher.known[src] || null});
+            done();
+            return;
+          }
+
+          statPromise.then(function(stat) {
+            if (stat && srcWatchers.indexOf(watcher) !== -1) {
+              self.emitChange(watcher, {kind: 'moved', path: dst, oldPath: src, stat: stat});
+            } else if (stat) {
+              self.emitChange(watcher, {kind: watcher.known[dst] ? 'modified' : 'created', path: dst, stat: stat});
+            }
+            done();
+          });
+        });
+      });
+    };
+
+    /**
+     * Path of the folder where the file managers without a native trash keep the trashed
+     * files and folders. Every trashed item is moved to a subfolder named after its id.
+     *
+     * @type {String}
+     */
+    fmjs.AbstractFileManager.prototype.TRASH_PATH = '/.trash';
+
+    /**
+     * Path of the trash's index file mapping the ids of the trashed items to their metadata
+     *
+     * @type {String}
+     */
+    fmjs.AbstractFileManager.prototype.TRASH_INDEX_PATH = '/.trash/index.json';
+
+    /**
+     * Whether a path holds the file manager's own data: the sidecar properties file and
+     * the trash. These paths are left out of the directory listings and stat.
+     *
+     * @param {String} path.
+     * @return {Boolean} true if the path is reserved.
+     */
+    fmjs.AbstractFileManager.prototype.isReservedPath = function(path) {
+      var normPath = this.normalizePath(path);
+
+      return normPath === this.PROPERTIES_PATH || normPath === this.TRASH_PATH ||
+        normPath.indexOf(this.TRASH_PATH + '/') === 0;
+    };
+
+    /**
+     * Create the object describing a trashed file or folder
+     *
+     * @param {String} original path of the trashed file or folder.
+     * @param {Object} object with the same properties as createStat's props and trashedTime.
+     * @return {Object} stat object of the original path (see
+     * fmjs.AbstractFileManager.prototype.createStat) with an additional trashedTime property
+     * (milliseconds since the epoch). Its id identifies the item in the trash.
+     */
+    fmjs.AbstractFileManager.prototype.createTrashItem = function(path, props) {
+      var item = this.createStat(path, props);
+
+      item.trashedTime = props.trashedTime || null;
+      return item;
+    };
+
+    /**
+     * Move a file or a folder along with its contents. The folders are recreated at the
+     * destination and the files are moved one at a time with moveFile.
+     *
+     * @param {String} source file's or folder's path.
+     * @param {String} destination path, it must not exist.
+     * @param {Function} callback whose argument is a boolean true if the path was moved.
+     */
+    fmjs.AbstractFileManager.prototype.movePath = function(srcPath, dstPath, callback) {
+      var self = this;
+      var src = this.normalizePath(srcPath);
+      var dst = this.normalizePath(dstPath);
+      // properties of the moved folder tree, read before they are dropped with the emptied source
+      var properties = {};
+
+      function moveProperties() {
+        var keys = Object.keys(properties);
+
+        if (!keys.length) {
+          callback(true);
+          return;
+        }
+
+        self.updateIndexFile(self.PROPERTIES_PATH, function(index) {
+          keys.forEach(function(key) {
+            index[dst + key.substring(src.length)] = properties[key];
+          });
+        }, function() {
+          callback(true);
+        });
+      }
+
+      function moveEntries(entries) {
+        var entry = entries.shift();
+        var entryDst;
+
+        if (!entry) {
+          self.removePath(src, {recursive: true}, function(removed, err) {
+            if (removed) {
+              moveProperties();
+            } else {
+              callback(false, err);
+            }
+          });
+          return;
+        }
+
+        entryDst = dst + entry.path.substring(src.length);
+
+        function next(result, err) {
+          if (result) {
+            moveEntries(entries);
+          } else {
+            callback(false, err);
+          }
+        }
+
+        if (entry.kind === 'folder') {
+          self.createPath(entryDst, next);
+        } else {
+          self.moveFile(entry.path, entryDst, next);
+        }
+      }
+
+      // stat is not used as it doesn't find the trashed items
+      this.isFile(src, function(fileObj, err) {
+
+        if (fileObj) {
+          self.moveFile(src, dst, function(fileObj, err) {
+            callback(!!fileObj, err);
+          });
+        } else if (err) {
+          callback(false, err);
+        } else {
+          // listing the source fails if it is not a folder either
+          self.listDirectory(src, {recursive: true}, function(entries, err) {
+
+            if (!entries) {
+              callback(false, err);
+              return;
+            }
+
+            self.createPath(dst, function(dirEntry, err) {
+
+              if (!dirEntry) {
+                callback(false, err);
+                return;
+              }
+
+              if (self.propertiesIndexEmpty) {
+                moveEntries(entries);
+                return;
+              }
+
+              self.readPropertiesIndex(function(index) {
+                Object.keys(index || {}).forEach(function(key) {
+                  if (key === src || key.indexOf(src + '/') === 0) {
+                    properties[key] = index[key];
+                  }
+                });
+                moveEntries(entries);
+              });
+            });
+          });
+        }
+      });
+    };
+
+    /**
+     * Get the path where a trashed file or folder is kept: a subfolder of TRASH_PATH named
+     * after the trash item's id
+     *
+     * @param {Object} trash item object (see fmjs.AbstractFileManager.prototype.createTrashItem).
+     * @return {String} path of the trashed file or folder.
+     */
+    fmjs.AbstractFileManager.prototype.getTrashedPath = function(item) {
+      return this.TRASH_PATH + '/' + item.id + '/' + item.name;
+    };
+
+    /**
+     * Move a file or folder to the trash, from where it can be restored. This
+     * implementation records its original path in the trash's index file and then moves it
+     * to a subfolder of TRASH_PATH. If the move fails what was moved is moved back.
+     *
+     * @param {String} file's or folder's path.
+     * @param {Function} optional callback whose argument is the trash item object (see
+     * fmjs.AbstractFileManager.prototype.createTrashItem) or null otherwise.
+     */
+    fmjs.AbstractFileManager.prototype.trash = function(path, callback) {
+      var self = this;
+      var normPath = this.normalizePath(path);
+      var id = Date.now().toString(36) + Math.random().toString(36).substring(2, 8);
+
+      if (normPath === '/' || this.isReservedPath(normPath)) {
+        if (callback) {
+          callback(null, this.createError('Can not move ' + path + ' to the trash', path, null,
+            fmjs.PermissionDeniedError));
+        }
+        return;
+      }
+
+      function fail(err) {
+        if (callback) {
+          callback(null, self.createError('Could not move ' + path + ' to the trash', path, err));
+        }
+      }
+
+      // undo a failed move, the item is only dropped from the index if nothing is left in the trash
+      function rollback(item, err) {
+        self.movePath(self.getTrashedPath(item), normPath, function(movedBack, moveErr) {
+
+          if (!movedBack && !(moveErr instanceof fmjs.NotFoundError)) {
+            fail(err);
+            return;
+          }
+
+          self.removePath(self.TRASH_PATH + '/' + item.id, {recursive: true}, function() {
+            self.updateIndexFile(self.TRASH_INDEX_PATH, function(index) {
+              delete index[item.id];
+            }, function() {
+              fail(err);
+            });
+          });
+        });
+      }
+
+      this.stat(normPath, function(stat, err) {
+
+        if (!stat) {
+          if (callback) {callback(null, err);}
+          return;
+        }
+
+        var item = self.createTrashItem(normPath, {isDirectory: stat.isDirectory, size: stat.size,
+          mimeType: stat.mimeType, createdTime: stat.createdTime, modifiedTime: stat.modifiedTime, id: id,
+          trashedTime: Date.now()});
+
+        // the item is recorded first so that nothing in the trash is missing from its index
+        self.updateIndexFile(self.TRASH_INDEX_PATH, function(index) {
+          index[id] = item;
+        }, function(index, err) {
+
+          if (!index) {
+            fail(err);
+            return;
+          }
+
+          self.movePath(normPath, self.getTrashedPath(item), function(moved, err) {
+            if (moved) {
+              if (callback) {callback(item);}
+            } else {
+              rollback(item, err);
+            }
+          });
+        });
+      });
+    };
+
+    /**
+     * Restore a file or folder from the trash to its original path. If several items
+     * were trashed from the same path the most recently trashed one is restored.
+     *
+     * @param {String} original path of the trashed file or folder.
+     * @param {Function} optional callback whose argument is the stat object of the
+     * restored file or folder (see fmjs.AbstractFileManager.prototype.stat) or null otherwise.
+     */
+    fmjs.AbstractFileManager.prototype.restore = function(path, callback) {
+      var self = this;
+      var normPath = this.normalizePath(path);
+
+      this.listTrash(function(items, err) {
+        var item = items && items.filter(function(item) { return item.path === normPath; }).pop();
+
+        if (!item) {
+          if (callback) {
+            callback(null, err || self.createError('Path ' + path + ' not found in the trash', path, null,
+              fmjs.NotFoundError));
+          }
+          return;
+        }
+
+        self.stat(normPath, function(stat) {
+
+          if (stat) {
+            if (callback) {
+              callback(null, self.createError('Could not restore ' + path + '. The path already exists', path, null,
+                fmjs.AlreadyExistsError));
+            }
+            return;
+          }
+
+          self.movePath(self.getTrashedPath(item), normPath, function(moved, err) {
+
+            if (!moved) {
+              if (callback) {
+                callback(null, self.createError('Could not restore ' + path + ' from the trash', path, err));
+              }
+              return;
+            }
+
+            // the item's subfolder is empty now
+            self.removePath(self.TRASH_PATH + '/' + item.id, {recursive: true}, function() {
+              self.updateIndexFile(self.TRASH_INDEX_PATH, function(index) {
+                delete index[item.id];
+              }, function(index, err) {
+
+                if (!index) {
+                  if (callback) {callback(null, err);}
+                } else if (callback) {
+                  self.stat(normPath, callback);
+                }
+              });
+            });
+          });
+        });
+      });
+    };
+
+    /**
+     * List the files and folders in the trash
+     *
+     * @param {Function} callback whose argument is an array of trash item objects (see
+     * fmjs.AbstractFileManager.prototype.createTrashItem) sorted by trashedTime or null
+     * otherwise.
+     */
+    fmjs.AbstractFileManager.prototype.listTrash = function(callback) {
+      var self = this;
+
+      this.readIndexFile(this.TRASH_INDEX_PATH, function(index, err) {
+        var items = index && Object.keys(index).map(function(id) {
+          return self.createTrashItem(index[id].path, index[id]);
+        });
+
+        if (items) {
+          items.sort(function(a, b) { return a.trashedTime - b.trashedTime; });
+        }
+        callback(items, err);
+      });
+    };
+
+    /**
+     * Permanently delete every file and folder in the trash
+     *
+     * @param {Function} optional callback whose argument is a boolean true if the trash
+     * was emptied.
+     */
+    fmjs.AbstractFileManager.prototype.emptyTrash = function(callback) {
+      var self = this;
+
+      this.removePath(this.TRASH_PATH, {recursive: true}, function(removed, err) {
+        if (removed || err instanceof fmjs.NotFoundError) {
+          if (callback) {callback(true);}
+        } else if (callback) {
+          callback(false, self.createError('Could not empty the trash', self.TRASH_PATH, err));
+        }
+      });
+    };
+
+    fmjs.promisifyMethods(fmjs.AbstractFileManager, ['readRange', 'listDirectory', 'renameFile', 'stat',
+      'getProperties', 'setProperties', 'trash', 'restore', 'listTrash', 'emptyTrash']);
+
+
+    /**
+     * Concrete class implementing a file manager for the local FS.
+     * Uses the HTML5's sandboxed FS API (only implemented in Chrome) when available
+     * and falls back to the Origin Private File System otherwise.
+     *
+     * @constructor
+     * @extends {fmjs.AbstractFileManager}
+     */
+    fmjs.LocalFileManager = function() {
+
+      // local filesystem object
+      this.fs = null;
+      // fmjs.OPFSFileManager object operations are delegated to when the sandboxed
+      // FS API is not available
+      this.opfs = null;
+    };
+
+    /**
+     * fmjs.LocalFileManager class inherits from fmjs.AbstractFileManager class
+     */
+    fmjs.LocalFileManager.prototype = Object.create(fmjs.AbstractFileManager.prototype);
+    fmjs.LocalFileManager.prototype.constructor = fmjs.LocalFileManager;
+    fmjs.LocalFileManager.prototype.backendName = 'LocalFileManager';
+
+    /**
+     * Request sandboxed filesystem. The Origin Private File System is requested
+     * instead if the browser doesn't implement the sandboxed FS API.
+     *
+     * @param {Boolean} unused.
+     * @param {Function} callback whose argument is a boolean true if a filesystem
+     * was granted.
+     */
+    fmjs.LocalFileManager.prototype.requestFileSystem = function(immediate, callback) {
+      var self = this;
+
+      if (typeof immediate === 'function') {
+        callback = immediate;
+      }
+
+      // The file system has been prefixed as of Google Chrome 12:
+      window.requestFileSystem = window.requestFileSystem || window.webkitRequestFileSystem;
+      // Request 5GB
+      /*window.webkitStorageInfo.requestQuota( PERSISTENT, 5*1024*1024*1024, function(grantedBytes) {
+        window.requestFileSystem(PERSISTENT, grantedBytes, function(fs){self.fs = fs;}, self.fsErrorHandler);
+      }, function(err) {
+        window.console.log('Error', err);} ); */
+      if (window.requestFileSystem) {
+        window.requestFileSystem(window.TEMPORARY, 5*1024*1024*1024, function(fs){
+          self.fs = fs;
+          callback(true);
+        }, function(err) {
+          callback(false, self.createError('Could not grant filesystem', '/', err));
+        });
+      } else if (fmjs.OPFSFileManager.isSupported()) {
+        var opfs = new fmjs.OPFSFileManager();
+
+        opfs.requestFileSystem(true, function(granted, err) {
+          if (granted) {
+            self.opfs = opfs;
+            // the changes made through the OPFS file manager are reported to this one's watchers
+            self.watchers = self.watchers || [];
+            opfs.watchers = self.watchers;
+          }
+          callback(granted, err);
+        });
+      } else {
+        callback(false, self.createError('No local filesystem available. This browser implements neither the ' +
+          'sandboxed FS API nor the Origin Private File System API', '/', null, fmjs.ApiNotLoadedError));
+      }
+    };
+
+    /**
+     * Execute a filesystem operation once a filesystem has been granted. The operation
+     * is delegated to the fmjs.OPFSFileManager object if the sandboxed FS API is not
+     * available.
+     *
+     * @param {Function} operation on the sandboxed FS.
+     * @param {String} name of the equivalent fmjs.OPFSFileManager method.
+     * @param {Array} arguments for the fmjs.OPFSFileManager method, the last one
+     * being the operation's optional callback.
+     */
+    fmjs.LocalFileManager.prototype.execFsOperation = function(fsOperation, opfsMethod, args) {
+      var self = this;
+
+      function execOperation() {
+        if (self.opfs) {
+          self.opfs[opfsMethod].apply(self.opfs, args);
+        } else {
+          fsOperation();
+        }
+      }
+
+      if (this.fs || this.opfs) {
+        execOperation();
+      } else {
+        this.requestFileSystem(true, function(granted, err) {
+          var callback = args[args.length - 1];
+
+          if (granted) {
+            execOperation();
+          } else if (typeof callback === 'function') {
+            callback(null, err);
+          }
+        });
+      }
+    };
+
+    /**
+     * Create a new directory path in the sandboxed FS
+     *
+     * @param {String} new absolute path to be created.
+     * @param {Function} optional callback whose argument is the directory entry or
+     * null otherwise.
+     */
+    fmjs.LocalFileManager.prototype.createPath = function(path, callback) {
+      var self = this;
+
+      function createPath() {
+
+        function createFolder(rootDirEntry, folders) {
+
+          function errorHandler(err) {
+            if (callback) {
+              // a type mismatch means a file already exists in the path
+              callback(null, self.createError('Could not create path ' + path, path, err,
+                err.name === 'TypeMismatchError' ? fmjs.AlreadyExistsError : null));
+            }
+          }
+
+          // exclusive:false means if the folder already exists then don't throw an error
+          rootDirEntry.getDirectory(folders[0], {create: true, exclusive:false}, function(dirEntry) {
+            // Recursively add the new subfolder (if we still have another to create).
+            folders = folders.slice(1);
+            if (folders.length) {
+              createFolder(dirEntry, folders);
+            } else if (callback) {
+              callback(dirEntry);
+            }
+          }, errorHandler);
+
+        }
+
+        var folders = util.path2array(path);
+
+        if (folders.length) {
+          createFolder(self.fs.root, folders); // fs.root is a DirectoryEntry
+        } else if (callback) {
+          callback(self.fs.root);
+        }
+      }
+
+      this.execFsOperation(createPath, 'createPath', [path, callback]);
+    };
+
+    /**
+     * Determine whether a file exists in the sandboxed FS
+     *
+     * @param {String} file's path.
+     * @param {Function} callback whose argument is the File object if found or
+     * null otherwise.
+     */
+    fmjs.LocalFileManager.prototype.isFile = function(filePath, callback) {
+      var self = this;
+
+      function findFile() {
+
+        function errorHandler(err) {
+          // a missing file is not a failure
+          if (err.name === 'NotFoundError' || err.name === 'TypeMismatchError') {
+            callback(null);
+          } else {
+            callback(null, self.createError('Could not find file ' + filePath, filePath, err));
+          }
+        }
+
+        self.fs.root.getFile(filePath, {create: false}, function(fileEntry) {
+          // Get a File object representing the file,
+          fileEntry.file(function(fileObj) {
+            callback(fileObj);
+          }, errorHandler);
+        }, errorHandler);
+      }
+
+      this.execFsOperation(findFile, 'isFile', [filePath, callback]);
+    };
+
+    /**
+     * Read a file from the sandboxed FS
+     *
+     * @param {String} file's path.
+     * @param {Object} optional read options (see fmjs.AbstractFileManager.prototype.getFileBlob).
+     * @param {Function} callback whose argument is an ArrayBuffer object containing
+     * the file data if the file is successfuly read or null otherwise.
+     */
+    fmjs.LocalFileManager.prototype.readFile = function(filePath, options, callback) {
+      var self = this;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
+      this.getFileBlob(filePath, options, function(fileObj, err) {
+        if (fileObj) {
+          self.readBlob(fileObj, filePath, options, callback);
+        } else {
+          callback(null, err);
+        }
+      });
+    };
+
+    /**
+     * Get a File object from the sandboxed FS
+     *
+     * @param {String} file's path.
+     * @param {Object} optional read options (see fmjs.AbstractFileManager.prototype.getFileBlob).
+     * @param {Function} callback whose argument is a File object if the file is successfuly
+     * retrieved or null otherwise.
+     */
+    fmjs.LocalFileManager.prototype.getFileBlob = function(filePath, options, callback) {
+      var self = this;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
+      function getFile() {
+        var err = self.checkAborted(options, filePath);
+
+        if (err) {
+          callback(null, err);
+          return;
+        }
+
+        function errorHandler(err) {
+          callback(null, self.createError('Could not retrieve file object ' + filePath, filePath, err));
+        }
+
+        self.fs.root.getFile(filePath, {create: false}, function(fileEntry) {
+
+          // Get a File object representing the file,
+          fileEntry.file(function(fileObj) {
+            callback(fileObj);
+          }, errorHandler);
+        }, errorHandler);
+      }
+
+      this.execFsOperation(getFile, 'getFileBlob', [filePath, options, callback]);
+    };
+
+    /**
+     * Write a file to the sandboxed FS
+     *
+     * @param {String} file's path.
+     * @param {Array} ArrayBuffer object or Blob containing the file data.
+     * @param {Object} optional write options (see fmjs.AbstractFileManager.prototype.writeFile).
+     * @param {Function} optional callback whose argument is the File object or
+     * null otherwise.
+     */
+    fmjs.LocalFileManager.prototype.writeFile = function(filePath, fileData, options, callback) {
+      var self = this;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
+      function checkPathAndWriteFile() {
+
+        function errorHandler(err) {
+          if (callback) {
+            // a type mismatch means a folder already exists at the path
+            callback(null, self.createError('Could not write file ' + filePath, filePath, err,
+              err.name === 'TypeMismatchError' ? fmjs.AlreadyExistsError : null));
+          }
+        }
+
+        function writeFile(path, err) {
+          err = err || self.checkAborted(options, filePath);
+
+          if (err) {
+            if (callback) {callback(null, err);}
+            return;
+          }
+
+          // the existence check is repeated atomically by an exclusive creation
+          var exclusive = options.ifExists === 'fail' && options.ifMatch === undefined;
+
+          self.fs.root.getFile(path, {create: true, exclusive: exclusive}, function(fileEntry) {
+            // Create a FileWriter object for our FileEntry (path).
+            fileEntry.createWriter(function(fileWriter) {
+              var signal = options.signal;
+              var dataBlob = new Blob([fileData], {type: fileData.type || ''});
+
+              function abort() {
+                fileWriter.abort();
+              }
+
+              fileWriter.onprogress = function(evt) {
+                if (options.onProgress) {
+                  options.onProgress(evt.loaded, evt.total);
+                }
+              };
+
+              fileWriter.onwriteend = function() {
+                if (signal) {
+                  signal.removeEventListener('abort', abort);
+                }
+              };
+
+              fileWriter.onabort = function() {
+                if (callback) {
+                  callback(null, self.checkAborted(options, filePath));
+                }
+              };
+
+              fileWriter.onwrite = function() {
+                if (fileWriter.length > dataBlob.size) {
+                  // the existing file was longer, its remaining data is dropped
+                  fileWriter.truncate(dataBlob.size);
+                  return;
+                }
+
+                // Get a File object representing the file,
+                fileEntry.file(function(fileObj) {
+                  self.pathWritten(path, fileObj);
+                  if (callback) {callback(fileObj);}
+                }, errorHandler);
+              };
+
+              fileWriter.onerror = function() {
+                // aborted writes are reported by onabort
+                if (fileWriter.error.name !== 'AbortError') {
+                  errorHandler(fileWriter.error);
+                }
+              };
+
+              if (signal) {
+                signal.addEventListener('abort', abort);
+              }
+
+              fileWriter.write(dataBlob);
+
+            }, errorHandler);
+          }, errorHandler);
+        }
+
+        var basedir = filePath.substring(0, filePath.lastIndexOf('/'));
+        self.fs.root.getDirectory(basedir || '/', {create: false}, function() {
+          self.getWritePath(filePath, options, writeFile);
+        }, function (err) {if (err.name === 'NotFoundError') {
+          self.createPath(basedir, function(dirEntry, err) {
+            if (dirEntry) {
+              self.getWritePath(filePath, options, writeFile);
+            } else if (callback) {
+              callback(null, err);
+            }
+          });} else {
+            errorHandler(err);
+          }} );
+      }
+
+      this.execFsOperation(checkPathAndWriteFile, 'writeFile', [filePath, fileData, options, callback]);
+    };
+
+    /**
+     * Get a WritableStream object that writes a file in the sandboxed FS through a FileWriter
+     * object (or in the OPFS if the sandboxed FS is not available). The chunks are written to
+     * a temporary file next to the file, which is moved over the file when the stream is
+     * closed. The file is left unchanged if the stream is aborted.
+     *
+     * @param {String} file's path.
+     * @param {Object} optional write options (see fmjs.AbstractFileManager.prototype.createWriteStream).
+     * @return {WritableStream} stream object whose chunks are ArrayBuffer, typed array or Blob
+     * objects. It is errored with a fmjs.FileManagerError object if the file can't be written.
+     */
+    fmjs.LocalFileManager.prototype.createWriteStream = function(filePath, options) {
+      var self = this;
+      var basedir = filePath.substring(0, filePath.lastIndexOf('/'));
+      var fileWriter = null;
+      var writePath = null;
+      // temporary file entry where the chunks are written
+      var tempEntry = null;
+      // writer of the OPFS file manager's stream
+      var opfsWriter = null;
+      // whether the file must not exist when the stream is closed
+      var exclusive;
+
+      options = options || {};
+      exclusive = options.ifExists === 'fail' && options.ifMatch === undefined;
+
+      function createWriteError(err) {
+        // a type mismatch or an invalid modification means a folder already exists at the path
+        return self.createError('Could not write file ' + filePath, filePath, err,
+          err.name === 'TypeMismatchError' || err.name === 'InvalidModificationError' ? fmjs.AlreadyExistsError : null);
+      }
+
+      function removeTempEntry() {
+        return new Promise(function(resolve) {
+          tempEntry.remove(resolve, resolve);
+        });
+      }
+
+      // run a FileWriter operation and wait for it to complete
+      function execWriterOperation(operation) {
+        return new Promise(function(resolve, reject) {
+          fileWriter.onwrite = function() {
+            resolve();
+          };
+          fileWriter.onerror = function() {
+            reject(self.createError('Could not write file ' + filePath, filePath, fileWriter.error));
+          };
+          operation();
+        });
+      }
+
+      return new WritableStream({
+        start: function() {
+          return new Promise(function(resolve, reject) {
+
+            function errorHandler(err) {
+              reject(createWriteError(err));
+            }
+
+            self.createPath(basedir, function(dirEntry, err) {
+
+              if (!dirEntry) {
+                reject(err);
+              } else if (self.opfs) {
+                opfsWriter = self.opfs.createWriteStream(filePath, options).getWriter();
+                opfsWriter.ready.then(resolve, reject);
+              } else {
+                self.getWritePath(filePath, options, function(path, err) {
+                  var tempPath = path + '.fmjs-part-' + Date.now().toString(36);
+
+                  if (!path) {
+                    reject(err);
+                    return;
+                  }
+
+                  self.fs.root.getFile(tempPath, {create: true, exclusive: true}, function(fileEntry) {
+                    tempEntry = fileEntry;
+                    fileEntry.createWriter(function(writer) {
+                      fileWriter = writer;
+                      writePath = path;
+                      resolve();
+                    }, function(err) {
+                      removeTempEntry().then(function() {
+                        errorHandler(err);
+                      });
+                    });
+                  }, errorHandler);
+                });
+              }
+            });
+          });
+        },
+
+        write: function(chunk) {
+          if (opfsWriter) {
+            return opfsWriter.write(chunk);
+          }
+          return execWriterOperation(function() {
+            fileWriter.write(new Blob([chunk]));
+          });
+        },
+
+        close: function() {
+          if (opfsWriter) {
+            return opfsWriter.close();
+          }
+
+          return new Promise(function(resolve, reject) {
+            var name = writePath.substring(writePath.lastIndexOf('/') + 1);
+
+            function errorHandler(err) {
+              removeTempEntry().then(function() {
+                reject(createWriteError(err));
+              });
+            }
+
+            function replaceFile() {
+              tempEntry.getParent(function(dirEntry) {
+                tempEntry.moveTo(dirEntry, name, function() {
+                  self.pathWritten(writePath);
+                  resolve();
+                }, errorHandler);
+              }, errorHandler);
+            }
+
+            if (exclusive) {
+              // the existence check is repeated atomically by an exclusive creation
+              self.fs.root.getFile(writePath, {create: true, exclusive: true}, replaceFile, errorHandler);
+            } else {
+              replaceFile();
+            }
+          });
+        },
+
+        abort: function(reason) {
+          if (opfsWriter) {
+            return opfsWriter.abort(reason);
+          }
+          // the file is left unchanged
+          return tempEntry && removeTempEntry();
+        }
+      });
+    };
+
+    /**
+     * Get the entries of a directory in the sandboxed FS
+     *
+     * @param {String} directory's path.
+     * @param {Object} listing options (see fmjs.AbstractFileManager.prototype.listDirectory).
+     * @param {Function} callback whose argument is an array of entry objects if the
+     * directory is successfuly read or null otherwise.
+     */
+    fmjs.LocalFileManager.prototype.getDirectoryEntries = function(path, options, callback) {
+      var self = this;
+
+      function getEntries() {
+
+        function errorHandler(err) {
+          callback(null, self.createError('Could not list directory ' + path, path, err));
+        }
+
+        function describeEntries(fsEntries) {
+          var entries = [];
+
+          function describeNextEntry() {
+            var fsEntry = fsEntries[entries.length];
+
+            if (!fsEntry) {
+              callback(entries);
+            } else if (fsEntry.isDirectory) {
+              fsEntry.getMetadata(function(metadata) {
+                entries.push(self.createDirectoryEntry(path, {name: fsEntry.name, isDirectory: true,
+                  modifiedTime: metadata.modificationTime.getTime()}));
+                describeNextEntry();
+              }, errorHandler);
+            } else {
+              // Get a File object to know the file's size and type
+              fsEntry.file(function(fileObj) {
+                entries.push(self.createDirectoryEntry(path, {name: fsEntry.name, isDirectory: false,
+                  size: fileObj.size, mimeType: fileObj.type, modifiedTime: fileObj.lastModified}));
+                describeNextEntry();
+              }, errorHandler);
+            }
+          }
+
+          describeNextEntry();
+        }
+
+        function readEntries(dirEntry) {
+          var dirReader = dirEntry.createReader();
+          var fsEntries = [];
+
+          // readEntries returns the entries in batches until it returns an empty batch
+          function readNextBatch() {
+            dirReader.readEntries(function(batch) {
+              if (batch.length) {
+                fsEntries = fsEntries.concat(Array.prototype.slice.call(batch));
+                readNextBatch();
+              } else {
+                describeEntries(fsEntries);
+              }
+            }, errorHandler);
+          }
+
+          readNextBatch();
+        }
+
+        if (util.path2array(path).length) {
+          self.fs.root.getDirectory(path, {create: false}, readEntries, errorHandler);
+        } else {
+          readEntries(self.fs.root);
+        }
+      }
+
+      this.execFsOperation(getEntries, 'getDirectoryEntries', [path, options, callback]);
+    };
+
+    /**
+     * Remove a file from the sandboxed FS
+     *
+     * @param {String} file's path.
+     * @param {Object} optional object with removal options (none is used by this file manager).
+     * @param {Function} optional callback whose argument is a boolean true if the file
+     * was removed.
+     */
+    fmjs.LocalFileManager.prototype.removeFile = function(filePath, options, callback) {
+      var self = this;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+
+      function removeFile() {
+
+        function errorHandler(err) {
+          if (callback) {
+            callback(false, self.createError('Could not remove file ' + filePath, filePath, err));
+          }
+        }
+
+        self.fs.root.getFile(filePath, {create: false}, function(fileEntry) {
+          fileEntry.remove(function() {
+            self.pathChanged(filePath, null, function() {
+              if (callback) {callback(true);}
+            });
+          }, errorHandler);
+        }, errorHandler);
+      }
+
+      this.execFsOperation(removeFile, 'removeFile', [filePath, options, callback]);
+    };
+
+    /**
+     * Remove a file or directory from the sandboxed FS
+     *
+     * @param {String} file's or directory's path.
+     * @param {Object} optional object with property recursive: whether to remove a
+     * directory that is not empty along with its contents (default false).
+     * @param {Function} optional callback whose argument is a boolean true if the path
+     * was removed.
+     */
+    fmjs.LocalFileManager.prototype.removePath = function(path, options, callback) {
+      var self = this;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
+      function removePath() {
+
+        function errorHandler(err, ErrorClass) {
+          if (callback) {
+            callback(false, self.createError('Could not remove path ' + path, path, err, ErrorClass));
+          }
+        }
+
+        function removeEntry(entry) {
+
+          function onRemoved() {
+            self.pathChanged(path, null, function() {
+              if (callback) {callback(true);}
+            });
+          }
+
+          if (entry.isDirectory && options.recursive) {
+            entry.removeRecursively(onRemoved, errorHandler);
+          } else {
+            entry.remove(onRemoved, function(err) {
+              // a directory that is not empty can't be removed without the recursive option
+              errorHandler(err, entry.isDirectory && err.name === 'InvalidModificationError' ?
+                fmjs.DirectoryNotEmptyError : null);
+            });
+          }
+        }
+
+        if (!util.path2array(path).length) {
+          errorHandler(null, fmjs.PermissionDeniedError);
+          return;
+        }
+
+        self.fs.root.getDirectory(path, {create: false}, removeEntry, function(err) {
+          // a type mismatch means there is a file at the path
+          if (err.name === 'TypeMismatchError') {
+            self.fs.root.getFile(path, {create: false}, removeEntry, errorHandler);
+          } else {
+            errorHandler(err);
+          }
+        });
+      }
+
+      this.execFsOperation(removePath, 'removePath', [path, options, callback]);
+    };
+
+    /**
+     * Move a file within the sandboxed FS. The destination's parent directories are
+     * created if they don't exist.
+     *
+     * @param {String} source file's path.
+     * @param {String} destination file's path.
+     * @param {Object} optional object with property overwrite: whether to replace an existing
+     * file at the destination instead of failing with fmjs.AlreadyExistsError (default false).
+     * @param {Function} optional callback whose argument is the moved File object or
+     * null otherwise.
+     */
+    fmjs.LocalFileManager.prototype.moveFile = function(srcPath, dstPath, options, callback) {
+      this.copyOrMoveFile(srcPath, dstPath, true, options, callback);
+    };
+
+    /**
+     * Copy a file within the sandboxed FS. The destination's parent directories are
+     * created if they don't exist.
+     *
+     * @param {String} source file's path.
+     * @param {String} destination file's path.
+     * @param {Object} optional object with property overwrite: whether to replace an existing
+     * file at the destination instead of failing with fmjs.AlreadyExistsError (default false).
+     * @param {Function} optional callback whose argument is the new File object or
+     * null otherwise.
+     */
+    fmjs.LocalFileManager.prototype.copyFile = function(srcPath, dstPath, options, callback) {
+      this.copyOrMoveFile(srcPath, dstPath, false, options, callback);
+    };
+
+    /**
+     * Copy or move a file within the sandboxed FS
+     *
+     * @param {String} source file's path.
+     * @param {String} destination file's path.
+     * @param {Boolean} whether to move the file instead of copying it.
+     * @param {Object} optional options object (see moveFile).
+     * @param {Function} optional callback whose argument is the destination File object
+     * or null otherwise.
+     */
+    fmjs.LocalFileManager.prototype.copyOrMoveFile = function(srcPath, dstPath, move, options, callback) {
+      var self = this;
+      var basedir = dstPath.substring(0, dstPath.lastIndexOf('/'));
+      var name = dstPath.substring(dstPath.lastIndexOf('/') + 1);
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
+      function copyOrMoveFile() {
+
+        function errorHandler(err) {
+          if (callback) {
+            // an invalid modification means a folder already exists at the destination path
+            callback(null, self.createError('Could not ' + (move ? 'move' : 'copy') + ' file ' + srcPath + ' to ' +
+              dstPath, srcPath, err, err.name === 'InvalidModificationError' ? fmjs.AlreadyExistsError : null));
+          }
+        }
+
+        function getFile(fileEntry) {
+          if (callback) {
+            // Get a File object representing the file,
+            fileEntry.file(function(fileObj) {
+              callback(fileObj);
+            }, errorHandler);
+          }
+        }
+
+        self.fs.root.getFile(srcPath, {create: false}, function(fileEntry) {
+
+          // a file can't be moved or copied onto itself
+          if (self.normalizePath(srcPath) === self.normalizePath(dstPath)) {
+            getFile(fileEntry);
+            return;
+          }
+
+          function onCopiedOrMoved(newFileEntry) {
+            if (move) {
+              self.pathChanged(srcPath, dstPath, function() {
+                getFile(newFileEntry);
+              });
+            } else {
+              newFileEntry.file(function(fileObj) {
+                self.pathWritten(dstPath, fileObj);
+                if (callback) {callback(fileObj);}
+              }, errorHandler);
+            }
+          }
+
+          function copyOrMove() {
+            self.createPath(basedir, function(dirEntry, err) {
+              if (dirEntry) {
+                fileEntry[move ? 'moveTo' : 'copyTo'](dirEntry, name, onCopiedOrMoved, errorHandler);
+              } else if (callback) {
+                callback(null, err);
+              }
+            });
+          }
+
+          if (options.overwrite) {
+            copyOrMove();
+            return;
+          }
+
+          self.fs.root.getFile(dstPath, {create: false}, function() {
+            if (callback) {
+              callback(null, self.createError('Could not ' + (move ? 'move' : 'copy') + ' file ' + srcPath + ' to ' +
+                dstPath + '. A file already exists at the destination path', srcPath, null, fmjs.AlreadyExistsError));
+            }
+          }, copyOrMove);
+        }, errorHandler);
+      }
+
+      this.execFsOperation(copyOrMoveFile, move ? 'moveFile' : 'copyFile', [srcPath, dstPath, options, callback]);
+    };
+
+    fmjs.promisifyMethods(fmjs.LocalFileManager,
+      ['requestFileSystem', 'createPath', 'isFile', 'readFile', 'getFileBlob', 'writeFile', 'getDirectoryEntries',
+      'removeFile', 'removePath', 'moveFile', 'copyFile']);
+
+
+    /**
+     * Concrete class implementing a file manager for the browser's Origin Private
+     * File System (OPFS). Uses the File System Access API's directory and file handles.
+     *
+     * @constructor
+     * @extends {fmjs.AbstractFileManager}
+     */
+    fmjs.OPFSFileManager = function() {
+
+      // root FileSystemDirectoryHandle object
+      this.root = null;
+      // Files are written in chunks of this number of bytes
+      this.WRITE_CHUNK_SIZE = 4*1024*1024;
+    };
+
+    /**
+     * fmjs.OPFSFileManager class inherits from fmjs.AbstractFileManager class
+     */
+    fmjs.OPFSFileManager.prototype = Object.create(fmjs.AbstractFileManager.prototype);
+    fmjs.OPFSFileManager.prototype.constructor = fmjs.OPFSFileManager;
+    fmjs.OPFSFileManager.prototype.backendName = 'OPFSFileManager';
+
+    /**
+     * Determine whether the browser implements the Origin Private File System API
+     *
+     * @return {Boolean} true if the OPFS is available.
+     */
+    fmjs.OPFSFileManager.isSupported = function() {
+      return !!(window.navigator && window.navigator.storage && window.navigator.storage.getDirectory);
+    };
+
+    /**
+     * Request the origin private filesystem
+     *
+     * @param {Boolean} unused.
+     * @param {Function} callback whose argument is a boolean true if the filesystem
+     * was granted.
+     */
+    fmjs.OPFSFileManager.prototype.requestFileSystem = function(immediate, callback) {
+      var self = this;
+
+      if (typeof immediate === 'function') {
+        callback = immediate;
+      }
+
+      this.getRoot().then(function() {
+        callback(true);
+      }, function(err) {
+        callback(false, self.createError('Could not grant origin private filesystem', '/', err));
+      });
+    };
+
+    /**
+     * Get the root directory handle of the origin private filesystem
+     *
+     * @return {Promise} promise resolved with the root FileSystemDirectoryHandle object.
+     */
+    fmjs.OPFSFileManager.prototype.getRoot = function() {
+      var self = this;
+
+      if (this.root) {
+        return Promise.resolve(this.root);
+      }
+
+      return window.navigator.storage.getDirectory().then(function(root) {
+        self.root = root;
+        return root;
+      });
+    };
+
+    /**
+     * Get the directory handle at the given path
+     *
+     * @param {String} absolute directory path.
+     * @param {Boolean} whether to create the missing folders in the path.
+     * @return {Promise} promise resolved with the FileSystemDirectoryHandle object.
+     */
+    fmjs.OPFSFileManager.prototype.getDirectoryHandle = function(path, create) {
+      var folders = util.path2array(path);
+
+      return folders.reduce(function(handlePromise, name) {
+        return handlePromise.then(function(dirHandle) {
+          return dirHandle.getDirectoryHandle(name, {create: create});
+        });
+      }, this.getRoot());
+    };
+
+    /**
+     * Get the file handle at the given path
+     *
+     * @param {String} file's path.
+     * @param {Boolean} whether to create the file and the missing folders in its path.
+     * @return {Promise} promise resolved with the FileSystemFileHandle object.
+     */
+    fmjs.OPFSFileManager.prototype.getFileHandle = function(filePath, create) {
+      var basedir = filePath.substring(0, filePath.lastIndexOf('/'));
+      var name = filePath.substring(filePath.lastIndexOf('/') + 1);
+
+      return this.getDirectoryHandle(basedir, create).then(function(dirHandle) {
+        return dirHandle.getFileHandle(name, {create: create});
+      });
+    };
+
+    /**
+     * Get the handle of a file to be written, the file and the missing folders in its path
+     * are created if it doesn't exist
+     *
+     * @param {String} file's path.
+     * @return {Promise} promise resolved with an object with properties handle (the
+     * FileSystemFileHandle object) and created (whether the file has been created).
+     */
+    fmjs.OPFSFileManager.prototype.openFileHandle = function(filePath) {
+      var self = this;
+
+      return this.getFileHandle(filePath, false).then(function(handle) {
+        return {handle: handle, created: false};
+      }, function(err) {
+        if (err.name !== 'NotFoundError') {
+          throw err;
+        }
+        return self.getFileHandle(filePath, true).then(function(handle) {
+          return {handle: handle, created: true};
+        });
+      });
+    };
+
+    /**
+     * Remove the file created by a write that has failed. The watchers are not told as
+     * the file has not been reported as created.
+     *
+     * @param {String} file's path.
+     * @return {Promise} promise resolved when the file has been removed or could not be.
+     */
+    fmjs.OPFSFileManager.prototype.removeCreatedFile = function(filePath) {
+      var basedir = filePath.substring(0, filePath.lastIndexOf('/'));
+      var name = filePath.substring(filePath.lastIndexOf('/') + 1);
+
+      return this.getDirectoryHandle(basedir, false).then(function(dirHandle) {
+        return dirHandle.removeEntry(name);
+      }).catch(function() {});
+    };
+
+    /**
+     * Create a new directory path in the OPFS
+     *
+     * @param {String} new absolute path to be created.
+     * @param {Function} optional callback whose argument is the directory handle or
+     * null otherwise.
+     */
+    fmjs.OPFSFileManager.prototype.createPath = function(path, callback) {
+      var self = this;
+
+      this.getDirectoryHandle(path, true).then(function(dirHandle) {
+        if (callback) {
+          callback(dirHandle);
+        }
+      }, function(err) {
+        if (callback) {
+          // a type mismatch means a file already exists in the path
+          callback(null, self.createError('Could not create path ' + path, path, err,
+            err.name === 'TypeMismatchError' ? fmjs.AlreadyExistsError : null));
+        }
+      });
+    };
+
+    /**
+     * Determine whether a file exists in the OPFS
+     *
+     * @param {String} file's path.
+     * @param {Function} callback whose argument is the File object if found or
+     * null otherwise.
+     */
+    fmjs.OPFSFileManager.prototype.isFile = function(filePath, callback) {
+      var self = this;
+
+      this.getFileHandle(filePath, false).then(function(fileHandle) {
+        return fileHandle.getFile();
+      }).then(function(fileObj) {
+        callback(fileObj);
+      }, function(err) {
+        // a missing file is not a failure
+        if (err.name === 'NotFoundError' || err.name === 'TypeMismatchError') {
+          callback(null);
+        } else {
+          callback(null, self.createError('Could not find file ' + filePath, filePath, err));
+        }
+      });
+    };
+
+    /**
+     * Read a file from the OPFS
+     *
+     * @param {String} file's path.
+     * @param {Object} optional read options (see fmjs.AbstractFileManager.prototype.getFileBlob).
+     * @param {Function} callback whose argument is an ArrayBuffer object containing
+     * the file data if the file is successfuly read or null otherwise.
+     */
+    fmjs.OPFSFileManager.prototype.readFile = function(filePath, options, callback) {
+      var self = this;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
+      this.getFileBlob(filePath, options, function(fileObj, err) {
+        if (fileObj) {
+          self.readBlob(fileObj, filePath, options, callback);
+        } else {
+          callback(null, err);
+        }
+      });
+    };
+
+    /**
+     * Get a File object from the OPFS
+     *
+     * @param {String} file's path.
+     * @param {Object} optional read options (see fmjs.AbstractFileManager.prototype.getFileBlob).
+     * @param {Function} callback whose argument is a File object if the file is successfuly
+     * retrieved or null otherwise.
+     */
+    fmjs.OPFSFileManager.prototype.getFileBlob = function(filePath, options, callback) {
+      var self = this;
+      var err;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
+      err = this.checkAborted(options, filePath);
+      if (err) {
+        callback(null, err);
+        return;
+      }
+
+      this.getFileHandle(filePath, false).then(function(fileHandle) {
+        return fileHandle.getFile();
+      }).then(function(fileObj) {
+        callback(fileObj);
+      }, function(err) {
+        callback(null, self.createError('Could not retrieve file object ' + filePath, filePath, err));
+      });
+    };
+
+    /**
+     * Write a file to the OPFS. An existing file at the same path is overwritten unless the
+     * ifExists option says otherwise. The data
+     * is written in chunks of WRITE_CHUNK_SIZE bytes so that progress can be reported and
+     * the write can be cancelled between chunks, the file is left unchanged if it is.
+     *
+     * @param {String} file's path.
+     * @param {Array} ArrayBuffer object or Blob containing the file data.
+     * @param {Object} optional write options (see fmjs.AbstractFileManager.prototype.writeFile).
+     * @param {Function} optional callback whose argument is the File object or
+     * null otherwise.
+     */
+    fmjs.OPFSFileManager.prototype.writeFile = function(filePath, fileData, options, callback) {
+      var self = this;
+      var blob = new Blob([fileData], {type: fileData.type || ''});
+      var fileHandle;
+      // whether the file has been created by the write and not written yet
+      var created = false;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
+      function writeChunks(writable, offset) {
+        var err = self.checkAborted(options, filePath);
+
+        if (err) {
+          return Promise.reject(err);
+        }
+
+        if (offset >= blob.size) {
+          return writable.close();
+        }
+
+        var chunk = blob.slice(offset, offset + self.WRITE_CHUNK_SIZE);
+
+        return writable.write(chunk).then(function() {
+          if (options.onProgress) {
+            options.onProgress(offset + chunk.size, blob.size);
+          }
+          return writeChunks(writable, offset + chunk.size);
+        });
+      }
+
+      var err = this.checkAborted(options, filePath);
+
+      if (err) {
+        if (callback) {callback(null, err);}
+        return;
+      }
+
+      this.getWritePath(filePath, options, function(path, err) {
+
+        if (!path) {
+          if (callback) {callback(null, err);}
+          return;
+        }
+
+        self.openFileHandle(path).then(function(opened) {
+          fileHandle = opened.handle;
+          created = opened.created;
+          // FileSystemWritableFileStream object, the file is truncated unless keepExistingData
+          return fileHandle.createWritable();
+        }).then(function(writable) {
+          return writeChunks(writable, 0).catch(function(err) {
+            function rethrow() {
+              throw err;
+            }
+
+            // discard the data written so far and release the file's lock
+            return writable.abort().then(rethrow, rethrow);
+          });
+        }).then(function() {
+          created = false;
+          return fileHandle.getFile();
+        }).then(function(fileObj) {
+          self.pathWritten(path, fileObj);
+          if (callback) {
+            callback(fileObj);
+          }
+        }, function(err) {
+          // a file created for the write is not left empty
+          (created ? self.removeCreatedFile(path) : Promise.resolve()).then(function() {
+            if (callback) {
+              // a type mismatch means a folder already exists at the path or a file in its path
+              callback(null, self.createError('Could not write file ' + path, path, err,
+                err.name === 'TypeMismatchError' ? fmjs.AlreadyExistsError : null));
+            }
+          });
+        });
+      });
+    };
+
+    /**
+     * Get a WritableStream object that writes a file in the OPFS through the file's native
+     * FileSystemWritableFileStream object. The file is only replaced when the stream is closed.
+     *
+     * @param {String} file's path.
+     * @param {Object} optional write options (see fmjs.AbstractFileManager.prototype.createWriteStream).
+     * @return {WritableStream} stream object whose chunks are ArrayBuffer, typed array or Blob
+     * objects. It is errored with a fmjs.FileManagerError object if the file can't be written.
+     */
+    fmjs.OPFSFileManager.prototype.createWriteStream = function(filePath, options) {
+      var self = this;
+      var path = filePath;
+      var writable = null;
+      // whether the file has been created for the stream
+      var created = false;
+
+      function createError(err) {
+        // a type mismatch means a folder already exists at the path or a file in its path
+        return self.createError('Could not write file ' + path, path, err,
+          err.name === 'TypeMismatchError' ? fmjs.AlreadyExistsError : null);
+      }
+
+      return new WritableStream({
+        start: function() {
+          return new Promise(function(resolve, reject) {
+            self.getWritePath(filePath, options || {}, function(writePath, err) {
+
+              if (!writePath) {
+                reject(err);
+                return;
+              }
+
+              path = writePath;
+              self.openFileHandle(path).then(function(opened) {
+                created = opened.created;
+                return opened.handle.createWritable();
+              }).then(function(fileWritable) {
+                writable = fileWritable;
+                resolve();
+              }, function(err) {
+                reject(createError(err));
+              });
+            });
+          });
+        },
+
+        write: function(chunk) {
+          return writable.write(chunk).catch(function(err) {
+            throw createError(err);
+          });
+        },
+
+        close: function() {
+          return writable.close().then(function() {
+            self.pathWritten(path);
+          }, function(err) {
+            throw createError(err);
+          });
+        },
+
+        abort: function(reason) {
+          // the file is left unchanged, or removed if it has been created for the stream
+          return writable && writable.abort(reason).then(function() {
+            return created && self.removeCreatedFile(path);
+          });
+        }
+      });
+    };
+
+    /**
+     * Get the entries of a directory in the OPFS
+     *
+     * @param {String} directory's path.
+     * @param {Object} listing options (see fmjs.AbstractFileManager.prototype.listDirectory).
+     * @param {Function} callback whose argument is an array of entry objects if the
+     * directory is successfuly read or null otherwise.
+     */
+    fmjs.OPFSFileManager.prototype.getDirectoryEntries = function(path, options, callback) {
+      var self = this;
+      var entries = [];
+
+      function readEntries(handleIterator) {
+
+        return handleIterator.next().then(function(item) {
+          if (item.done) {
+            return entries;
+          }
+
+          var handle = item.value;
+
+          if (handle.kind === 'directory') {
+            // the OPFS doesn't record the modification time of directories
+            entries.push(self.createDirectoryEntry(path, {name: handle.name, isDirectory: true}));
+            return readEntries(handleIterator);
+          }
+
+          return handle.getFile().then(function(fileObj) {
+            entries.push(self.createDirectoryEntry(path, {name: handle.name, isDirectory: false,
+              size: fileObj.size, mimeType: fileObj.type, modifiedTime: fileObj.lastModified}));
+            return readEntries(handleIterator);
+          });
+        });
+      }
+
+      this.getDirectoryHandle(path, false).then(function(dirHandle) {
+        return readEntries(dirHandle.values());
+      }).then(function(entries) {
+        callback(entries);
+      }, function(err) {
+        callback(null, self.createError('Could not list directory ' + path, path, err));
+      });
+    };
+
+    /**
+     * Remove a file from the OPFS
+     *
+     * @param {String} file's path.
+     * @param {Object} optional object with removal options (none is used by this file manager).
+     * @param {Function} optional callback whose argument is a boolean true if the file
+     * was removed.
+     */
+    fmjs.OPFSFileManager.prototype.removeFile = function(filePath, options, callback) {
+      var self = this;
+      var basedir = filePath.substring(0, filePath.lastIndexOf('/'));
+      var name = filePath.substring(filePath.lastIndexOf('/') + 1);
+
+      if (typeof options === 'function') {
+        callback = options;
+      }
+
+      // make sure that the path is not a directory before removing it
+      this.getFileHandle(filePath, false).then(function() {
+        return self.getDirectoryHandle(basedir, false);
+      }).then(function(dirHandle) {
+        return dirHandle.removeEntry(name);
+      }).then(function() {
+        self.pathChanged(filePath, null, function() {
+          if (callback) {callback(true);}
+        });
+      }, function(err) {
+        if (callback) {
+          callback(false, self.createError('Could not remove file ' + filePath, filePath, err));
+        }
+      });
+    };
+
+    /**
+     * Remove a file or directory from the OPFS
+     *
+     * @param {String} file's or directory's path.
+     * @param {Object} optional object with property recursive: whether to remove a
+     * directory that is not empty along with its contents (default false).
+     * @param {Function} optional callback whose argument is a boolean true if the path
+     * was removed.
+     */
+    fmjs.OPFSFileManager.prototype.removePath = function(path, options, callback) {
+      var self = this;
+      var entries = util.path2array(path);
+      var name = entries.pop();
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
+      if (!name) {
+        if (callback) {
+          callback(false, this.createError('Can not remove the root directory', path, null,
+            fmjs.PermissionDeniedError));
+        }
+        return;
+      }
+
+      this.getDirectoryHandle(entries.join('/'), false).then(function(dirHandle) {
+        return dirHandle.removeEntry(name, {recursive: !!options.recursive});
+      }).then(function() {
+        self.pathChanged(path, null, function() {
+          if (callback) {callback(true);}
+        });
+      }, function(err) {
+        if (callback) {
+          // a directory that is not empty can't be removed without the recursive option
+          callback(false, self.createError('Could not remove path ' + path, path, err,
+            err.name === 'InvalidModificationError' ? fmjs.DirectoryNotEmptyError : null));
+        }
+      });
+    };
+
+    /**
+     * Move a file within the OPFS. The destination's parent directories are created if
+     * they don't exist.
+     *
+     * @param {String} source file's path.
+     * @param {String} destination file's path.
+     * @param {Object} optional object with property overwrite: whether to replace an existing
+     * file at the destination instead of failing with fmjs.AlreadyExistsError (default false).
+     * @param {Function} optional callback whose argument is the moved File object or
+     * null otherwise.
+     */
+    fmjs.OPFSFileManager.prototype.moveFile = function(srcPath, dstPath, options, callback) {
+      var self = this;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+
+      // a file can't be moved onto itself
+      if (this.normalizePath(srcPath) === this.normalizePath(dstPath)) {
+        this.getFileBlob(srcPath, function(fileObj, err) {
+          if (callback) {callback(fileObj, err);}
+        });
+        return;
+      }
+
+      // not every browser implements FileSystemHandle.move so the file is copied and then removed
+      this.copyFile(srcPath, dstPath, options, function(fileObj, err) {
+        if (fileObj) {
+          // the properties are moved first so that removing the source doesn't drop them. The
+          // watchers are told about the copy's creation and the source's removal instead of a move
+          self.updatePathProperties(srcPath, dstPath, function() {
+            self.removeFile(srcPath, function(removed, err) {
+              if (callback) {callback(removed ? fileObj : null, err);}
+            });
+          });
+        } else if (callback) {
+          callback(null, err);
+        }
+      });
+    };
+
+    /**
+     * Copy a file within the OPFS. The destination's parent directories are created if
+     * they don't exist.
+     *
+     * @param {String} source file's path.
+     * @param {String} destination file's path.
+     * @param {Object} optional object with property overwrite: whether to replace an existing
+     * file at the destination instead of failing with fmjs.AlreadyExistsError (default false).
+     * @param {Function} optional callback whose argument is the new File object or
+     * null otherwise.
+     */
+    fmjs.OPFSFileManager.prototype.copyFile = function(srcPath, dstPath, options, callback) {
+      var self = this;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
+      this.getFileBlob(srcPath, function(fileObj, err) {
+        if (!fileObj) {
+          if (callback) {callback(null, err);}
+        } else if (self.normalizePath(srcPath) === self.normalizePath(dstPath)) {
+          // a file can't be copied onto itself
+          if (callback) {callback(fileObj);}
+        } else {
+          self.writeFile(dstPath, fileObj, {ifExists: options.overwrite ? 'overwrite' : 'fail'}, callback);
+        }
+      });
+    };
+
+    fmjs.promisifyMethods(fmjs.OPFSFileManager,
+      ['requestFileSystem', 'createPath', 'isFile', 'readFile', 'getFileBlob', 'writeFile', 'getDirectoryEntries',
+      'removeFile', 'removePath', 'moveFile', 'copyFile']);
+
+
+    /**
+     * Concrete class implementing a file manager for Google Drive.
+     * Uses Google Drive's REST API v3 through fetch.
+     *
+     * @constructor
+     * @extends {fmjs.AbstractFileManager}
+     * @param {String} Client ID from the Google's developer console.
+     * @param {Object} optional object with properties:
+     *  -baseUrl: base URL of the Google APIs, it can point to a local Drive-compatible
+     *   server when testing (default 'https://www.googleapis.com')
+     *  -tokenProvider: function(interactive, callback) that gets an OAuth 2.0 access token,
+     *   interactive tells whether the user may be prompted. It calls back with the token
+     *   string (null if no token could be retrieved) and an optional error object, or it
+     *   returns a Promise resolved with the token. By default Google Identity Services is
+     *   used (see fmjs.GDriveFileManager.createGisTokenProvider)
+     *  -accessToken: an already retrieved access token
+     *  -retry: policy applied to the requests that fail with a transient error (a network error,
+     *   5xx, 429 or 403 rateLimitExceeded/userRateLimitExceeded). An object with properties:
+     *   maxAttempts (maximum number of attempts of a request, default 5), initialDelay (number
+     *   of milliseconds before the first retry, default 1000), multiplier (factor the delay grows
+     *   by after every retry, default 2) and maxDelay (maximum delay, default 32000). A delay
+     *   asked by the server through the Retry-After header is honored instead
+     *  -chunkSize: files are uploaded in chunks of this number of bytes, it must be a
+     *   multiple of 256KB (default 8MB)
+     *  -multipartMaxSize: files up to this number of bytes are uploaded in a single
+     *   multipart request (default 5MB)
+     *  -cacheTtl: number of milliseconds the id of a file or folder found at a path is
+     *   cached for, 0 disables the cache (default 5 minutes)
+     *  -cacheSize: maximum number of cached paths (default 1000)
+     *  -duplicateTitles: how to resolve a path when several files or folders with the same
+     *   title are found in a folder. One of 'first' (the first one returned by the API),
+     *   'newest' (the most recently modified one), 'error' (fail with fmjs.DuplicateEntryError)
+     *   or 'all' (findEntry and isFile return an array with all of them while the operations
+     *   that need a single entry fail as with 'error'). It can be overridden through the
+     *   options of findEntry, isFile, readFile, writeFile, createFile, copyFile, moveFile,
+     *   shareFile and shareWith (default 'first')
+     *  -watchInterval: number of milliseconds between two polls of the changes feed by the
+     *   watchers (see fmjs.GDriveFileManager.prototype.startWatcher) (default 1 minute)
+     */
+    fmjs.GDriveFileManager = function(clientId, options) {
+      options = options || {};
+
+      // Google's ID for the client app
+      this.CLIENT_ID = clientId;
+      // Permissions to access files uploaded through the API and read-only access to files
+      this.SCOPES = ['https://www.googleapis.com/auth/drive.file','https://www.googleapis.com/auth/drive.readonly'];
+      // Base URLs, they can point to a local Drive-compatible server when testing
+      this.BASE_URL = (options.baseUrl || 'https://www.googleapis.com').replace(/\/$/, '');
+      this.API_URL = this.BASE_URL + '/drive/v3';
+      // URL of the upload endpoint
+      this.UPLOAD_URL = this.BASE_URL + '/upload/drive/v3/files';
+      // URL of the batch endpoint and maximum number of requests in a batch request
+      this.BATCH_URL = this.BASE_URL + '/batch/drive/v3';
+      this.BATCH_SIZE = 100;
+      // Fields of the file resources returned by the API
+      this.FILE_FIELDS = 'id,name,mimeType,parents,size,createdTime,modifiedTime,md5Checksum,version,trashed';
+      // Fields of the permission resources returned by the API
+      this.PERMISSION_FIELDS = 'id,type,role,emailAddress,domain,displayName';
+      // Private app property marking the files and folders moved to the trash by trash
+      this.TRASHED_PROPERTY = 'fmjsTrashed';
+      // Retry policy of the requests that fail with a transient error
+      var retry = options.retry || {};
+      this.RETRY_POLICY = {
+        maxAttempts: retry.maxAttempts || 5,
+        initialDelay: retry.initialDelay === undefined ? 1000 : retry.initialDelay,
+        multiplier: retry.multiplier || 2,
+        maxDelay: retry.maxDelay === undefined ? 32000 : retry.maxDelay
+      };
+      // Resumable upload chunk size
+      this.CHUNK_SIZE = options.chunkSize || 8*1024*1024;
+      // Larger files are uploaded with the resumable upload protocol
+      this.MULTIPART_MAX_SIZE = options.multipartMaxSize || 5*1024*1024;
+      // Path-to-id cache settings
+      this.CACHE_TTL = options.cacheTtl === undefined ? 5*60*1000 : options.cacheTtl;
+      this.CACHE_SIZE = options.cacheSize || 1000;
+      // Duplicate titles policy
+      this.DUPLICATE_TITLES = options.duplicateTitles || 'first';
+      // Number of milliseconds between two polls of the changes feed by the watchers
+      this.WATCH_INTERVAL = options.watchInterval || 60000;
+      // Path-to-id cache, folder paths end with '/' so that a folder and a file can
+      // have the same path. Keys are kept in insertion order (oldest first)
+      this.pathCache = {};
+      this.pathCacheCount = 0;
+      // Function getting OAuth 2.0 access tokens and the current access token
+      this.tokenProvider = options.tokenProvider ||
+        fmjs.GDriveFileManager.createGisTokenProvider(clientId, this.SCOPES);
+      this.accessToken = options.accessToken || null;
+      // Current user information (name, mail)
+      this.userInfo = null;
+
+    };
+
+    /**
+     * fmjs.GDriveFileManager class inherits from fmjs.AbstractFileManager class
+     */
+    fmjs.GDriveFileManager.prototype = Object.create(fmjs.AbstractFileManager.prototype);
+    fmjs.GDriveFileManager.prototype.constructor = fmjs.GDriveFileManager;
+    fmjs.GDriveFileManager.prototype.backendName = 'GDriveFileManager';
+
+    /**
+     * Check if the current user has authorized the application.
+     *
+     * @param {Boolean} if true the user is not prompted, only an existing authorization is used.
+     * @param {Function} callback whose argument is a boolean true if success
+     */
+    fmjs.GDriveFileManager.prototype.requestFileSystem = function(immediate, callback) {
+      this.authorize(immediate, callback);
+    };
+
+    /**
+     * Get an access token from the token provider unless there is one already.
+     *
+     * @param {Boolean} if true the user is not prompted, only an existing authorization is used.
+     * @param {Function} callback whose argument is a boolean true if success
+     */
+    fmjs.GDriveFileManager.prototype.authorize = function(immediate, callback) {
+      var self = this;
+      var done = false;
+
+      function onToken(token, err) {
+        if (done) {
+          return;
+        }
+        done = true;
+        self.accessToken = token || null;
+
+        if (token) {
+          callback(true);
+        } else {
+          callback(false, self.createError('Authorization failed. No access token could be retrieved!', '/',
+            err, err instanceof fmjs.FileManagerError ? null : fmjs.NotAuthorizedError));
+        }
+      }
+
+      if (this.accessToken) {
+        callback(true);
+        return;
+      }
+
+      var result = this.tokenProvider(!immediate, onToken);
+
+      if (result && typeof result.then === 'function') {
+        result.then(function(token) {
+          onToken(token);
+        }, function(err) {
+          onToken(null, err || {});
+        });
+      }
+    };
+
+     /**
+      * Determine whether a failed request can succeed if it is retried according to the
+      * retry policy (see the constructor's options)
+      *
+      * @param {Object} GDrive error object (properties: code, message, errors).
+      * @return {Boolean} true if the error is transient.
+      */
+     fmjs.GDriveFileManager.prototype.isTransientError = function(error) {
+       var reason = (error.errors && error.errors.length && error.errors[0].reason) || '';
+
+       return error.code === 0 || error.code === 429 || error.code >= 500 ||
+         (error.code === 403 && (reason === 'rateLimitExceeded' || reason === 'userRateLimitExceeded'));
+     };
+
+     /**
+      * Get the delay before the next attempt of a failed request according to the retry
+      * policy (see the constructor's options)
+      *
+      * @param {Number} number of failed attempts so far.
+      * @param {String} optional value of the response's Retry-After header (a number of
+      * seconds or an HTTP date).
+      * @return {Number} number of milliseconds.
+      */
+     fmjs.GDriveFileManager.prototype.getRetryDelay = function(ncalls, retryAfter) {
+       var policy = this.RETRY_POLICY;
+       var delay = NaN;
+
+       if (retryAfter) {
+         delay = /^\d+$/.test(retryAfter) ? 1000 * parseInt(retryAfter, 10) : Date.parse(retryAfter) - Date.now();
+       }
+
+       if (!isNaN(delay)) {
+         return Math.max(0, delay);
+       }
+
+       return Math.floor(Math.min(policy.initialDelay * Math.pow(policy.multiplier, ncalls-1), policy.maxDelay) +
+         Math.random() * 100);
+     };
+
+     /**
+      * Schedule the next attempt of a failed request after the retry policy's delay. The
+      * attempt is cancelled if the AbortSignal object is aborted while waiting.
+      *
+      * @param {Number} number of failed attempts so far.
+      * @param {Object} optional AbortSignal object.
+      * @param {Function} function making the next attempt.
+      * @param {Function} function called instead when the signal is aborted.
+      * @param {String} optional value of the failed response's Retry-After header.
+      */
+     fmjs.GDriveFileManager.prototype.scheduleRetry = function(ncalls, signal, retry, abort, retryAfter) {
+       var timeoutId;
+
+       function onAbort() {
+         window.clearTimeout(timeoutId);
+         abort();
+       }
+
+       if (signal && signal.aborted) {
+         abort();
+         return;
+       }
+
+       if (signal) {
+         signal.addEventListener('abort', onAbort);
+       }
+
+       timeoutId = window.setTimeout(function() {
+         if (signal) {
+           signal.removeEventListener('abort', onAbort);
+         }
+         retry();
+       }, this.getRetryDelay(ncalls, retryAfter));
+     };
+
+     /**
+      * Execute a GDrive API request with fetch. Requests failing with a transient error are
+      * retried according to the retry policy (see the constructor's options), and a request
+      * is run again once after renewing the access token if it has expired.
+      *
+      * @param {Object} request object with properties:
+      *  -method: HTTP method (default 'GET')
+      *  -path: endpoint's path relative to the API's base URL, eg. '/files'
+      *  -url: endpoint's absolute URL, used instead of path (eg. for uploads)
+      *  -params: optional object with the query parameters
+      *  -headers: optional object with additional request headers
+      *  -body: optional JSON request body object, or Blob object or string sent as is
+      *  -responseType: 'json' (default), 'blob' (the response's data is downloaded into
+      *   a Blob object and the progress reported through the options' onProgress) or
+      *   'stream' (the response's body is not read)
+      *  -size: expected size of a 'blob' response, reported as the progress' total when the
+      *   response doesn't tell it
+      * @param {Object} optional object with properties signal (AbortSignal object that
+      * cancels the request) and onProgress (see responseType).
+      * @param {Function} callback whose argument is the response object: the JSON result
+      * (an empty object if there is none), or an object with properties status and blob or
+      * body (ReadableStream object) for the 'blob' and 'stream' response types. It has an
+      * error property (code, message, errors) instead when the request fails.
+      */
+     fmjs.GDriveFileManager.prototype.execGDriveRequest = function(request, options, callback) {
+       var self = this;
+       var ncalls = 0;
+       var reauthorized = false;
+       var url = this.getRequestUrl(request);
+
+       if (typeof options === 'function') {
+         callback = options;
+         options = {};
+       }
+       options = options || {};
+
+       function abort() {
+         callback({error: self.checkAborted(options, null)});
+       }
+
+       function retry(error, retryAfter) {
+         ++ncalls;
+
+         if (ncalls < self.RETRY_POLICY.maxAttempts && self.isTransientError(error)) {
+           self.scheduleRetry(ncalls, options.signal, execRequest, abort, retryAfter);
+         } else {
+           callback({error: error});
+         }
+       }
+
+       function handleResp(resp) {
+         var type = request.responseType || 'json';
+
+         if (resp.ok) {
+           if (type === 'stream') {
+             callback({status: resp.status, body: resp.body});
+           } else if (type === 'blob') {
+             self.readResponseBlob(resp, request.size, options, function(blob, err) {
+               if (blob) {
+                 callback({status: resp.status, blob: blob});
+               } else if (err.name === 'AbortError') {
+                 abort();
+               } else {
+                 retry(err);
+               }
+             });
+           } else {
+             resp.text().then(function(text) {
+               callback(fmjs.parseJson(text) || {});
+             }, function(err) {
+               if (err.name === 'AbortError') {
+                 abort();
+               } else {
+                 retry({code: 0, message: 'Network error'});
+               }
+             });
+           }
+
+         } else if (resp.status === 401 && !reauthorized) {
+
+           // access token might have expired so renew it
+           reauthorized = true;
+           self.accessToken = null;
+           self.authorize(true, function(authorized) {
+             if (authorized) {
+               execRequest();
+             } else {
+               callback({error: {code: 401, message: 'Authorization failed. No access token could be retrieved!'}});
+             }
+           });
+
+         } else {
+           var retryAfter = resp.headers.get('Retry-After');
+
+           resp.text().then(function(text) {
+             var body = fmjs.parseJson(text);
+
+             retry((body && body.error) || {code: resp.status, message: resp.statusText}, retryAfter);
+           }, function() {
+             retry({code: resp.status, message: resp.statusText}, retryAfter);
+           });
+         }
+       }
+
+       function execRequest() {
+         var headers = {'Authorization': 'Bearer ' + self.accessToken};
+         var body = request.body;
+
+         if (self.checkAborted(options, null)) {
+           abort();
+           return;
+         }
+
+         if (body !== undefined && body !== null && !(body instanceof Blob) && typeof body !== 'string') {
+           headers['Content-Type'] = 'application/json; charset=UTF-8';
+           body = JSON.stringify(body);
+         }
+         Object.keys(request.headers || {}).forEach(function(name) {
+           headers[name] = request.headers[name];
+         });
+
+         fetch(url, {
+           method: request.method || 'GET',
+           headers: headers,
+           body: body,
+           signal: options.signal
+         }).then(handleResp, function(err) {
+           // fetch only rejects on network failures and cancellations
+           if (err.name === 'AbortError') {
+             abort();
+           } else {
+             retry({code: 0, message: 'Network error'});
+           }
+         });
+       }
+
+       this.authorize(true, function(authorized) {
+         if (authorized) {
+           execRequest();
+         } else {
+           callback({error: {code: 401, message: 'GDrive Api not authorized'}});
+         }
+       });
+     };
+
+     /**
+      * Get the URL of a GDrive API request including its query parameters
+      *
+      * @param {Object} request object (see fmjs.GDriveFileManager.prototype.execGDriveRequest).
+      * @return {String} absolute URL.
+      */
+     fmjs.GDriveFileManager.prototype.getRequestUrl = function(request) {
+       var url = request.url || this.API_URL + request.path;
+       var query = [];
+
+       Object.keys(request.params || {}).forEach(function(name) {
+         query.push(encodeURIComponent(name) + '=' + encodeURIComponent(request.params[name]));
+       });
+       if (query.length) {
+         url += (url.indexOf('?') === -1 ? '?' : '&') + query.join('&');
+       }
+
+       return url;
+     };
+
+     /**
+      * Execute several GDrive API requests together in multipart/mixed batch requests of
+      * up to BATCH_SIZE requests each. Every request gets its own response and the requests
+      * failing with a transient error are retried in another batch request according to the
+      * retry policy (see the constructor's options). Only requests with JSON responses can
+      * be batched, uploads and downloads of file data can't.
+      *
+      * @param {Array} request objects (see fmjs.GDriveFileManager.prototype.execGDriveRequest),
+      * their bodies must be JSON objects.
+      * @param {Object} optional object with property signal: AbortSignal object that cancels
+      * the requests not sent yet.
+      * @param {Function} callback whose argument is an array with the response objects in
+      * the same order as the requests (see fmjs.GDriveFileManager.prototype.execGDriveRequest).
+      */
+     fmjs.GDriveFileManager.prototype.execGDriveBatch = function(requests, options, callback) {
+       var self = this;
+       var apiPath = this.API_URL.substring(this.BASE_URL.length);
+       var responses = [];
+       var ncalls = requests.map(function() { return 0; });
+       var pending = requests.map(function(request, i) { return i; });
+       var reauthorized = false;
+
+       if (typeof options === 'function') {
+         callback = options;
+         options = {};
+       }
+       options = options || {};
+
+       function getBody(ixs, boundary) {
+         var parts = ixs.map(function(i) {
+           var request = requests[i];
+           var url = self.getRequestUrl(request);
+           var part = '--' + boundary + '\r\nContent-Type: application/http\r\nContent-ID: <item' + i + '>\r\n\r\n' +
+             (request.method || 'GET') + ' ' + apiPath + url.substring(self.API_URL.length) + ' HTTP/1.1\r\n';
+
+           Object.keys(request.headers || {}).forEach(function(name) {
+             part += name + ': ' + request.headers[name] + '\r\n';
+           });
+
+           if (request.body !== undefined && request.body !== null) {
+             part += 'Content-Type: application/json; charset=UTF-8\r\n\r\n' +
+               (typeof request.body === 'string' ? request.body : JSON.stringify(request.body));
+           }
+
+           return part + '\r\n';
+         });
+
+         return new Blob([parts.join('') + '--' + boundary + '--'], {type: 'multipart/mixed; boundary=' + boundary});
+       }
+
+       function handleParts(ixs, parts) {
+         var retries = [];
+         var retryAfter = null;
+         var maxCalls = 0;
+         var expired = false;
+
+         ixs.forEach(function(i) {
+           var part = parts['response-item' + i];
+           var body = part && fmjs.parseJson(part.body);
+           var error;
+
+           if (part && part.status >= 200 && part.status < 300) {
+             responses[i] = body || {};
+             return;
+           }
+
+           // a missing response is retried as if the batch request had failed
+           error = part ? (body && body.error) || {code: part.status, message: part.statusText} :
+             {code: 0, message: 'Missing response in batch request'};
+
+           if (error.code === 401 && !reauthorized) {
+             // the access token has expired while running the batch, it's renewed by the next batch request
+             retries.push(i);
+             expired = true;
+           } else if (++ncalls[i] < self.RETRY_POLICY.maxAttempts && self.isTransientError(error)) {
+             retries.push(i);
+             maxCalls = Math.max(maxCalls, ncalls[i]);
+             retryAfter = retryAfter || (part && part.headers['retry-after']);
+           } else {
+             responses[i] = {error: error};
+           }
+         });
+
+         if (expired) {
+           reauthorized = true;
+           self.accessToken = null;
+         }
+
+         if (!retries.length) {
+           sendNext();
+         } else if (!maxCalls) {
+           pending = retries.concat(pending);
+           sendNext();
+         } else {
+           self.scheduleRetry(maxCalls, options.signal, function() {
+             pending = retries.concat(pending);
+             sendNext();
+           }, function() {
+             pending = retries.concat(pending);
+             abort();
+           }, retryAfter);
+         }
+       }
+
+       function abort() {
+         var error = self.checkAborted(options, null);
+
+         pending.forEach(function(i) {
+           responses[i] = {error: error};
+         });
+         callback(responses);
+       }
+
+       function sendNext() {
+
+         if (!pending.length) {
+           callback(responses);
+           return;
+         }
+
+         var ixs = pending.splice(0, self.BATCH_SIZE);
+         var boundary = 'batch_' + Date.now() + '_' + Math.floor(Math.random() * 1e9);
+         var body = getBody(ixs, boundary);
+         var request = {method: 'POST', url: self.BATCH_URL, headers: {'Content-Type': body.type}, body: body,
+           responseType: 'blob'};
+
+         self.execGDriveRequest(request, options, function(resp) {
+           if (resp.error) {
+             // the whole batch request has failed after its own retries
+             ixs.forEach(function(i) {
+               responses[i] = {error: resp.error};
+             });
+             sendNext();
+             return;
+           }
+
+           resp.blob.text().then(function(text) {
+             handleParts(ixs, self.parseBatchResponse(text, resp.blob.type));
+           }, function() {
+             handleParts(ixs, {});
+           });
+         });
+       }
+
+       sendNext();
+     };
+
+     /**
+      * Parse the body of a multipart/mixed batch response
+      *
+      * @param {String} response's body.
+      * @param {String} response's Content-Type header.
+      * @return {Object} object mapping the Content-ID of every part (eg. 'response-item0')
+      * to an object with properties status, statusText, headers (lowercase names) and body.
+      */
+     fmjs.GDriveFileManager.prototype.parseBatchResponse = function(text, contentType) {
+       var match = /boundary="?([^";]+)"?/.exec(contentType || '');
+       var parts = {};
+
+       if (!match) {
+         return parts;
+       }
+
+       text.split('--' + match[1]).forEach(function(part) {
+         // a part has its own headers followed by an HTTP response
+         var sections = part.split(/\r?\n\r?\n/);
+         var idMatch = /Content-ID:\s*<([^>]+)>/i.exec(sections[0]);
+         var lines = (sections[1] || '').split(/\r?\n/);
+         var statusMatch = /^HTTP\/[\d.]+ (\d+) ?(.*)$/.exec(lines[0]);
+         var headers = {};
+
+         if (!idMatch || !statusMatch) {
+           return;
+         }
+
+         lines.slice(1).forEach(function(line) {
+           var ix = line.indexOf(':');
+
+           if (ix > 0) {
+             headers[line.substring(0, ix).trim().toLowerCase()] = line.substring(ix + 1).trim();
+           }
+         });
+
+         parts[idMatch[1]] = {
+           status: parseInt(statusMatch[1], 10),
+           statusText: statusMatch[2],
+           headers: headers,
+           body: sections.slice(2).join('\r\n\r\n').trim()
+         };
+       });
+
+       return parts;
+     };
+
+     /**
+      * Create a batch to which operations are queued and then run together in batch
+      * requests (see fmjs.GDriveBatch).
+      *
+      * @return {Object} fmjs.GDriveBatch object.
+      */
+     fmjs.GDriveFileManager.prototype.createBatch = function() {
+       return new fmjs.GDriveBatch(this);
+     };
+
+     /**
+      * Read a response's data into a Blob object reporting the progress
+      *
+      * @param {Object} fetch's Response object.
+      * @param {Number} expected size of the data, used when the response doesn't tell it.
+      * @param {Object} read options (see fmjs.AbstractFileManager.prototype.getFileBlob).
+      * @param {Function} callback whose argument is the Blob object or null otherwise.
+      */
+     fmjs.GDriveFileManager.prototype.readResponseBlob = function(resp, size, options, callback) {
+       var length = resp.headers.get('Content-Length');
+       var total = length === null ? size : parseInt(length, 10);
+       var reader = resp.body.getReader();
+       var chunks = [];
+       var loaded = 0;
+
+       function read() {
+         reader.read().then(function(result) {
+           if (result.done) {
+             callback(new Blob(chunks, {type: resp.headers.get('Content-Type') || ''}));
+             return;
+           }
+
+           chunks.push(result.value);
+           loaded += result.value.length;
+           if (options.onProgress) {
+             options.onProgress(loaded, total);
+           }
+           read();
+         }, function(err) {
+           callback(null, err.name === 'AbortError' ? err : {code: 0, message: 'Network error'});
+         });
+       }
+
+       read();
+     };
+
+    /**
+     * Get the key of a path in the path-to-id cache
+     *
+     * @param {String} file's or folder's path.
+     * @param {Boolean} whether the entry at the path is a folder.
+     * @return {String} cache key.
+     */
+    fmjs.GDriveFileManager.prototype.getCacheKey = function(path, isFolder) {
+      return this.normalizePath(path) + (isFolder ? '/' : '');
+    };
+
+    /**
+     * Get the cached id of the file or folder at a path
+     *
+     * @param {String} file's or folder's path.
+     * @param {Boolean} whether the entry at the path is a folder.
+     * @return {String} id or null if the path is not cached or has expired.
+     */
+    fmjs.GDriveFileManager.prototype.getCachedId = function(path, isFolder) {
+      var key = this.getCacheKey(path, isFolder);
+      var item = this.pathCache[key];
+
+      if (!item) {
+        return null;
+      }
+
+      if (item.expires < Date.now()) {
+        delete this.pathCache[key];
+        --this.pathCacheCount;
+        return null;
+      }
+
+      return item.id;
+    };
+
+    /**
+     * Cache the id of the file or folder at a path. The oldest cached paths are
+     * dropped when the cache is full.
+     *
+     * @param {String} file's or folder's path.
+     * @param {Boolean} whether the entry at the path is a folder.
+     * @param {String} file's or folder's id.
+     */
+    fmjs.GDriveFileManager.prototype.cacheId = function(path, isFolder, id) {
+      var key = this.getCacheKey(path, isFolder);
+
+      if (!this.CACHE_TTL) {
+        return;
+      }
+
+      if (this.pathCache[key]) {
+        // re-insert the key to make it the newest
+        delete this.pathCache[key];
+      } else {
+        ++this.pathCacheCount;
+      }
+      this.pathCache[key] = {id: id, expires: Date.now() + this.CACHE_TTL};
+
+      for (var oldestKey in this.pathCache) {
+        if (this.pathCacheCount <= this.CACHE_SIZE) {
+          break;
+        }
+        delete this.pathCache[oldestKey];
+        --this.pathCacheCount;
+      }
+    };
+
+    /**
+     * Remove a path from the path-to-id cache. Should be called when the path is
+     * modified outside this file manager.
+     *
+     * @param {String} optional file's or folder's path, every path under a folder is removed
+     * too. The whole cache is cleared if it is not given.
+     */
+    fmjs.GDriveFileManager.prototype.invalidateCache = function(path) {
+      var self = this;
+      var key = path === undefined ? '/' : this.normalizePath(path);
+      var folderKey = key === '/' ? key : key + '/';
+
+      Object.keys(this.pathCache).forEach(function(k) {
+        if (k === key || k.indexOf(folderKey) === 0) {
+          delete self.pathCache[k];
+          --self.pathCacheCount;
+        }
+      });
+    };
+
+    /**
+     * Remove the paths of a file or folder from the path-to-id cache given its id
+     *
+     * @param {String} file's or folder's id.
+     */
+    fmjs.GDriveFileManager.prototype.invalidateCachedId = function(id) {
+      var self = this;
+
+      Object.keys(this.pathCache).forEach(function(k) {
+        // the entry might have been removed along with a folder
+        if (self.pathCache[k] && self.pathCache[k].id === id) {
+          self.invalidateCache(k.replace(/\/$/, ''));
+        }
+      });
+    };
+
+    /**
+     * Get the deepest cached folder on a path
+     *
+     * @param {Array} path's names.
+     * @return {Object} object with properties id (folder's id), path (folder's path or null
+     * for the root folder) and depth (number of names of the folder's path).
+     */
+    fmjs.GDriveFileManager.prototype.getCachedAncestor = function(names) {
+
+      for (var depth = names.length; depth > 0; depth--) {
+        var path = '/' + names.slice(0, depth).join('/');
+        var id = this.getCachedId(path, true);
+
+        if (id) {
+          return {id: id, path: path, depth: depth};
+        }
+      }
+
+      return {id: 'root', path: null, depth: 0};
+    };
+
+    /**
+     * Get the deepest cached folder on a path that still exists outside the trash. The
+     * cached folders trashed or removed outside this file manager are dropped from the cache.
+     *
+     * @param {Array} path's names.
+     * @param {Function} callback whose argument is the folder object (see
+     * fmjs.GDriveFileManager.prototype.getCachedAncestor) or null otherwise.
+     */
+    fmjs.GDriveFileManager.prototype.getValidCachedAncestor = function(names, callback) {
+      var self = this;
+      var ancestor = this.getCachedAncestor(names);
+
+      if (!ancestor.path) {
+        callback(ancestor);
+        return;
+      }
+
+      this.getFileMeta(ancestor.id, function(fileResp, err) {
+        if (fileResp && !fileResp.trashed) {
+          callback(ancestor);
+        } else if (fileResp || err instanceof fmjs.NotFoundError) {
+          self.invalidateCache(ancestor.path);
+          self.getValidCachedAncestor(names, callback);
+        } else {
+          callback(null, err);
+        }
+      });
+    };
+
+    /**
+     * Get the duplicate titles policy of an operation
+     *
+     * @param {Object} operation's options object (property duplicateTitles).
+     * @param {Boolean} whether the operation needs a single entry, then the 'all' policy
+     * is applied as 'error'.
+     * @return {String} policy.
+     */
+    fmjs.GDriveFileManager.prototype.getDuplicatesPolicy = function(options, single) {
+      var policy = (options && options.duplicateTitles) || this.DUPLICATE_TITLES;
+
+      return (single && policy === 'all') ? 'error' : policy;
+    };
+
+    /**
+     * Get the options of a lookup made by an operation that needs a single entry
+     *
+     * @param {Object} optional operation's options object (property duplicateTitles).
+     * @return {Object} options object for findEntry, isFile and createPath.
+     */
+    fmjs.GDriveFileManager.prototype.getSingleEntryOptions = function(options) {
+      return {duplicateTitles: this.getDuplicatesPolicy(options, true)};
+    };
+
+    /**
+     * Pick the entry at a path among the files or folders with the same title found in
+     * a folder according to a duplicate titles policy
+     *
+     * @param {Array} file response objects of the entries found.
+     * @param {String} policy, one of 'first', 'newest', 'error' or 'all'.
+     * @param {String} entries' path.
+     * @param {Function} callback whose argument is the picked entry object (an array of
+     * entry objects for the 'all' policy) or null otherwise.
+     */
+    fmjs.GDriveFileManager.prototype.pickEntry = function(items, policy, path, callback) {
+      if (policy === 'all') {
+        callback(items);
+      } else if (items.length < 2 || policy === 'first') {
+        callback(items[0]);
+      } else if (policy === 'error') {
+        callback(null, this.createError(items.length + ' files or folders found at ' + path, path, null,
+          fmjs.DuplicateEntryError));
+      } else {
+        // the most recently modified entry
+        callback(items.reduce(function(newest, file) {
+          return Date.parse(file.modifiedTime) > Date.parse(newest.modifiedTime) ? file : newest;
+        }));
+      }
+    };
+
+    /**
+     * Create a new directory path in the GDrive cloud. The search starts from the
+     * deepest folder on the path whose id is cached.
+     *
+     * @param {String} new absolute path to be created.
+     * @param {Object} optional object with property duplicateTitles: policy applied when
+     * several folders with the same title are found (see the constructor's options).
+     * @param {Function} optional callback whose argument is the folder creation
+     * response object or null otherwise.
+     */
+    fmjs.GDriveFileManager.prototype.createPath = function(path, options, callback) {
+      var self = this;
+      var folders = util.path2array(path);
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
+      function createFolder(rootResp, depth) {
+        var folderPath = '/' + folders.slice(0, depth + 1).join('/');
+
+        function nextFolder(folderResp, err) {
+          if (!folderResp) {
+            if (callback) {callback(null, err);}
+            return;
+          }
+
+          self.cacheId(folderPath, true, folderResp.id);
+          if (depth + 1 < folders.length) {
+            // recursively create subsequent folders if needed
+            createFolder(folderResp, depth + 1);
+          } else if (callback) {
+            callback(folderResp);
+          }
+        }
+
+        // list folder with name folders[depth] if it already exists
+        var findRequest = {
+          path: '/files',
+          params: {
+            'q': fmjs.GDriveFileManager.buildQuery('? in parents and mimeType = ? and name = ? and trashed = false',
+              [rootResp.id, 'application/vnd.google-apps.folder', folders[depth]]),
+            'fields': 'files(' + self.FILE_FIELDS + ')'
+          }
+        };
+
+        self.execGDriveRequest(findRequest, function(findResp) {
+          if (!findResp.error) {
+            // if folder not found then create it
+            if (findResp.files.length===0) {
+              var request = {
+                method: 'POST',
+                path: '/files',
+                params: {'fields': self.FILE_FIELDS},
+                body: {'name': folders[depth], 'mimeType': 'application/vnd.google-apps.folder', 'parents': [rootResp.id]}
+              };
+
+              self.execGDriveRequest(request, function(resp) {
+                if (!resp.error) {
+                  nextFolder(resp);
+                } else if (callback) {
+                  callback(null, self.createError('Could not create path ' + path, path, resp.error));
+                }
+              });
+            } else {
+              self.pickEntry(findResp.files, self.getDuplicatesPolicy(options, true), folderPath, nextFolder);
+            }
+          } else if (findResp.error.code === 404 && rootResp.cachedPath) {
+            // the cached folder has been removed outside this file manager
+            self.invalidateCache(rootResp.cachedPath);
+            self.createPath(path, options, callback);
+          } else if (callback) {
+            callback(null, self.createError('Could not create path ' + path, path, findResp.error));
+          }
+        });
+      }
+
+      // start from the deepest folder whose id is cached
+      this.getValidCachedAncestor(folders, function(ancestor, err) {
+        if (!ancestor) {
+          if (callback) {callback(null, self.createError('Could not create path ' + path, path, err));}
+        } else if (ancestor.depth < folders.length) {
+          createFolder({'id': ancestor.id, 'cachedPath': ancestor.path}, ancestor.depth);
+        } else if (callback) {
+          // the root folder or a cached folder
+          callback({'id': ancestor.id});
+        }
+      });
+    };
+
+    /**
+     * Find a file or folder in the GDrive cloud. The ids of the folders on the path
+     * and of the entry are cached so that only the uncached part of a path is searched.
+     *
+     * @param {String} file's or folder's path.
+     * @param {Boolean} whether the entry at the path is a folder.
+     * @param {Object} optional object with property duplicateTitles: policy applied when
+     * several files or folders with the same title are found (see the constructor's options).
+     * @param {Function} callback whose argument is the entry's file response object, or an
+     * array of them for the 'all' policy, if found or null otherwise.
+     */
+    fmjs.GDriveFileManager.prototype.findEntry = function(path, isFolder, options, callback) {
+      var self = this;
+      var entries = util.path2array(path);
+      var policy;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+      policy = this.getDuplicatesPolicy(options);
+
+      function findEntry(rootResp, depth) {
+        var isLastEntry = depth === entries.length - 1;
+        var entryPath = '/' + entries.slice(0, depth + 1).join('/');
+        // list entry with name entries[depth] if it exists. The search request depends
+        // on whether we are at the last entry or at an ancestor folder
+        var findRequest = {
+          path: '/files',
+          params: {
+            'q': fmjs.GDriveFileManager.buildQuery('? in parents and mimeType ' +
+              (isLastEntry && !isFolder ? '!=' : '=') + ' ? and name = ? and trashed = false',
+              [rootResp.id, 'application/vnd.google-apps.folder', entries[depth]]),
+            'fields': 'files(' + self.FILE_FIELDS + ')'
+          }
+        };
+
+        self.execGDriveRequest(findRequest, function(findResp) {
+
+          if (!findResp.error) {
+            if (findResp.files.length===0) {
+              // Entry not found
+              callback(null);
+            } else {
+              // Entry was found! Check if there are more entries
+              self.pickEntry(findResp.files, isLastEntry ? policy : self.getDuplicatesPolicy(options, true),
+                entryPath, function(entryResp, err) {
+                  if (!entryResp) {
+                    callback(null, err);
+                    return;
+                  }
+
+                  if (Array.isArray(entryResp)) {
+                    // the 'all' policy, only a single entry is cached
+                    if (entryResp.length === 1) {
+                      self.cacheId(entryPath, isFolder, entryResp[0].id);
+                    }
+                    callback(entryResp);
+                    return;
+                  }
+
+                  self.cacheId(entryPath, !isLastEntry || isFolder, entryResp.id);
+                  if (!isLastEntry) {
+                    // Recursively move to subsequent entry
+                    findEntry(entryResp, depth + 1);
+                  } else {
+                    callback(entryResp);
+                  }
+                });
+            }
+          } else if (findResp.error.code === 404 && rootResp.cachedPath) {
+            // the cached folder has been removed outside this file manager
+            self.invalidateCache(rootResp.cachedPath);
+            self.findEntry(path, isFolder, options, callback);
+          } else {
+            callback(null, self.createError('Could not find ' + path, path, findResp.error));
+          }
+        });
+      }
+
+      var cachedId = entries.length && this.getCachedId(path, isFolder);
+
+      if (!entries.length) {
+        // the root folder
+        callback(isFolder ? {'id': 'root'} : null);
+      } else if (cachedId) {
+        this.getFileMeta(cachedId, function(fileResp, err) {
+          if (fileResp && !fileResp.trashed) {
+            callback(policy === 'all' ? [fileResp] : fileResp);
+          } else if (fileResp || err instanceof fmjs.NotFoundError) {
+            // the cached entry has been trashed or removed outside this file manager
+            self.invalidateCache(path);
+            self.findEntry(path, isFolder, options, callback);
+          } else {
+            callback(null, err);
+          }
+        });
+      } else {
+        // start from the deepest ancestor folder whose id is cached
+        this.getValidCachedAncestor(entries.slice(0, -1), function(ancestor, err) {
+          if (ancestor) {
+            findEntry({'id': ancestor.id, 'cachedPath': ancestor.path}, ancestor.depth);
+          } else {
+            callback(null, self.createError('Could not find ' + path, path, err));
+          }
+        });
+      }
+    };
+
+    /**
+     * Determine whether a file exists in the GDrive cloud
+     *
+     * @param {String} file's path.
+     * @param {Object} optional object with property duplicateTitles: policy applied when
+     * several files with the same title are found (see the constructor's options).
+     * @param {Function} callback whose argument is the file response object (its version
+     * property changes with every modification), or an array of them for the 'all' policy,
+     * if found or null otherwise.
+     */
+    fmjs.GDriveFileManager.prototype.isFile = function(filePath, options, callback) {
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
+      // the file response object is found along with the file's id
+      this.findEntry(filePath, false, options, callback);
+    };
+
+    /**
+     * Get the version of a file, GDrive increases a file's version number with every change.
+     *
+     * @param {Object} file response object as returned by isFile or getFileMeta.
+     * @return {String} file's version number.
+     */
+    fmjs.GDriveFileManager.prototype.getVersion = function(fileResp) {
+      return String(fileResp.version);
+    };
+
+    /**
+     * Given a file id get the file response object containing the file meta information
+     * from the GDrive cloud if authorized. Can get file meta from another user's GDrive
+     * if read permission has been granted to the current user.
+     *
+     * @param {String} file's id.
+     * @param {Function} callback whose argument is the file response object if the request
+     * is successful or null otherwise.
+     */
+     fmjs.GDriveFileManager.prototype.getFileMeta = function(fileId, callback) {
+       var self = this;
+
+       // Request file response object (resource)
+       var fileRequest = {
+         path: '/files/' + encodeURIComponent(fileId),
+         params: {'fields': this.FILE_FIELDS}
+       };
+
+       this.execGDriveRequest(fileRequest, function(fileResp) {
+         if (!fileResp.error) {
+           callback(fileResp);
+         } else {
+           callback(null, self.createError('Could not retrieve file with id ' + fileId, fileId, fileResp.error));
+         }
+       });
+     };
+
+    /**
+     * Read a file from the GDrive cloud
+     *
+     * @param {String} file's path.
+     * @param {Object} optional read options (see fmjs.AbstractFileManager.prototype.getFileBlob)
+     * and duplicateTitles policy (see the constructor's options).
+     * @param {Function} callback whose argument is the file data object if the file is
+     * successfuly read or null otherwise.
+     */
+    fmjs.GDriveFileManager.prototype.readFile = function(filePath, options, callback) {
+      var self = this;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
+      this.isFile(filePath, this.getSingleEntryOptions(options), function(fileResp, err) {
+        if (fileResp && !fileResp.error) {
+          self.readFileByID(fileResp.id, options, callback);
+        } else {
+          callback(null, err || self.createError('File ' + filePath + ' not found', filePath, null,
+            fmjs.NotFoundError));
+        }
+      });
+
+    };
+
+    /**
+     * Given a file id read the file from the GDrive cloud if authorized. Can read
+     * a file from another user's GDrive if read permission has been granted to the
+     * current user.
+     *
+     * @param {String} file's id.
+     * @param {Object} optional read options (see fmjs.AbstractFileManager.prototype.getFileBlob).
+     * @param {Function} callback whose argument is the file data object if the file is
+     * successfuly read or null otherwise.
+     */
+    fmjs.GDriveFileManager.prototype.readFileByID = function(fileId, options, callback) {
+      var self = this;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
+      this.getFileBlob(fileId, options, function(blob, err) {
+        if (blob) {
+          self.readBlob(blob, fileId, options, callback);
+        } else {
+          callback(null, err);
+        }
+      });
+    };
+
+    /**
+     * Read a range of bytes of a file from the GDrive cloud. Only the range's bytes are
+     * downloaded.
+     *
+     * @param {String} file's path.
+     * @param {Number} offset of the range's first byte.
+     * @param {Number} offset of the byte after the range's last byte or null/undefined to
+     * read until the end of the file.
+     * @param {Object} optional read options (see fmjs.AbstractFileManager.prototype.getFileBlob)
+     * and duplicateTitles policy (see the constructor's options).
+     * @param {Function} callback whose argument is an ArrayBuffer object containing the
+     * range's data if the file is successfuly read or null otherwise.
+     */
+    fmjs.GDriveFileManager.prototype.readRange = function(filePath, start, end, options, callback) {
+      var self = this;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
+      this.isFile(filePath, this.getSingleEntryOptions(options), function(fileResp, err) {
+        if (fileResp && !fileResp.error) {
+          self.readRangeByID(fileResp.id, start, end, options, callback);
+        } else {
+          callback(null, err || self.createError('File ' + filePath + ' not found', filePath, null,
+            fmjs.NotFoundError));
+        }
+      });
+    };
+
+    /**
+     * Given a file id read a range of bytes of the file from the GDrive cloud if authorized
+     * (see fmjs.GDriveFileManager.prototype.readRange).
+     *
+     * @param {String} file's id.
+     * @param {Number} offset of the range's first byte.
+     * @param {Number} offset of the byte after the range's last byte or null/undefined to
+     * read until the end of the file.
+     * @param {Object} optional read options (see fmjs.AbstractFileManager.prototype.getFileBlob).
+     * @param {Function} callback whose argument is an ArrayBuffer object containing the
+     * range's data if the file is successfuly read or null otherwise.
+     */
+    fmjs.GDriveFileManager.prototype.readRangeByID = function(fileId, start, end, options, callback) {
+      var self = this;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
+      this.downloadBlob(fileId, {start: start, end: end}, options, function(blob, err) {
+        if (blob) {
+          self.readBlob(blob, fileId, options, callback);
+        } else {
+          callback(null, err);
+        }
+      });
+    };
+
+    /**
+     * Get a ReadableStream object that streams a file's data from the body of the download
+     * response.
+     *
+     * @param {String} file's path.
+     * @param {Object} optional read options (see fmjs.AbstractFileManager.prototype.getFileBlob)
+     * and duplicateTitles policy (see the constructor's options).
+     * @return {ReadableStream} stream object, it is errored with a fmjs.FileManagerError
+     * object if the file can't be read.
+     */
+    fmjs.GDriveFileManager.prototype.createReadStream = function(filePath, options) {
+      var self = this;
+
+      options = options || {};
+
+      return this.createReaderStream(filePath, function(callback) {
+        self.isFile(filePath, self.getSingleEntryOptions(options), function(fileResp, err) {
+
+          if (!fileResp) {
+            callback(null, err || self.createError('File ' + filePath + ' not found', filePath, null,
+              fmjs.NotFoundError));
+            return;
+          }
+
+          var request = {
+            path: '/files/' + encodeURIComponent(fileResp.id),
+            params: {'alt': 'media'},
+            responseType: 'stream'
+          };
+
+          self.execGDriveRequest(request, {signal: options.signal}, function(resp) {
+            if (!resp.error) {
+              callback(resp.body.getReader());
+            } else {
+              callback(null, self.createError('Could not read file ' + filePath, filePath, resp.error));
+            }
+          });
+        });
+      });
+    };
+
+    /**
+     * Given a file id read the file from the GDrive cloud if authorized and return a Blob
+     * object. Can read a file from another user's GDrive if read permission has been granted
+     * to the current user.
+     *
+     * @param {String} file's id.
+     * @param {Object} optional read options (see fmjs.AbstractFileManager.prototype.getFileBlob).
+     * @param {Function} callback whose argument is the Blob object if the file is
+     * successfuly read or null otherwise.
+     */
+    fmjs.GDriveFileManager.prototype.getFileBlob = function(fileId, options, callback) {
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+
+      this.downloadBlob(fileId, null, options || {}, callback);
+    };
+
+    /**
+     * Download a file's data or a range of bytes of it from the GDrive cloud
+     *
+     * @param {String} file's id.
+     * @param {Object} range object with properties start and end (excluded, null/undefined
+     * for the end of the file) or null to download the whole file.
+     * @param {Object} read options (see fmjs.AbstractFileManager.prototype.getFileBlob).
+     * @param {Function} callback whose argument is the Blob object if the data is
+     * successfuly downloaded or null otherwise.
+     */
+     fmjs.GDriveFileManager.prototype.downloadBlob = function(fileId, range, options, callback) {
+       var self = this;
+
+       this.getFileMeta(fileId, function(fileResp, err) {
+
+         if (!fileResp) {
+           callback(null, err);
+           return;
+         }
+
+         // Google Docs files don't have a size
+         var size = fileResp.size ? parseInt(fileResp.size, 10) : Infinity;
+         var start = 0;
+         var end = size;
+         var request = {
+           path: '/files/' + encodeURIComponent(fileId),
+           params: {'alt': 'media'},
+           responseType: 'blob'
+         };
+
+         if (range) {
+           // offsets are clamped to the file's size as with Blob.slice
+           start = Math.min(range.start, size);
+           end = range.end === null || range.end === undefined ? size : Math.max(start, Math.min(range.end, size));
+
+           if (start === end) {
+             callback(new Blob([]));
+             return;
+           }
+           request.headers = {'Range': 'bytes=' + start + '-' + (end === Infinity ? '' : end - 1)};
+         }
+         // the total is taken from the file's metadata if the response doesn't tell it
+         request.size = end - start;
+
+         self.execGDriveRequest(request, options, function(resp) {
+           if (resp.error) {
+             callback(null, self.createError('Could not read file with id ' + fileId, fileId, resp.error));
+           } else if (range && resp.status !== 206) {
+             // the whole file is received if the server ignores the Range header
+             callback(resp.blob.slice(start, end === Infinity ? undefined : end));
+           } else {
+             callback(resp.blob);
+           }
+         });
+       });
+     };
+
+    /**
+     * Write a file to GDrive. An existing file at the same path is updated in place (it keeps
+     * its id, permissions and revision history) unless the ifExists option says otherwise.
+     * Files larger than MULTIPART_MAX_SIZE are uploaded in chunks with the resumable upload
+     * protocol.
+     *
+     * @param {String} file's path.
+     * @param {Array} ArrayBuffer object or Blob containing the file data.
+     * @param {Object} optional write options (see fmjs.AbstractFileManager.prototype.writeFile)
+     * and duplicateTitles policy applied to the parent folders (see the constructor's options).
+     * @param {Function} optional callback whose argument is the file response object.
+     */
+    fmjs.GDriveFileManager.prototype.writeFile = function(filePath, fileData, options, callback) {
+      var self = this;
+      var blob = new Blob([fileData], {type: fileData.type || ''});
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
+      this.getUploadTarget(filePath, options, function(target, err) {
+
+        err = err || self.checkAborted(options, filePath);
+
+        if (!target || err) {
+          if (callback) {callback(null, err);}
+          return;
+        }
+
+        var metadata = {'mimeType': blob.type || 'application/octet-stream'};
+        var upload = blob.size > self.MULTIPART_MAX_SIZE ? self.uploadResumable : self.uploadMultipart;
+        var path = target.path;
+
+        if (!target.fileId) {
+          // an updated file keeps its name and parents, a renamed file takes the name from its new path
+          metadata.name = path === filePath && fileData.name || path.substring(path.lastIndexOf('/') + 1);
+          metadata.parents = [target.parentId];
+        }
+
+        upload.call(self, blob, metadata, target.fileId, options, function(resp) {
+          if (!resp.error) {
+            self.cacheId(path, false, resp.id);
+            if (callback) {callback(resp);}
+          } else if (callback) {
+            callback(null, self.createError('Could not write file ' + path, path, resp.error));
+          }
+        });
+      });
+    };
+
+    /**
+     * Get a WritableStream object that uploads a file to GDrive with the resumable upload
+     * protocol. The data written to the stream is buffered until CHUNK_SIZE bytes can be
+     * sent in the next upload request, writing waits while two chunks are buffered.
+     *
+     * @param {String} file's path.
+     * @param {Object} optional write options (see fmjs.AbstractFileManager.prototype.createWriteStream)
+     * and duplicateTitles policy applied to the parent folders (see the constructor's options).
+     * @return {WritableStream} stream object whose chunks are ArrayBuffer, typed array or Blob
+     * objects. It is errored with a fmjs.FileManagerError object if the file can't be written.
+     */
+    fmjs.GDriveFileManager.prototype.createWriteStream = function(filePath, options) {
+      var self = this;
+      // the upload is cancelled when the stream is aborted
+      var controller = new AbortController();
+      var uploadOptions = {};
+      // data that hasn't been acknowledged by the server yet, from offset bufferStart
+      var buffer = new Blob([]);
+      var bufferStart = 0;
+      var closed = false;
+      // callback of the upload waiting for its next chunk
+      var chunkCallback = null;
+      // write waiting for the buffered data to be uploaded
+      var pendingWrite = null;
+      var uploadDone;
+
+      options = options || {};
+      Object.keys(options).forEach(function(key) {
+        uploadOptions[key] = options[key];
+      });
+      uploadOptions.signal = controller.signal;
+
+      function abortUpload() {
+        controller.abort();
+      }
+
+      function stopListening() {
+        if (options.signal) {
+          options.signal.removeEventListener('abort', abortUpload);
+        }
+      }
+
+      // the caller's signal may have been aborted already
+      if (options.signal && options.signal.aborted) {
+        abortUpload();
+      } else if (options.signal) {
+        options.signal.addEventListener('abort', abortUpload);
+      }
+
+      controller.signal.addEventListener('abort', function() {
+        if (chunkCallback) {
+          var callback = chunkCallback;
+
+          chunkCallback = null;
+          callback(null, null, self.checkAborted(uploadOptions, filePath));
+        }
+      });
+
+      // the next chunk is sent when it is full or the stream has been closed
+      function sendChunk() {
+        if (chunkCallback && (closed || buffer.size >= self.CHUNK_SIZE)) {
+          var callback = chunkCallback;
+
+          chunkCallback = null;
+          callback(buffer.slice(0, self.CHUNK_SIZE), closed ? bufferStart + buffer.size : null);
+        }
+      }
+
+      var source = {
+        size: null,
+        getChunk: function(offset, callback) {
+
+          if (offset < bufferStart) {
+            // the upload session has expired and the data sent before is gone
+            callback(null, null, self.createError('Could not write file ' + filePath + '. The upload ' +
+              'session expired', filePath));
+            return;
+          }
+
+          // the data before offset has been received by the server
+          buffer = buffer.slice(offset - bufferStart);
+          bufferStart = offset;
+          if (pendingWrite && buffer.size < 2 * self.CHUNK_SIZE) {
+            pendingWrite.resolve();
+            pendingWrite = null;
+          }
+
+          chunkCallback = callback;
+          sendChunk();
+        }
+      };
+
+      var upload = new Promise(function(resolve, reject) {
+        uploadDone = {resolve: resolve, reject: reject};
+      });
+      // a failed upload is reported by the stream even if it is never closed
+      upload.catch(function() {});
+
+      return new WritableStream({
+        start: function(streamController) {
+          return new Promise(function(resolve, reject) {
+            self.getUploadTarget(filePath, options, function(target, err) {
+
+              if (!target) {
+                reject(err);
+                return;
+              }
+
+              var metadata = {'mimeType': options.mimeType || 'application/octet-stream'};
+
+              if (!target.fileId) {
+                metadata.name = target.path.substring(target.path.lastIndexOf('/') + 1);
+                metadata.parents = [target.parentId];
+              }
+
+              self.uploadResumable(source, metadata, target.fileId, uploadOptions, function(resp) {
+                if (!resp.error) {
+                  self.cacheId(target.path, false, resp.id);
+                  uploadDone.resolve(resp);
+                } else {
+                  var error = self.createError('Could not write file ' + target.path, target.path, resp.error);
+
+                  stopListening();
+                  streamController.error(error);
+                  if (pendingWrite) {
+                    pendingWrite.reject(error);
+                  }
+                  uploadDone.reject(error);
+                }
+              });
+              resolve();
+            });
+          });
+        },
+
+        write: function(chunk) {
+          buffer = new Blob([buffer, chunk]);
+          sendChunk();
+
+          if (buffer.size >= 2 * self.CHUNK_SIZE) {
+            return new Promise(function(resolve, reject) {
+              pendingWrite = {resolve: resolve, reject: reject};
+            });
+          }
+        },
+
+        close: function() {
+          closed = true;
+          sendChunk();
+          return upload.then(stopListening, function(err) {
+            stopListening();
+            throw err;
+          });
+        },
+
+        abort: function() {
+          stopListening();
+          controller.abort();
+        }
+      });
+    };
+
+    /**
+     * Get where a file has to be uploaded according to the ifMatch and ifExists write options.
+     * The file's parent folders are created if needed.
+     *
+     * @param {String} file's path.
+     * @param {Object} write options (see fmjs.AbstractFileManager.prototype.writeFile).
+     * @param {Function} callback whose argument is an object with properties parentId (id
+     * of the parent folder), path (path of the file to be written) and fileId (id of the
+     * existing file to be updated or null to create a new file) or null otherwise.
+     */
+    fmjs.GDriveFileManager.prototype.getUploadTarget = function(filePath, options, callback) {
+      var self = this;
+      var basedir = filePath.substring(0, filePath.lastIndexOf('/'));
+
+      this.createPath(basedir, this.getSingleEntryOptions(options), function(baseDirResp, err) {
+        var ifMatch = options.ifMatch;
+
+        if (!baseDirResp || baseDirResp.error) {
+          callback(null, err);
+        } else if (ifMatch === undefined && (options.ifExists === 'fail' || options.ifExists === 'keepBoth')) {
+          self.getWritePath(filePath, options, function(path, err) {
+            callback(path && {parentId: baseDirResp.id, path: path, fileId: null}, err);
+          });
+        } else {
+          self.isFile(filePath, self.getSingleEntryOptions(options), function(fileResp, err) {
+            // the Drive API v3 has no conditional updates so a write made elsewhere between this
+            // check and the upload is not detected
+            if (!err && ifMatch !== undefined && (!fileResp || self.getVersion(fileResp) !== String(ifMatch))) {
+              err = self.createError('Could not write file ' + filePath + '. The file has changed since ' +
+                'version ' + ifMatch, filePath, null, fmjs.ConflictError);
+            }
+            callback(err ? null : {parentId: baseDirResp.id, path: filePath, fileId: fileResp && fileResp.id}, err);
+          });
+        }
+      });
+    };
+
+    /**
+     * Upload a small file to GDrive in a single multipart request
+     *
+     * @param {Object} Blob object containing the file data.
+     * @param {Object} file resource object with the file's metadata (name, mimeType, parents).
+     * @param {String} id of the file whose content is replaced or null to create a new file.
+     * @param {Object} write options (see fmjs.AbstractFileManager.prototype.writeFile), progress
+     * is only reported when the upload is complete.
+     * @param {Function} callback whose argument is the file response object.
+     */
+    fmjs.GDriveFileManager.prototype.uploadMultipart = function(blob, metadata, fileId, options, callback) {
+      var boundary = '-------314159265358979323846';
+      var delimiter = "\r\n--" + boundary + "\r\n";
+      var close_delim = "\r\n--" + boundary + "--";
+
+      var multipartRequestBody = new Blob([
+          delimiter,
+          'Content-Type: application/json; charset=UTF-8\r\n\r\n',
+          JSON.stringify(metadata),
+          delimiter,
+          'Content-Type: ' + metadata.mimeType + '\r\n\r\n',
+          blob,
+          close_delim]);
+
+      var request = {
+        method: fileId ? 'PATCH' : 'POST',
+        url: this.UPLOAD_URL + (fileId ? '/' + encodeURIComponent(fileId) : ''),
+        params: {'uploadType': 'multipart', 'fields': this.FILE_FIELDS},
+        headers: {'Content-Type': 'multipart/related; boundary="' + boundary + '"'},
+        body: multipartRequestBody
+      };
+
+      this.execGDriveRequest(request, options, function(resp) {
+        if (!resp.error && options.onProgress) {
+          options.onProgress(blob.size, blob.size);
+        }
+        callback(resp);
+      });
+    };
+
+    /**
+     * Upload a file to GDrive with the resumable upload protocol. The data is sent in
+     * chunks of CHUNK_SIZE bytes. After a failure the server is asked for the number
+     * of bytes it has received and the upload continues from there.
+     *
+     * @param {Object} Blob object containing the file data or upload source object with
+     * properties:
+     *  -size: total size of the data or null if it is not known yet
+     *  -getChunk: function(offset, callback) that calls back with a Blob object holding the
+     *   data from offset (CHUNK_SIZE bytes unless it is the end of the data), the total size
+     *   if it is known by then (null otherwise) and an error object if the data is not available
+     * @param {Object} file resource object with the file's metadata (name, mimeType, parents).
+     * @param {String} id of the file whose content is replaced or null to create a new file.
+     * @param {Object} write options (see fmjs.AbstractFileManager.prototype.writeFile), progress
+     * is reported as the server acknowledges the chunks.
+     * @param {Function} callback whose argument is the file response object.
+     */
+    fmjs.GDriveFileManager.prototype.uploadResumable = function(blob, metadata, fileId, options, callback) {
+      var self = this;
+      var signal = options.signal;
+      var source = blob instanceof Blob ? {
+        size: blob.size,
+        getChunk: function(offset, callback) {
+          callback(blob.slice(offset, offset + self.CHUNK_SIZE), blob.size);
+        }
+      } : blob;
+      // total size of the data, the Content-Range headers use '*' while it is unknown
+      var total = source.size;
+      // URI of the upload session
+      var sessionUri = null;
+      // number of bytes the server has acknowledged
+      var offset = 0;
+      var ncalls = 0;
+      var reauthorized = false;
+      // whether the last request sent data that the server should have acknowledged
+      var sentData = false;
+
+      function abort() {
+        callback({error: self.checkAborted(options, metadata.name || fileId)});
+      }
+
+      function reportProgress(loaded) {
+        if (options.onProgress) {
+          options.onProgress(loaded, total);
+        }
+      }
+
+      function sendRequest(method, url, headers, body) {
+
+        if (signal && signal.aborted) {
+          abort();
+          return;
+        }
+
+        headers.Authorization = 'Bearer ' + self.accessToken;
+
+        fetch(url, {method: method, headers: headers, body: body, signal: signal}).then(function(resp) {
+          resp.text().then(function(text) {
+            handleResp(resp, text);
+          }, function() {
+            handleResp(resp, '');
+          });
+        }, function(err) {
+          // fetch only rejects on network failures and cancellations
+          if (err.name === 'AbortError') {
+            abort();
+          } else {
+            retry({code: 0, message: 'Network error'});
+          }
+        });
+      }
+
+      function startSession() {
+        var url = self.UPLOAD_URL + (fileId ? '/' + encodeURIComponent(fileId) : '') +
+          '?uploadType=resumable&fields=' + encodeURIComponent(self.FILE_FIELDS);
+        var headers = {
+          'Content-Type': 'application/json; charset=UTF-8',
+          'X-Upload-Content-Type': metadata.mimeType
+        };
+
+        if (total !== null) {
+          headers['X-Upload-Content-Length'] = String(total);
+        }
+        sendRequest(fileId ? 'PATCH' : 'POST', url, headers, JSON.stringify(metadata));
+      }
+
+      function uploadChunk() {
+        var start = offset;
+
+        source.getChunk(start, function(chunk, size, err) {
+
+          if (err) {
+            callback({error: err});
+            return;
+          }
+
+          total = size;
+          sentData = true;
+          if (!chunk.size) {
+            // all the data has been sent, an empty request completes the upload
+            queryOffset();
+          } else {
+            sendRequest('PUT', sessionUri, {
+              'Content-Range': 'bytes ' + start + '-' + (start + chunk.size - 1) + '/' + (total === null ? '*' : total)
+            }, chunk);
+          }
+        });
+      }
+
+      // ask the server how many bytes it has received
+      function queryOffset() {
+        sendRequest('PUT', sessionUri, {'Content-Range': 'bytes */' + (total === null ? '*' : total)}, null);
+      }
+
+      function resume() {
+        sentData = false;
+        if (sessionUri) {
+          queryOffset();
+        } else {
+          startSession();
+        }
+      }
+
+      // the retry policy's maximum number of attempts applies to the attempts without any progress
+      function retry(error, retryAfter) {
+        ++ncalls;
+
+        if (ncalls < self.RETRY_POLICY.maxAttempts) {
+          self.scheduleRetry(ncalls, signal, resume, abort, retryAfter);
+        } else {
+          callback({error: error});
+        }
+      }
+
+      function handleResp(resp, text) {
+        var body = fmjs.parseJson(text);
+        var error = (body && body.error) || {code: resp.status, message: resp.statusText};
+
+        if (resp.status === 200 || resp.status === 201) {
+
+          if (sessionUri) {
+            // the upload is complete
+            reportProgress(total);
+            callback(body || {});
+          } else {
+            sessionUri = resp.headers.get('Location');
+            uploadChunk();
+          }
+
+        } else if (resp.status === 308) {
+
+          // Resume Incomplete, the Range header holds the range of bytes received so far
+          var range = resp.headers.get('Range');
+          var received = range ? parseInt(range.split('-')[1], 10) + 1 : 0;
+
+          if (received > offset) {
+            ncalls = 0;
+          } else if (sentData) {
+            // the data sent was not received, it is sent again after the retry policy's delay
+            retry({code: 308, message: 'The upload made no progress'});
+            return;
+          }
+          offset = received;
+          reportProgress(offset);
+          uploadChunk();
+
+        } else if (resp.status === 401 && !reauthorized) {
+
+          // access token might have expired so renew it
+          reauthorized = true;
+          self.accessToken = null;
+          self.authorize(true, function(authorized) {
+            if (authorized) {
+              resume();
+            } else {
+              callback({error: error});
+            }
+          });
+
+        } else if ((resp.status === 404 || resp.status === 410) && sessionUri) {
+
+          // the upload session has expired so the upload is started again
+          sessionUri = null;
+          offset = 0;
+          retry(error);
+
+        } else if (self.isTransientError(error)) {
+          retry(error, resp.headers.get('Retry-After'));
+        } else {
+          callback({error: error});
+        }
+      }
+
+      startSession();
+    };
+
+    /**
+     * Create a file in GDrive
+     *
+     * @param {String} file's path.
+     * @param {String} MIME type string.
+     * @param {Object} optional object with property duplicateTitles: policy applied to the
+     * parent folders (see the constructor's options).
+     * @param {Function} optional callback whose argument is the file response object.
+     */
+    fmjs.GDriveFileManager.prototype.createFile = function(filePath, mimeType, options, callback) {
+      var idx = filePath.lastIndexOf('/');
+      var baseDir = filePath.substring(0, idx);
+      var name = filePath.substring(idx + 1);
+      var self = this;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+
+      this.createPath(baseDir, this.getSingleEntryOptions(options), function(baseDirResp, err) {
+        if (baseDirResp && !baseDirResp.error) {
+          var request = {
+            method: 'POST',
+            path: '/files',
+            params: {'fields': self.FILE_FIELDS},
+            body: {'mimeType': mimeType, 'name': name, 'parents': [baseDirResp.id]}
+          };
+
+          self.execGDriveRequest(request, function(resp) {
+            if (!resp.error) {
+              self.cacheId(filePath, mimeType === 'application/vnd.google-apps.folder', resp.id);
+              if (callback) {callback(resp);}
+            } else if (callback) {
+              callback(null, self.createError('Could not create file ' + filePath, filePath, resp.error));
+            }
+          });
+        } else if (callback) {
+          callback(null, err);
+        }
+      });
+    };
+
+    /**
+     * Find a file or folder in the GDrive cloud, a folder is looked for first.
+     *
+     * @param {String} file's or folder's path.
+     * @param {Object} optional object with property duplicateTitles: policy applied when
+     * several files or folders with the same title are found (see the constructor's options).
+     * @param {Function} callback whose argument is the entry's file response object if found
+     * or null otherwise.
+     */
+    fmjs.GDriveFileManager.prototype.findFileOrFolder = function(path, options, callback) {
+      var self = this;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = this.getSingleEntryOptions(options);
+
+      this.findEntry(path, true, options, function(folderResp, err) {
+        if (folderResp || err) {
+          callback(folderResp, err);
+        } else {
+          self.findEntry(path, false, options, function(fileResp, err) {
+            callback(fileResp, err || (!fileResp && self.createError('Path ' + path + ' not found', path, null,
+              fmjs.NotFoundError)));
+          });
+        }
+      });
+    };
+
+    /**
+     * Share a file or folder in current users's GDrive with the specified permissions.
+     *
+     * @param {String} file's or folder's path.
+     * @param {Object} object with properties: value (email address or domain), type, role as
+     * indicated at: https://developers.google.com/drive/api/v3/reference/permissions/create
+     * @param {Object} optional notification options (see fmjs.GDriveFileManager.prototype.shareFileById)
+     * and duplicateTitles policy (see the constructor's options).
+     * @param {Function} optional callback whose argument is the permission response object
+     * or null otherwise.
+     */
+    fmjs.GDriveFileManager.prototype.shareFile = function(filePath, permissions, options, callback) {
+      var self = this;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+
+      this.findFileOrFolder(filePath, options, function(fileResp, err) {
+        if (fileResp) {
+          self.shareFileById(fileResp.id, permissions, options, callback);
+        } else if (callback) {
+          callback(null, err);
+        }
+      });
+
+    };
+
+    /**
+     * Share a file or folder in current users's GDrive with the specified permissions.
+     *
+     * @param {String} file's or folder's id.
+     * @param {Object} object with properties: value (email address or domain), type, role as
+     * indicated at: https://developers.google.com/drive/api/v3/reference/permissions/create
+     * @param {Object} optional object with properties:
+     *  -sendNotificationEmail: whether to email the users or groups the file is shared with
+     *   (default true, it can't be disabled for the 'owner' role)
+     *  -emailMessage: plain text message included in the notification email
+     * @param {Function} optional callback whose argument is the permission response object
+     * or null otherwise.
+     */
+    fmjs.GDriveFileManager.prototype.shareFileById = function(fileId, permissions, options, callback) {
+      var self = this;
+      var resource = {'type': permissions.type, 'role': permissions.role};
+      var params = {'fields': this.PERMISSION_FIELDS};
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
+      if (permissions.type === 'domain') {
+        resource.domain = permissions.value;
+      } else if (permissions.type !== 'anyone') {
+        resource.emailAddress = permissions.value;
+      }
+
+      if (permissions.role === 'owner') {
+        params.transferOwnership = true;
+      } else if (options.sendNotificationEmail !== undefined) {
+        params.sendNotificationEmail = !!options.sendNotificationEmail;
+      }
+      if (options.emailMessage) {
+        params.emailMessage = options.emailMessage;
+      }
+
+      var request = {
+        method: 'POST',
+        path: '/files/' + encodeURIComponent(fileId) + '/permissions',
+        params: params,
+        body: resource
+      };
+
+      this.execGDriveRequest(request, function(resp) {
+        if (!resp.error) {
+          if (callback) {callback(resp);}
+        } else if (callback) {
+          callback(null, self.createError('Could not share file with id ' + fileId, fileId, resp.error));
+        }
+      });
+    };
+
+    /**
+     * Share a file or folder with several users. The permissions are created one after
+     * another as GDrive doesn't support concurrent changes to a file's permissions. A user
+     * that can't be shared with doesn't stop the others from being shared with.
+     *
+     * @param {String} file's or folder's path.
+     * @param {Array} users' email addresses.
+     * @param {String} role, eg. 'reader', 'commenter' or 'writer'.
+     * @param {Object} optional notification options (see fmjs.GDriveFileManager.prototype.shareFileById)
+     * and duplicateTitles policy (see the constructor's options).
+     * @param {Function} optional callback whose argument is a report object with properties
+     * permissions (array of the created permission response objects) and failed (array of
+     * objects with properties user and error), or null if the file or folder wasn't found.
+     */
+    fmjs.GDriveFileManager.prototype.shareWith = function(path, users, role, options, callback) {
+      var self = this;
+      var report = {permissions: [], failed: []};
+      var ix = 0;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+
+      function shareNext(fileId) {
+        var user = users[ix++];
+
+        if (user === undefined) {
+          if (callback) {callback(report);}
+          return;
+        }
+
+        self.shareFileById(fileId, {value: user, type: 'user', role: role}, options, function(permResp, err) {
+          if (permResp) {
+            report.permissions.push(permResp);
+          } else {
+            report.failed.push({user: user, error: self.createError('Could not share ' + path + ' with ' + user,
+              path, err)});
+          }
+          shareNext(fileId);
+        });
+      }
+
+      this.findFileOrFolder(path, options, function(fileResp, err) {
+        if (fileResp) {
+          shareNext(fileResp.id);
+        } else if (callback) {
+          callback(null, err);
+        }
+      });
+    };
+
+    /**
+     * Get the permissions of a file or folder, ie. who it is shared with.
+     *
+     * @param {String} file's or folder's path.
+     * @param {Function} callback whose argument is an array of permission response objects
+     * (properties: id, type, role, emailAddress, domain, displayName) or null otherwise.
+     */
+    fmjs.GDriveFileManager.prototype.listPermissions = function(path, callback) {
+      var self = this;
+
+      this.findFileOrFolder(path, function(fileResp, err) {
+        if (fileResp) {
+          self.listPermissionsById(fileResp.id, callback);
+        } else {
+          callback(null, err);
+        }
+      });
+    };
+
+    /**
+     * Given a file or folder id get its permissions. Every page of the permissions is requested.
+     *
+     * @param {String} file's or folder's id.
+     * @param {Function} callback whose argument is an array of permission response objects
+     * or null otherwise.
+     */
+    fmjs.GDriveFileManager.prototype.listPermissionsById = function(fileId, callback) {
+      var self = this;
+      var permissions = [];
+
+      function listPage(pageToken) {
+        var params = {'fields': 'nextPageToken,permissions(' + self.PERMISSION_FIELDS + ')'};
+
+        if (pageToken) {
+          params.pageToken = pageToken;
+        }
+
+        self.execGDriveRequest({path: '/files/' + encodeURIComponent(fileId) + '/permissions', params: params},
+          function(resp) {
+            if (resp.error) {
+              callback(null, self.createError('Could not list the permissions of file with id ' + fileId, fileId,
+                resp.error));
+            } else {
+              permissions = permissions.concat(resp.permissions || []);
+              if (resp.nextPageToken) {
+                listPage(resp.nextPageToken);
+              } else {
+                callback(permissions);
+              }
+            }
+          });
+      }
+
+      listPage();
+    };
+
+    /**
+     * Change the role of a permission of a file or folder.
+     *
+     * @param {String} file's or folder's path.
+     * @param {String} permission's id (see fmjs.GDriveFileManager.prototype.listPermissions).
+     * @param {String} new role, the 'owner' role transfers the ownership of the file.
+     * @param {Function} optional callback whose argument is the updated permission response
+     * object or null otherwise.
+     */
+    fmjs.GDriveFileManager.prototype.updatePermission = function(path, permissionId, role, callback) {
+      var self = this;
+
+      this.findFileOrFolder(path, function(fileResp, err) {
+        if (fileResp) {
+          self.updatePermissionById(fileResp.id, permissionId, role, callback);
+        } else if (callback) {
+          callback(null, err);
+        }
+      });
+    };
+
+    /**
+     * Given a file or folder id change the role of one of its permissions
+     * (see fmjs.GDriveFileManager.prototype.updatePermission).
+     *
+     * @param {String} file's or folder's id.
+     * @param {String} permission's id.
+     * @param {String} new role.
+     * @param {Function} optional callback whose argument is the updated permission response
+     * object or null otherwise.
+     */
+    fmjs.GDriveFileManager.prototype.updatePermissionById = function(fileId, permissionId, role, callback) {
+      var self = this;
+      var params = {'fields': this.PERMISSION_FIELDS};
+
+      if (role === 'owner') {
+        params.transferOwnership = true;
+      }
+
+      var request = {
+        method: 'PATCH',
+        path: '/files/' + encodeURIComponent(fileId) + '/permissions/' + encodeURIComponent(permissionId),
+        params: params,
+        body: {'role': role}
+      };
+
+      this.execGDriveRequest(request, function(resp) {
+        if (!resp.error) {
+          if (callback) {callback(resp);}
+        } else if (callback) {
+          callback(null, self.createError('Could not update permission ' + permissionId + ' of file with id ' +
+            fileId, fileId, resp.error));
+        }
+      });
+    };
+
+    /**
+     * Revoke a permission of a file or folder.
+     *
+     * @param {String} file's or folder's path.
+     * @param {String} permission's id (see fmjs.GDriveFileManager.prototype.listPermissions).
+     * @param {Function} optional callback whose argument is a boolean true if the permission
+     * was removed.
+     */
+    fmjs.GDriveFileManager.prototype.removePermission = function(path, permissionId, callback) {
+      var self = this;
+
+      this.findFileOrFolder(path, function(fileResp, err) {
+        if (fileResp) {
+          self.removePermissionById(fileResp.id, permissionId, callback);
+        } else if (callback) {
+          callback(false, err);
+        }
+      });
+    };
+
+    /**
+     * Given a file or folder id revoke one of its permissions.
+     *
+     * @param {String} file's or folder's id.
+     * @param {String} permission's id.
+     * @param {Function} optional callback whose argument is a boolean true if the permission
+     * was removed.
+     */
+    fmjs.GDriveFileManager.prototype.removePermissionById = function(fileId, permissionId, callback) {
+      var self = this;
+      var request = {
+        method: 'DELETE',
+        path: '/files/' + encodeURIComponent(fileId) + '/permissions/' + encodeURIComponent(permissionId)
+      };
+
+      this.execGDriveRequest(request, function(resp) {
+        if (!resp.error) {
+          if (callback) {callback(true);}
+        } else if (callback) {
+          callback(false, self.createError('Could not remove permission ' + permissionId + ' of file with id ' +
+            fileId, fileId, resp.error));
+        }
+      });
+    };
+
+    /**
+     * Whether a path holds the file manager's own data. None does in GDrive, which has
+     * native custom properties and trash.
+     *
+     * @return {Boolean} false.
+     */
+    fmjs.GDriveFileManager.prototype.isReservedPath = function() {
+      return false;
+    };
+
+    /**
+     * Get a normalized description of a file or folder in the GDrive cloud
+     *
+     * @param {String} file's or folder's path.
+     * @param {Function} callback whose argument is a stat object (see
+     * fmjs.AbstractFileManager.prototype.stat) or null if the path is not found.
+     */
+    fmjs.GDriveFileManager.prototype.stat = function(path, callback) {
+      var self = this;
+
+      this.getPathFileMeta(path, function(fileResp, err) {
+        callback(fileResp && self.createFileStat(path, fileResp), err);
+      });
+    };
+
+    /**
+     * Create the stat object of a GDrive file or folder
+     *
+     * @param {String} file's or folder's path.
+     * @param {Object} file response object.
+     * @return {Object} stat object (see fmjs.AbstractFileManager.prototype.createStat).
+     */
+    fmjs.GDriveFileManager.prototype.createFileStat = function(path, fileResp) {
+      var isDirectory = fileResp.mimeType === 'application/vnd.google-apps.folder';
+
+      return this.createStat(path, {
+        isDirectory: isDirectory,
+        size: fileResp.size && parseInt(fileResp.size, 10),
+        mimeType: isDirectory ? '' : fileResp.mimeType,
+        createdTime: fileResp.createdTime && Date.parse(fileResp.createdTime),
+        modifiedTime: fileResp.modifiedTime && Date.parse(fileResp.modifiedTime),
+        id: fileResp.id
+      });
+    };
+
+    /**
+     * Get the file response object of a file or folder given its path
+     *
+     * @param {String} file's or folder's path.
+     * @param {String} optional fields of the file resource (default FILE_FIELDS).
+     * @param {Function} callback whose argument is the file response object if the path
+     * is found or null otherwise.
+     */
+    fmjs.GDriveFileManager.prototype.getPathFileMeta = function(path, fields, callback) {
+      var self = this;
+
+      if (typeof fields === 'function') {
+        callback = fields;
+        fields = this.FILE_FIELDS;
+      }
+
+      function getMeta(fileId) {
+        self.execGDriveRequest({path: '/files/' + encodeURIComponent(fileId), params: {'fields': fields}},
+          function(fileResp) {
+            if (!fileResp.error) {
+              callback(fileResp);
+            } else {
+              callback(null, self.createError('Could not retrieve path ' + path, path, fileResp.error));
+            }
+          });
+      }
+
+      if (!util.path2array(path).length) {
+        getMeta('root');
+        return;
+      }
+
+      this.findFileOrFolder(path, function(entryResp, err) {
+        if (entryResp && fields === self.FILE_FIELDS) {
+          callback(entryResp);
+        } else if (entryResp) {
+          getMeta(entryResp.id);
+        } else {
+          callback(null, err);
+        }
+      });
+    };
+
+    /**
+     * Get the custom properties of a file or folder in the GDrive cloud. GDrive's public
+     * properties are visible to every application, appProperties only to this one.
+     *
+     * @param {String} file's or folder's path.
+     * @param {Object} optional object with property appProperties: whether to get the
+     * properties private to the application instead of the public ones (default false).
+     * @param {Function} callback whose argument is an object mapping property names to
+     * string values or null otherwise.
+     */
+    fmjs.GDriveFileManager.prototype.getProperties = function(path, options, callback) {
+      var field;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      field = options && options.appProperties ? 'appProperties' : 'properties';
+
+      this.getPathFileMeta(path, field, function(fileResp, err) {
+        callback(fileResp && (fileResp[field] || {}), err);
+      });
+    };
+
+    /**
+     * Set custom properties of a file or folder in the GDrive cloud. The given properties
+     * are merged into the existing ones and a null value removes a property.
+     *
+     * @param {String} file's or folder's path.
+     * @param {Object} object mapping property names to string values or null.
+     * @param {Object} optional object with property appProperties (see
+     * fmjs.GDriveFileManager.prototype.getProperties).
+     * @param {Function} optional callback whose argument is an object with all the
+     * properties of the file or folder or null otherwise.
+     */
+    fmjs.GDriveFileManager.prototype.setProperties = function(path, properties, options, callback) {
+      var self = this;
+      var field;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      field = options && options.appProperties ? 'appProperties' : 'properties';
+
+      this.getPathFileMeta(path, 'id', function(fileResp, err) {
+
+        if (!fileResp) {
+          if (callback) {callback(null, err);}
+          return;
+        }
+
+        var body = {};
+
+        // GDrive stores the values as strings and removes the properties set to null
+        body[field] = {};
+        Object.keys(properties).forEach(function(key) {
+          body[field][key] = properties[key] === null ? null : String(properties[key]);
+        });
+
+        var request = {
+          method: 'PATCH',
+          path: '/files/' + encodeURIComponent(fileResp.id),
+          params: {'fields': field},
+          body: body
+        };
+
+        self.execGDriveRequest(request, function(resp) {
+          if (!resp.error) {
+            if (callback) {callback(resp[field] || {});}
+          } else if (callback) {
+            callback(null, self.createError('Could not set the properties of ' + path, path, resp.error));
+          }
+        });
+      });
+    };
+
+    /**
+     * Start polling GDrive's changes feed for a watcher. The feed reports the changes made by
+     * every user and application, and they are matched to the watched paths by file id.
+     *
+     * @param {Object} watcher object (see fmjs.AbstractFileManager.prototype.watch) whose
+     * options can have properties:
+     *  -interval: number of milliseconds between two polls (default the constructor's
+     *   watchInterval option)
+     *  -pageToken: page token of the changes feed to start from, eg. the pageToken property
+     *   of a previous session's watcher. By default the changes made from now are reported
+     */
+    fmjs.GDriveFileManager.prototype.startWatcher = function(watcher) {
+      var self = this;
+      var interval = watcher.options.interval || this.WATCH_INTERVAL;
+      var parentPath = watcher.path.substring(0, watcher.path.lastIndexOf('/')) || '/';
+
+      function poll() {
+        self.queueWatcherTask(watcher, function(done) {
+          self.pollChanges(watcher, function() {
+            done();
+            if (!watcher.closed) {
+              watcher.timeoutId = window.setTimeout(poll, interval);
+            }
+          });
+        });
+      }
+
+      // the current page token is requested right away so that no change is missed
+      watcher.pageToken = watcher.options.pageToken || null;
+      if (!watcher.pageToken) {
+        this.pollChanges(watcher, function() {});
+      }
+
+      // the watched path's parent folder tells where a file created at the watched path is
+      if (watcher.path !== '/') {
+        this.queueWatcherTask(watcher, function(done) {
+          self.stat(parentPath, function(stat) {
+            watcher.parent = stat;
+            done();
+          });
+        });
+      }
+
+      watcher.timeoutId = window.setTimeout(poll, interval);
+    };
+
+    /**
+     * Stop polling GDrive's changes feed for a closed watcher
+     *
+     * @param {Object} watcher object (see fmjs.AbstractFileManager.prototype.watch).
+     */
+    fmjs.GDriveFileManager.prototype.stopWatcher = function(watcher) {
+      window.clearTimeout(watcher.timeoutId);
+    };
+
+    /**
+     * Get the changes made since a watcher's page token and report those of its watched
+     * paths. Failed requests are tried again at the next poll. An error event is reported
+     * when the changes made until then are missed or when the requests keep failing, in
+     * which case it is only reported again after a successful poll. An invalid or expired
+     * page token is replaced by the current one.
+     *
+     * @param {Object} watcher object (see fmjs.GDriveFileManager.prototype.startWatcher).
+     * @param {Function} callback called when the changes have been handled.
+     */
+    fmjs.GDriveFileManager.prototype.pollChanges = function(watcher, callback) {
+      var self = this;
+
+      function reportError(error, missed) {
+        if (missed || !watcher.failed) {
+          self.emitChange(watcher, {kind: 'error', path: watcher.path, stat: null,
+            error: self.createError('Could not get the changes of ' + watcher.path, watcher.path, error)});
+        }
+        watcher.failed = true;
+      }
+
+      function getStartPageToken() {
+        self.execGDriveRequest({path: '/changes/startPageToken'}, function(resp) {
+          if (resp.error) {
+            // the changes are only reported from the page token got at the next poll
+            reportError(resp.error, false);
+          } else {
+            watcher.failed = false;
+          }
+          watcher.pageToken = resp.startPageToken || null;
+          callback();
+        });
+      }
+
+      function handleResp(resp) {
+
+        if (resp.error) {
+          if (resp.error.code === 400 || resp.error.code === 404) {
+            // the page token is invalid or has expired, the changes made until now are missed
+            reportError(resp.error, true);
+            watcher.pageToken = null;
+            getStartPageToken();
+            return;
+          }
+          if (!self.isTransientError(resp.error)) {
+            reportError(resp.error, false);
+          }
+          callback();
+          return;
+        }
+
+        watcher.failed = false;
+        (resp.changes || []).forEach(function(change) {
+          self.handleChange(watcher, change);
+        });
+
+        if (resp.nextPageToken) {
+          watcher.pageToken = resp.nextPageToken;
+          getChanges();
+        } else {
+          watcher.pageToken = resp.newStartPageToken || watcher.pageToken;
+          callback();
+        }
+      }
+
+      function getChanges() {
+        self.execGDriveRequest({path: '/changes', params: {'pageToken': watcher.pageToken, 'pageSize': 1000,
+          'fields': 'nextPageToken,newStartPageToken,changes(fileId,removed,file(' + self.FILE_FIELDS + '))'}},
+          handleResp);
+      }
+
+      if (watcher.pageToken) {
+        getChanges();
+      } else {
+        getStartPageToken();
+      }
+    };
+
+    /**
+     * Report a change of GDrive's changes feed to a watcher if it affects a watched path
+     *
+     * @param {Object} watcher object (see fmjs.GDriveFileManager.prototype.startWatcher).
+     * @param {Object} change resource (properties: fileId, removed and file).
+     */
+    fmjs.GDriveFileManager.prototype.handleChange = function(watcher, change) {
+      var known = watcher.known;
+      var file = change.file;
+      var paths = Object.keys(known);
+      var oldPath = paths.filter(function(path) { return known[path].id === change.fileId; })[0];
+      var newPath = null;
+
+      function findFolder(folderId) {
+        var folderPaths = paths.filter(function(path) { return known[path].isDirectory && known[path].id === folderId; });
+
+        if (folderPaths.length) {
+          return folderPaths[0];
+        }
+        return watcher.parent && watcher.parent.id === folderId ? watcher.parent.path : null;
+      }
+
+      // a trashed file is reported as deleted
+      if (!change.removed && file && !file.trashed) {
+        var parentPath = findFolder(file.parents && file.parents[0]);
+
+        if (parentPath) {
+          newPath = this.normalizePath(parentPath + '/' + file.name);
+          // a file moved or renamed out of the watched path is reported as deleted
+          if (this.getPathWatchers(newPath).indexOf(watcher) === -1) {
+            newPath = null;
+          }
+        }
+      }
+
+      if (oldPath && !newPath) {
+        this.emitChange(watcher, {kind: 'deleted', path: oldPath, stat: known[oldPath]});
+      } else if (oldPath && oldPath !== newPath) {
+        this.emitChange(watcher, {kind: 'moved', path: newPath, oldPath: oldPath,
+          stat: this.createFileStat(newPath, file)});
+      } else if (newPath) {
+        this.emitChange(watcher, {kind: oldPath ? 'modified' : 'created', path: newPath,
+          stat: this.createFileStat(newPath, file)});
+      }
+    };
+
+    /**
+     * Get information about current GDrive user.
+     *
+     * @param {Function} callback whose argument is an object with the user
+     * info (properties: id, name, mail) or null if there was an error.
+     */
+    fmjs.GDriveFileManager.prototype.getUserInfo = function(callback) {
+      var self = this;
+
+      if (this.userInfo) {
+        callback(this.userInfo);
+      } else {
+        // retrieve the user info from GDrive
+        var request = {path: '/about', params: {'fields': 'user'}};
+
+        this.execGDriveRequest(request, function(resp) {
+          if (!resp.error) {
+            var userDataObj = {id: resp.user.permissionId, name: resp.user.displayName, mail: resp.user.emailAddress};
+            self.userInfo = userDataObj;
+            callback(userDataObj);
+          } else {
+            callback(null, self.createError('Could not retrieve current user info', null, resp.error));
+          }
+        });
+      }
+    };
+
+    /**
+     * Get the entries of a folder in the GDrive cloud. Every page of the folder's
+     * children is requested.
+     *
+     * @param {String} folder's path.
+     * @param {Object} listing options (see fmjs.AbstractFileManager.prototype.listDirectory).
+     * @param {Function} callback whose argument is an array of entry objects if the
+     * folder is successfuly read or null otherwise.
+     */
+    fmjs.GDriveFileManager.prototype.getDirectoryEntries = function(path, options, callback) {
+      var self = this;
+      var entries = [];
+
+      function listPage(folderId, pageToken) {
+        var params = {'q': fmjs.GDriveFileManager.buildQuery('? in parents and trashed = false', [folderId]),
+          'pageSize': options.pageSize || 1000, 'fields': 'nextPageToken,files(' + self.FILE_FIELDS + ')'};
+
+        if (pageToken) {
+          params.pageToken = pageToken;
+        }
+
+        self.execGDriveRequest({path: '/files', params: params}, function(resp) {
+
+          if (resp.error) {
+            callback(null, self.createError('Could not list folder ' + path, path, resp.error));
+            return;
+          }
+
+          (resp.files || []).forEach(function(item) {
+            entries.push(self.createDirectoryEntry(path, {
+              name: item.name,
+              isDirectory: item.mimeType === 'application/vnd.google-apps.folder',
+              // Google Docs files don't have a size
+              size: parseInt(item.size || 0, 10),
+              mimeType: item.mimeType,
+              modifiedTime: Date.parse(item.modifiedTime),
+              id: item.id
+            }));
+          });
+
+          if (resp.nextPageToken) {
+            listPage(folderId, resp.nextPageToken);
+          } else {
+            callback(entries);
+          }
+        });
+      }
+
+      this.findEntry(path, true, this.getSingleEntryOptions(options), function(folderResp, err) {
+        if (folderResp) {
+          listPage(folderResp.id);
+        } else {
+          callback(null, err || self.createError('Folder ' + path + ' not found', path, null, fmjs.NotFoundError));
+        }
+      });
+    };
+
+    /**
+     * Remove a file from the GDrive cloud
+     *
+     * @param {String} file's path.
+     * @param {Object} optional object with property trash: whether to move the file to
+     * the trash instead of permanently deleting it (default false).
+     * @param {Function} optional callback whose argument is a boolean true if the file
+     * was removed.
+     */
+    fmjs.GDriveFileManager.prototype.removeFile = function(filePath, options, callback) {
+      var self = this;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+
+      this.isFile(filePath, this.getSingleEntryOptions(options), function(fileResp, err) {
+        if (fileResp) {
+          self.removeFileById(fileResp.id, options, callback);
+        } else if (callback) {
+          callback(false, err || self.createError('File ' + filePath + ' not found', filePath, null,
+            fmjs.NotFoundError));
+        }
+      });
+    };
+
+    /**
+     * Remove a file or folder from the GDrive cloud
+     *
+     * @param {String} file's or folder's path.
+     * @param {Object} optional object with properties:
+     *  -recursive: whether to remove a folder that is not empty along with its contents (default false)
+     *  -trash: whether to move the file or folder to the trash instead of permanently deleting it
+     *   (default false)
+     * @param {Function} optional callback whose argument is a boolean true if the path
+     * was removed.
+     */
+    fmjs.GDriveFileManager.prototype.removePath = function(path, options, callback) {
+      var self = this;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
+      function removeFolder(folderResp) {
+        if (options.recursive) {
+          self.removeFileById(folderResp.id, options, callback);
+          return;
+        }
+
+        // a folder that is not empty can't be removed without the recursive option
+        var request = {
+          path: '/files',
+          params: {'q': fmjs.GDriveFileManager.buildQuery('? in parents and trashed = false', [folderResp.id]),
+            'pageSize': 1,
+            'fields': 'files(id)'}
+        };
+
+        self.execGDriveRequest(request, function(resp) {
+          if (resp.error) {
+            if (callback) {callback(false, self.createError('Could not remove path ' + path, path, resp.error));}
+          } else if (resp.files.length) {
+            if (callback) {
+              callback(false, self.createError('Could not remove path ' + path + '. The folder is not empty',
+                path, null, fmjs.DirectoryNotEmptyError));
+            }
+          } else {
+            self.removeFileById(folderResp.id, options, callback);
+          }
+        });
+      }
+
+      if (!util.path2array(path).length) {
+        if (callback) {
+          callback(false, this.createError('Can not remove the root folder', path, null, fmjs.PermissionDeniedError));
+        }
+        return;
+      }
+
+      this.findEntry(path, true, this.getSingleEntryOptions(options), function(folderResp, err) {
+        if (folderResp) {
+          removeFolder(folderResp);
+        } else if (err) {
+          if (callback) {callback(false, err);}
+        } else {
+          self.findEntry(path, false, self.getSingleEntryOptions(options), function(fileResp, err) {
+            if (fileResp) {
+              self.removeFileById(fileResp.id, options, callback);
+            } else if (callback) {
+              callback(false, err || self.createError('Path ' + path + ' not found', path, null, fmjs.NotFoundError));
+            }
+          });
+        }
+      });
+    };
+
+    /**
+     * Given a file or folder id remove it from the GDrive cloud. Folders are removed
+     * along with their contents.
+     *
+     * @param {String} file's or folder's id.
+     * @param {Object} optional object with property trash: whether to move the file to
+     * the trash instead of permanently deleting it (default false).
+     * @param {Function} optional callback whose argument is a boolean true if the file
+     * was removed.
+     */
+    fmjs.GDriveFileManager.prototype.removeFileById = function(fileId, options, callback) {
+      var self = this;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
+      var request = {path: '/files/' + encodeURIComponent(fileId)};
+
+      if (options.trash) {
+        request.method = 'PATCH';
+        request.body = {'trashed': true};
+      } else {
+        request.method = 'DELETE';
+      }
+
+      this.execGDriveRequest(request, function(resp) {
+        if (!resp.error) {
+          self.invalidateCachedId(fileId);
+          if (callback) {callback(true);}
+        } else if (callback) {
+          callback(false, self.createError('Could not remove file with id ' + fileId, fileId, resp.error));
+        }
+      });
+    };
+
+    /**
+     * Create the object describing a file or folder in the GDrive trash
+     *
+     * @param {String} original path of the trashed file or folder.
+     * @param {Object} file response object with the trashedTime field.
+     * @return {Object} trash item object (see fmjs.AbstractFileManager.prototype.createTrashItem).
+     */
+    fmjs.GDriveFileManager.prototype.createFileTrashItem = function(path, fileResp) {
+      var item = this.createFileStat(path, fileResp);
+
+      item.trashedTime = fileResp.trashedTime ? Date.parse(fileResp.trashedTime) : null;
+      return item;
+    };
+
+    /**
+     * Move a file or folder to the GDrive trash by setting its trashed flag. The contents
+     * of a trashed folder are trashed along with it. The item is marked with the
+     * TRASHED_PROPERTY app property so that emptyTrash only deletes what trash moved.
+     *
+     * @param {String} file's or folder's path.
+     * @param {Function} optional callback whose argument is the trash item object (see
+     * fmjs.AbstractFileManager.prototype.createTrashItem) or null otherwise.
+     */
+    fmjs.GDriveFileManager.prototype.trash = function(path, callback) {
+      var self = this;
+
+      if (!util.path2array(path).length) {
+        if (callback) {
+          callback(null, this.createError('Can not move the root folder to the trash', path, null,
+            fmjs.PermissionDeniedError));
+        }
+        return;
+      }
+
+      this.findFileOrFolder(path, function(entryResp, err) {
+
+        if (!entryResp) {
+          if (callback) {callback(null, err);}
+          return;
+        }
+
+        var appProperties = {};
+        appProperties[self.TRASHED_PROPERTY] = 'true';
+
+        var request = {
+          method: 'PATCH',
+          path: '/files/' + encodeURIComponent(entryResp.id),
+          params: {'fields': self.FILE_FIELDS + ',trashedTime'},
+          body: {'trashed': true, 'appProperties': appProperties}
+        };
+
+        self.execGDriveRequest(request, function(resp) {
+          if (!resp.error) {
+            self.invalidateCachedId(entryResp.id);
+            if (callback) {callback(self.createFileTrashItem(self.normalizePath(path), resp));}
+          } else if (callback) {
+            callback(null, self.createError('Could not move ' + path + ' to the trash', path, resp.error));
+          }
+        });
+      });
+    };
+
+    /**
+     * Restore a file or folder from the GDrive trash to its original path by clearing its
+     * trashed flag. If several items were trashed from the same path the most recently
+     * trashed one is restored.
+     *
+     * @param {String} original path of the trashed file or folder, its parent folder must
+     * not be in the trash.
+     * @param {Function} optional callback whose argument is the stat object of the
+     * restored file or folder (see fmjs.AbstractFileManager.prototype.stat) or null otherwise.
+     */
+    fmjs.GDriveFileManager.prototype.restore = function(path, callback) {
+      var self = this;
+      var normPath = this.normalizePath(path);
+      var basedir = normPath.substring(0, normPath.lastIndexOf('/'));
+      var name = normPath.substring(normPath.lastIndexOf('/') + 1);
+
+      function restoreFile(fileId) {
+        var appProperties = {};
+        appProperties[self.TRASHED_PROPERTY] = null;
+
+        var request = {
+          method: 'PATCH',
+          path: '/files/' + encodeURIComponent(fileId),
+          params: {'fields': self.FILE_FIELDS},
+          body: {'trashed': false, 'appProperties': appProperties}
+        };
+
+        self.execGDriveRequest(request, function(resp) {
+          if (!resp.error) {
+            self.invalidateCache(normPath);
+            if (callback) {callback(self.createFileStat(normPath, resp));}
+          } else if (callback) {
+            callback(null, self.createError('Could not restore ' + path + ' from the trash', path, resp.error));
+          }
+        });
+      }
+
+      function findTrashedFile(folderId) {
+        var request = {
+          path: '/files',
+          params: {
+            'q': fmjs.GDriveFileManager.buildQuery('? in parents and name = ? and trashed = true', [folderId, name]),
+            'fields': 'files(id,explicitlyTrashed,trashedTime)'
+          }
+        };
+
+        self.execGDriveRequest(request, function(resp) {
+
+          if (resp.error) {
+            if (callback) {
+              callback(null, self.createError('Could not restore ' + path + ' from the trash', path, resp.error));
+            }
+            return;
+          }
+
+          // the contents of a trashed folder are restored along with it
+          var files = resp.files.filter(function(file) { return file.explicitlyTrashed; });
+
+          files.sort(function(a, b) { return Date.parse(a.trashedTime) - Date.parse(b.trashedTime); });
+          if (files.length) {
+            restoreFile(files.pop().id);
+          } else if (callback) {
+            callback(null, self.createError('Path ' + path + ' not found in the trash', path, null,
+              fmjs.NotFoundError));
+          }
+        });
+      }
+
+      if (!name) {
+        if (callback) {
+          callback(null, this.createError('Path ' + path + ' not found in the trash', path, null, fmjs.NotFoundError));
+        }
+        return;
+      }
+
+      this.findFileOrFolder(normPath, function(entryResp, err) {
+
+        if (entryResp) {
+          if (callback) {
+            callback(null, self.createError('Could not restore ' + path + '. The path already exists', path, null,
+              fmjs.AlreadyExistsError));
+          }
+        } else if (!(err instanceof fmjs.NotFoundError)) {
+          if (callback) {callback(null, err);}
+        } else if (!basedir) {
+          findTrashedFile('root');
+        } else {
+          self.findEntry(basedir, true, function(folderResp, err) {
+            if (folderResp) {
+              findTrashedFile(folderResp.id);
+            } else if (callback) {
+              callback(null, err || self.createError('Folder ' + basedir + ' not found', basedir, null,
+                fmjs.NotFoundError));
+            }
+          });
+        }
+      });
+    };
+
+    /**
+     * List the files and folders in the GDrive trash. The contents of a trashed folder
+     * are not listed, they are restored along with it.
+     *
+     * @param {Function} callback whose argument is an array of trash item objects (see
+     * fmjs.AbstractFileManager.prototype.createTrashItem) sorted by trashedTime or null
+     * otherwise.
+     */
+    fmjs.GDriveFileManager.prototype.listTrash = function(callback) {
+      var self = this;
+      var files = [];
+      // map of folder ids to their paths
+      var folderPaths = {};
+
+      function handleError(error) {
+        callback(null, self.createError('Could not list the trash', '/', error));
+      }
+
+      // find the original path of a folder by walking up its parents
+      function getFolderPath(folderId, done) {
+
+        if (!folderId) {
+          // a file shared with the user has no parent in the user's drive
+          done('');
+          return;
+        }
+        if (folderPaths[folderId] !== undefined) {
+          done(folderPaths[folderId]);
+          return;
+        }
+
+        self.execGDriveRequest({path: '/files/' + encodeURIComponent(folderId), params: {'fields': 'name,parents'}},
+          function(resp) {
+            if (resp.error) {
+              handleError(resp.error);
+              return;
+            }
+            getFolderPath(resp.parents && resp.parents[0], function(parentPath) {
+              folderPaths[folderId] = parentPath + '/' + resp.name;
+              done(folderPaths[folderId]);
+            });
+          });
+      }
+
+      function createItems() {
+        var items = [];
+
+        function nextItem() {
+          var file = files.shift();
+
+          if (!file) {
+            items.sort(function(a, b) { return a.trashedTime - b.trashedTime; });
+            callback(items);
+            return;
+          }
+
+          getFolderPath(file.parents && file.parents[0], function(folderPath) {
+            items.push(self.createFileTrashItem(folderPath + '/' + file.name, file));
+            nextItem();
+          });
+        }
+
+        nextItem();
+      }
+
+      function listPage(pageToken) {
+        var params = {'q': 'trashed = true', 'pageSize': 1000,
+          'fields': 'nextPageToken,files(' + self.FILE_FIELDS + ',trashedTime,explicitlyTrashed)'};
+
+        if (pageToken) {
+          params.pageToken = pageToken;
+        }
+
+        self.execGDriveRequest({path: '/files', params: params}, function(resp) {
+
+          if (resp.error) {
+            handleError(resp.error);
+            return;
+          }
+
+          files = files.concat(resp.files.filter(function(file) { return file.explicitlyTrashed; }));
+          if (resp.nextPageToken) {
+            listPage(resp.nextPageToken);
+          } else {
+            createItems();
+          }
+        });
+      }
+
+      // the root folder's alias 'root' is not its id
+      this.execGDriveRequest({path: '/files/root', params: {'fields': 'id'}}, function(resp) {
+        if (resp.error) {
+          handleError(resp.error);
+        } else {
+          folderPaths[resp.id] = '';
+          listPage();
+        }
+      });
+    };
+
+    /**
+     * Permanently delete the files and folders moved to the GDrive trash by trash. The
+     * other items in the user's trash are left there. The items are deleted in batch
+     * requests (see fmjs.GDriveBatch).
+     *
+     * @param {Function} optional callback whose argument is a boolean true if the trash
+     * was emptied.
+     */
+    fmjs.GDriveFileManager.prototype.emptyTrash = function(callback) {
+      var self = this;
+      var fileIds = [];
+
+      function handleError(error) {
+        if (callback) {callback(false, self.createError('Could not empty the trash', '/', error));}
+      }
+
+      function removeFiles() {
+        var batch = self.createBatch();
+        var errors = [];
+
+        fileIds.forEach(function(fileId) {
+          batch.removeFileById(fileId, function(removed, err) {
+            // an item may have been deleted along with a trashed folder containing it
+            if (!removed && !(err instanceof fmjs.NotFoundError)) {
+              errors.push(err);
+            }
+          });
+        });
+
+        batch.execute(function() {
+          if (errors.length) {
+            handleError(errors[0]);
+          } else if (callback) {
+            callback(true);
+          }
+        });
+      }
+
+      function listPage(pageToken) {
+        var params = {
+          'q': fmjs.GDriveFileManager.buildQuery("trashed = true and appProperties has { key=? and value='true' }",
+            [self.TRASHED_PROPERTY]),
+          'pageSize': 1000,
+          'fields': 'nextPageToken,files(id)'
+        };
+
+        if (pageToken) {
+          params.pageToken = pageToken;
+        }
+
+        self.execGDriveRequest({path: '/files', params: params}, function(resp) {
+
+          if (resp.error) {
+            handleError(resp.error);
+            return;
+          }
+
+          fileIds = fileIds.concat(resp.files.map(function(file) { return file.id; }));
+          if (resp.nextPageToken) {
+            listPage(resp.nextPageToken);
+          } else {
+            removeFiles();
+          }
+        });
+      }
+
+      listPage();
+    };
+
+    /**
+     * Move a file within the GDrive cloud by updating its parent folder and name. The
+     * destination's parent folders are created if they don't exist.
+     *
+     * @param {String} source file's path.
+     * @param {String} destination file's path.
+     * @param {Object} optional object with property overwrite: whether to replace an existing
+     * file at the destination instead of failing with fmjs.AlreadyExistsError (default false)
+     * and duplicateTitles policy (see the constructor's options).
+     * @param {Function} optional callback whose argument is the moved file's response
+     * object or null otherwise.
+     */
+    fmjs.GDriveFileManager.prototype.moveFile = function(srcPath, dstPath, options, callback) {
+      this.copyOrMoveFile(srcPath, dstPath, true, options, callback);
+    };
+
+    /**
+     * Copy a file within the GDrive cloud. The copy is made on the server so the file
+     * data is not downloaded. The destination's parent folders are created if they don't
+     * exist.
+     *
+     * @param {String} source file's path.
+     * @param {String} destination file's path.
+     * @param {Object} optional object with property overwrite: whether to replace an existing
+     * file at the destination instead of failing with fmjs.AlreadyExistsError (default false)
+     * and duplicateTitles policy (see the constructor's options).
+     * @param {Function} optional callback whose argument is the new file's response
+     * object or null otherwise.
+     */
+    fmjs.GDriveFileManager.prototype.copyFile = function(srcPath, dstPath, options, callback) {
+      this.copyOrMoveFile(srcPath, dstPath, false, options, callback);
+    };
+
+    /**
+     * Copy or move a file within the GDrive cloud
+     *
+     * @param {String} source file's path.
+     * @param {String} destination file's path.
+     * @param {Boolean} whether to move the file instead of copying it.
+     * @param {Object} optional options object (see moveFile).
+     * @param {Function} optional callback whose argument is the destination file's
+     * response object or null otherwise.
+     */
+    fmjs.GDriveFileManager.prototype.copyOrMoveFile = function(srcPath, dstPath, move, options, callback) {
+      var self = this;
+      // the source and destination paths must resolve to a single entry
+      var single;
+      var basedir = dstPath.substring(0, dstPath.lastIndexOf('/'));
+      var name = dstPath.substring(dstPath.lastIndexOf('/') + 1);
+      // existing file replaced at the destination
+      var replacedResp = null;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+      single = this.getSingleEntryOptions(options);
+
+      function handleResp(resp) {
+
+        if (resp.error) {
+          if (callback) {
+            callback(null, self.createError('Could not ' + (move ? 'move' : 'copy') + ' file ' + srcPath + ' to ' +
+              dstPath, srcPath, resp.error));
+          }
+          return;
+        }
+
+        if (move) {
+          self.invalidateCache(srcPath);
+        }
+
+        if (!replacedResp) {
+          self.cacheId(dstPath, false, resp.id);
+          if (callback) {callback(resp);}
+          return;
+        }
+
+        // GDrive allows several files with the same title so the replaced file is only
+        // moved to the trash once the new one is in place
+        self.removeFileById(replacedResp.id, {trash: true}, function(removed, err) {
+          self.cacheId(dstPath, false, resp.id);
+          if (!callback) {
+            return;
+          }
+          if (removed) {
+            callback(resp);
+          } else {
+            callback(null, self.createError('Could not move the replaced file ' + dstPath + ' to the trash', dstPath,
+              err));
+          }
+        });
+      }
+
+      function moveFile(fileResp, parentId) {
+        var parents = fileResp.parents || [];
+        var parentIds = parents.filter(function(id) {
+          return id !== parentId;
+        });
+        var params = {'fields': self.FILE_FIELDS};
+
+        if (parentIds.length === parents.length) {
+          // the file is not in the destination folder yet
+          params.addParents = parentId;
+        }
+        if (parentIds.length) {
+          params.removeParents = parentIds.join(',');
+        }
+
+        self.execGDriveRequest({method: 'PATCH', path: '/files/' + encodeURIComponent(fileResp.id), params: params,
+          body: {'name': name}}, handleResp);
+      }
+
+      function copyOrMoveFile(fileResp, baseDirResp) {
+        if (!move) {
+          self.execGDriveRequest({method: 'POST', path: '/files/' + encodeURIComponent(fileResp.id) + '/copy',
+            params: {'fields': self.FILE_FIELDS}, body: {'name': name, 'parents': [baseDirResp.id]}}, handleResp);
+        } else if (baseDirResp.id === 'root') {
+          // the root folder's alias 'root' is not its id
+          self.getFileMeta('root', function(rootResp, err) {
+            if (rootResp) {
+              moveFile(fileResp, rootResp.id);
+            } else if (callback) {
+              callback(null, err);
+            }
+          });
+        } else {
+          moveFile(fileResp, baseDirResp.id);
+        }
+      }
+
+      this.isFile(srcPath, single, function(fileResp, err) {
+
+        if (!fileResp) {
+          if (callback) {
+            callback(null, err || self.createError('File ' + srcPath + ' not found', srcPath, null, fmjs.NotFoundError));
+          }
+          return;
+        }
+
+        self.createPath(basedir, single, function(baseDirResp, err) {
+
+          if (!baseDirResp) {
+            if (callback) {callback(null, err);}
+            return;
+          }
+
+          self.isFile(dstPath, single, function(dstResp, err) {
+            if (err) {
+              if (callback) {callback(null, err);}
+            } else if (dstResp && dstResp.id === fileResp.id) {
+              // a file can't be moved or copied onto itself
+              if (callback) {callback(fileResp);}
+            } else if (dstResp && !options.overwrite) {
+              if (callback) {
+                callback(null, self.createError('Could not ' + (move ? 'move' : 'copy') + ' file ' + srcPath +
+                  ' to ' + dstPath + '. A file already exists at the destination path', srcPath, null,
+                  fmjs.AlreadyExistsError));
+              }
+            } else {
+              replacedResp = dstResp;
+              copyOrMoveFile(fileResp, baseDirResp);
+            }
+          });
+        });
+      });
+    };
+
+    /**
+     * Create a token provider that gets access tokens from Google Identity Services' token
+     * client. The Google Identity Services library (https://accounts.google.com/gsi/client)
+     * must be loaded before a token is requested.
+     *
+     * @param {String} Client ID from the Google's developer console.
+     * @param {Array} OAuth 2.0 scopes.
+     * @return {Function} token provider (see the constructor's tokenProvider option).
+     */
+    fmjs.GDriveFileManager.createGisTokenProvider = function(clientId, scopes) {
+      var tokenClient = null;
+      // callbacks waiting for the token being requested
+      var pending = [];
+
+      function done(token, err) {
+        var callbacks = pending;
+
+        pending = [];
+        callbacks.forEach(function(callback) {
+          callback(token, err);
+        });
+      }
+
+      return function(interactive, callback) {
+        if (typeof google === 'undefined' || !google.accounts || !google.accounts.oauth2) {
+          callback(null, new fmjs.ApiNotLoadedError('Google Identity Services library not loaded',
+            {backend: 'GDriveFileManager', path: '/'}));
+          return;
+        }
+
+        if (!tokenClient) {
+          tokenClient = google.accounts.oauth2.initTokenClient({
+            'client_id': clientId,
+            'scope': scopes.join(' '),
+            'callback': function(resp) {
+              done(resp.error ? null : resp.access_token, resp.error ? resp : null);
+            },
+            'error_callback': function(err) {
+              // eg. the popup window was closed or blocked
+              done(null, err);
+            }
+          });
+        }
+
+        pending.push(callback);
+        if (pending.length === 1) {
+          // without prompting the user only an already granted authorization is used
+          tokenClient.requestAccessToken({'prompt': interactive ? '' : 'none'});
+        }
+      };
+    };
+
+    /**
+     * Encode bytes in the base64 format.
+     *
+     * @param {Array} Uint8Array object.
+     * @return {String} base64 string.
+     */
+    fmjs.GDriveFileManager.base64Encode = function(bytes) {
+      var str = '';
+
+      // convert in slices to not exceed the maximum number of function arguments
+      for (var i = 0; i < bytes.length; i += 0x8000) {
+        str += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+      }
+
+      return btoa(str);
+    };
+
+    /**
+     * Build a GDrive search query. Every '?' in the template is replaced by the next value,
+     * string values are quoted and their quotes and backslashes escaped.
+     *
+     * @param {String} query template (eg. "name = ? and ? in parents").
+     * @param {Array} values.
+     * @return {String} query string.
+     */
+    fmjs.GDriveFileManager.buildQuery = function(template, values) {
+      var i = 0;
+
+      return template.replace(/\?/g, function() {
+        var value = values[i++];
+
+        if (typeof value === 'string') {
+          return "'" + value.replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "'";
+        }
+        return String(value);
+      });
+    };
+
+    fmjs.promisifyMethods(fmjs.GDriveFileManager,
+      ['requestFileSystem', 'authorize', 'createPath', 'findEntry', 'findFileOrFolder', 'isFile', 'getFileMeta',
+      'readFile', 'readFileByID', 'readRange', 'readRangeByID', 'getFileBlob', 'writeFile', 'createFile',
+      'shareFile', 'shareFileById', 'shareWith', 'listPermissions', 'listPermissionsById', 'updatePermission',
+      'updatePermissionById', 'removePermission', 'removePermissionById', 'stat', 'getProperties', 'setProperties',
+      'getUserInfo', 'getDirectoryEntries', 'removeFile', 'removePath', 'removeFileById', 'moveFile', 'copyFile',
+      'trash', 'restore', 'listTrash', 'emptyTrash']);
+
+
+    /**
+     * Class implementing a queue of GDrive operations that are run together in batch
+     * requests when the batch is executed. The queued operations have the same arguments
+     * as the fmjs.GDriveFileManager methods of the same name, and their callbacks are
+     * called (or their Promises settled) when the batch is executed.
+     *
+     * @constructor
+     * @param {Object} fmjs.GDriveFileManager object that runs the operations.
+     */
+    fmjs.GDriveBatch = function(fileManager) {
+
+      // file manager that runs the operations
+      this.fileManager = fileManager;
+      // queued requests (properties: request, callback)
+      this.queue = [];
+    };
+
+    /**
+     * Queue a GDrive API request
+     *
+     * @param {Object} request object (see fmjs.GDriveFileManager.prototype.execGDriveBatch).
+     * @param {Function} callback whose argument is the response object (see
+     * fmjs.GDriveFileManager.prototype.execGDriveRequest).
+     */
+    fmjs.GDriveBatch.prototype.add = function(request, callback) {
+      this.queue.push({request: request, callback: callback});
+    };
+
+    /**
+     * The file manager's operations that make a single request can be queued, they are
+     * run by an object inheriting from the file manager whose requests go to the queue.
+     * The path cache is updated on the file manager itself, as its counter is not shared.
+     */
+    ['getFileMeta', 'shareFileById', 'updatePermissionById', 'removePermissionById',
+      'removeFileById'].forEach(function(name) {
+
+      fmjs.GDriveBatch.prototype[name] = function() {
+        var self = this;
+        var fileManager = this.fileManager;
+        var queuingFm = Object.create(fileManager);
+
+        queuingFm.execGDriveRequest = function(request, options, callback) {
+          self.add(request, typeof options === 'function' ? options : callback);
+        };
+        ['getCachedId', 'cacheId', 'invalidateCache', 'invalidateCachedId'].forEach(function(cacheMethod) {
+          queuingFm[cacheMethod] = fileManager[cacheMethod].bind(fileManager);
+        });
+
+        return this.fileManager[name].apply(queuingFm, arguments);
+      };
+    });
+
+    /**
+     * Run the queued operations. Operations queued while the batch is running are left for
+     * the next execution.
+     *
+     * @param {Object} optional object with property signal: AbortSignal object that cancels
+     * the operations not sent yet.
+     * @param {Function} optional callback whose argument is a boolean true when every
+     * operation has completed (successfully or not).
+     */
+    fmjs.GDriveBatch.prototype.execute = function(options, callback) {
+      var queue = this.queue;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+
+      this.queue = [];
+
+      if (!queue.length) {
+        if (callback) {callback(true);}
+        return;
+      }
+
+      this.fileManager.execGDriveBatch(queue.map(function(item) { return item.request; }), options || {},
+        function(responses) {
+          queue.forEach(function(item, i) {
+            item.callback(responses[i]);
+          });
+          if (callback) {callback(true);}
+        });
+    };
+
+    fmjs.promisifyMethods(fmjs.GDriveBatch, ['execute']);
+
+
+    /**
+     * Concrete class implementing a file manager that keeps a whole directory tree
+     * in memory. Nothing is persisted, which makes it suitable as a stand-in for the
+     * other file managers in unit tests and scratch workspaces.
+     *
+     * @constructor
+     * @extends {fmjs.AbstractFileManager}
+     */
+    fmjs.MemoryFileManager = function() {
+
+      // root directory node of the in-memory tree
+      this.root = null;
+    };
+
+    /**
+     * fmjs.MemoryFileManager class inherits from fmjs.AbstractFileManager class
+     */
+    fmjs.MemoryFileManager.prototype = Object.create(fmjs.AbstractFileManager.prototype);
+    fmjs.MemoryFileManager.prototype.constructor = fmjs.MemoryFileManager;
+    fmjs.MemoryFileManager.prototype.backendName = 'MemoryFileManager';
+
+    /**
+     * Create the in-memory filesystem if it doesn't exist yet
+     *
+     * @param {Boolean} unused.
+     * @param {Function} callback to be called when the filesystem is ready.
+     */
+    fmjs.MemoryFileManager.prototype.requestFileSystem = function(immediate, callback) {
+
+      if (typeof immediate === 'function') {
+        callback = immediate;
+      }
+
+      if (!this.root) {
+        this.root = {name: '', isDirectory: true, children: {}, modifiedTime: Date.now()};
+      }
+
+      // be asynchronous like the other file managers
+      window.setTimeout(callback, 0);
+    };
+
+    /**
+     * Find the node at the given path in the in-memory tree
+     *
+     * @param {String} absolute path.
+     * @return {Object} tree node or null if not found.
+     */
+    fmjs.MemoryFileManager.prototype.getNode = function(path) {
+      var entries = util.path2array(path);
+      var node = this.root;
+
+      for (var i = 0; node && i < entries.length; i++) {
+        node = node.isDirectory ? (node.children[entries[i]] || null) : null;
+      }
+
+      return node;
+    };
+
+    /**
+     * Create a new directory path in the in-memory FS
+     *
+     * @param {String} new absolute path to be created.
+     * @param {Function} optional callback whose argument is an object with properties
+     * name, fullPath and isDirectory describing the directory or null otherwise.
+     */
+    fmjs.MemoryFileManager.prototype.createPath = function(path, callback) {
+      var self = this;
+
+      function createPath() {
+        var folders = util.path2array(path);
+        var dirNode = self.root;
+        var fullPath = '';
+
+        for (var i = 0; i < folders.length; i++) {
+          var node = dirNode.children[folders[i]];
+          fullPath += '/' + folders[i];
+
+          if (!node) {
+            node = {name: folders[i], isDirectory: true, children: {}, modifiedTime: Date.now()};
+            dirNode.children[folders[i]] = node;
+          } else if (!node.isDirectory) {
+            if (callback) {
+              callback(null, self.createError('Could not create path ' + path + '. A file already exists at: ' +
+                fullPath, path, null, fmjs.AlreadyExistsError));
+            }
+            return;
+          }
+          dirNode = node;
+        }
+
+        if (callback) {
+          callback({name: dirNode.name, fullPath: fullPath || '/', isDirectory: true});
+        }
+      }
+
+      this.requestFileSystem(true, createPath);
+    };
+
+    /**
+     * Determine whether a file exists in the in-memory FS
+     *
+     * @param {String} file's path.
+     * @param {Function} callback whose argument is the File object if found or
+     * null otherwise.
+     */
+    fmjs.MemoryFileManager.prototype.isFile = function(filePath, callback) {
+
+      this.getFileBlob(filePath, function(fileObj) {
+        callback(fileObj);
+      });
+    };
+
+    /**
+     * Read a file from the in-memory FS
+     *
+     * @param {String} file's path.
+     * @param {Object} optional read options (see fmjs.AbstractFileManager.prototype.getFileBlob).
+     * @param {Function} callback whose argument is an ArrayBuffer object containing
+     * the file data if the file is successfuly read or null otherwise.
+     */
+    fmjs.MemoryFileManager.prototype.readFile = function(filePath, options, callback) {
+      var self = this;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
+      this.getFileBlob(filePath, options, function(fileObj, err) {
+        if (fileObj) {
+          self.readBlob(fileObj, filePath, options, callback);
+        } else {
+          callback(null, err);
+        }
+      });
+    };
+
+    /**
+     * Get a File object from the in-memory FS
+     *
+     * @param {String} file's path.
+     * @param {Object} optional read options (see fmjs.AbstractFileManager.prototype.getFileBlob).
+     * @param {Function} callback whose argument is a File object if the file is successfuly
+     * retrieved or null otherwise.
+     */
+    fmjs.MemoryFileManager.prototype.getFileBlob = function(filePath, options, callback) {
+      var self = this;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
+      function getFile() {
+        var node = self.getNode(filePath);
+        var err = self.checkAborted(options, filePath);
+
+        if (err) {
+          callback(null, err);
+        } else if (node && !node.isDirectory) {
+          callback(node.file);
+        } else {
+          callback(null, self.createError('File ' + filePath + ' not found', filePath, null, fmjs.NotFoundError));
+        }
+      }
+
+      this.requestFileSystem(true, getFile);
+    };
+
+    /**
+     * Write a file to the in-memory FS. An existing file at the same path is overwritten
+     * unless the ifExists option says otherwise.
+     *
+     * @param {String} file's path.
+     * @param {Array} ArrayBuffer object or Blob containing the file data.
+     * @param {Object} optional write options (see fmjs.AbstractFileManager.prototype.writeFile).
+     * @param {Function} optional callback whose argument is the File object or
+     * null otherwise.
+     */
+    fmjs.MemoryFileManager.prototype.writeFile = function(filePath, fileData, options, callback) {
+      var self = this;
+      var basedir = filePath.substring(0, filePath.lastIndexOf('/'));
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
+      function writeFile(path, err) {
+        var name = path && path.substring(path.lastIndexOf('/') + 1);
+        var dirNode = path && self.getNode(basedir);
+        var node = dirNode && dirNode.children[name];
+
+        err = err || self.checkAborted(options, filePath);
+        if (err) {
+          if (callback) {callback(null, err);}
+          return;
+        }
+
+        if (!name || !dirNode || (node && node.isDirectory)) {
+          if (callback) {
+            callback(null, self.createError('Could not write file ' + filePath + '. A folder already ' +
+              'exists at the path', filePath, null, fmjs.AlreadyExistsError));
+          }
+          return;
+        }
+
+        // the modification time is the file's version so it must change with every write
+        var lastModified = node ? Math.max(Date.now(), node.file.lastModified + 1) : Date.now();
+        var fileObj = new File([fileData], name, {type: fileData.type || '', lastModified: lastModified});
+        dirNode.children[name] = {name: name, isDirectory: false, file: fileObj};
+
+        if (options.onProgress) {
+          options.onProgress(fileObj.size, fileObj.size);
+        }
+        self.pathWritten(path, fileObj);
+        if (callback) {
+          callback(fileObj);
+        }
+      }
+
+      this.createPath(basedir, function(dirDesc, err) {
+
+        if (dirDesc) {
+          self.getWritePath(filePath, options, writeFile);
+        } else {
+          writeFile(null, err);
+        }
+      });
+    };
+
+    /**
+     * Get the entries of a directory in the in-memory FS
+     *
+     * @param {String} directory's path.
+     * @param {Object} listing options (see fmjs.AbstractFileManager.prototype.listDirectory).
+     * @param {Function} callback whose argument is an array of entry objects if the
+     * directory is found or null otherwise.
+     */
+    fmjs.MemoryFileManager.prototype.getDirectoryEntries = function(path, options, callback) {
+      var self = this;
+
+      function getEntries() {
+        var dirNode = self.getNode(path);
+
+        if (!dirNode || !dirNode.isDirectory) {
+          callback(null, self.createError('Directory ' + path + ' not found', path, null, fmjs.NotFoundError));
+          return;
+        }
+
+        callback(Object.keys(dirNode.children).map(function(name) {
+          var node = dirNode.children[name];
+
+          if (node.isDirectory) {
+            return self.createDirectoryEntry(path, {name: name, isDirectory: true, modifiedTime: node.modifiedTime});
+          }
+
+          return self.createDirectoryEntry(path, {name: name, isDirectory: false, size: node.file.size,
+            mimeType: node.file.type, modifiedTime: node.file.lastModified});
+        }));
+      }
+
+      this.requestFileSystem(true, getEntries);
+    };
+
+    /**
+     * Remove a file from the in-memory FS
+     *
+     * @param {String} file's path.
+     * @param {Object} optional object with removal options (none is used by this file manager).
+     * @param {Function} optional callback whose argument is a boolean true if the file
+     * was removed.
+     */
+    fmjs.MemoryFileManager.prototype.removeFile = function(filePath, options, callback) {
+      var self = this;
+
+      if (typeof options === 'function') {
+        callback = options;
+      }
+
+      function removeFile() {
+        var entries = util.path2array(filePath);
+        var node = self.getNode(filePath);
+
+        if (node && !node.isDirectory) {
+          delete self.getNode(entries.slice(0, -1).join('/')).children[node.name];
+          self.pathChanged(filePath, null, function() {
+            if (callback) {callback(true);}
+          });
+        } else if (callback) {
+          callback(false, self.createError('File ' + filePath + ' not found', filePath, null, fmjs.NotFoundError));
+        }
+      }
+
+      this.requestFileSystem(true, removeFile);
+    };
+
+    /**
+     * Remove a file or directory from the in-memory FS
+     *
+     * @param {String} file's or directory's path.
+     * @param {Object} optional object with property recursive: whether to remove a
+     * directory that is not empty along with its contents (default false).
+     * @param {Function} optional callback whose argument is a boolean true if the path
+     * was removed.
+     */
+    fmjs.MemoryFileManager.prototype.removePath = function(path, options, callback) {
+      var self = this;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
+      function removePath() {
+        var entries = util.path2array(path);
+        var node = self.getNode(path);
+        var error = null;
+
+        if (!entries.length) {
+          error = self.createError('Can not remove the root directory', path, null, fmjs.PermissionDeniedError);
+        } else if (!node) {
+          error = self.createError('Path ' + path + ' not found', path, null, fmjs.NotFoundError);
+        } else if (node.isDirectory && Object.keys(node.children).length && !options.recursive) {
+          error = self.createError('Could not remove path ' + path + '. The directory is not empty', path, null,
+            fmjs.DirectoryNotEmptyError);
+        } else {
+          delete self.getNode(entries.slice(0, -1).join('/')).children[node.name];
+          self.pathChanged(path, null, function() {
+            if (callback) {callback(true);}
+          });
+          return;
+        }
+
+        if (callback) {
+          callback(false, error);
+        }
+      }
+
+      this.requestFileSystem(true, removePath);
+    };
+
+    /**
+     * Move a file within the in-memory FS. The destination's parent directories are
+     * created if they don't exist.
+     *
+     * @param {String} source file's path.
+     * @param {String} destination file's path.
+     * @param {Object} optional object with property overwrite: whether to replace an existing
+     * file at the destination instead of failing with fmjs.AlreadyExistsError (default false).
+     * @param {Function} optional callback whose argument is the moved File object or
+     * null otherwise.
+     */
+    fmjs.MemoryFileManager.prototype.moveFile = function(srcPath, dstPath, options, callback) {
+      this.copyOrMoveFile(srcPath, dstPath, true, options, callback);
+    };
+
+    /**
+     * Copy a file within the in-memory FS. The destination's parent directories are
+     * created if they don't exist.
+     *
+     * @param {String} source file's path.
+     * @param {String} destination file's path.
+     * @param {Object} optional object with property overwrite: whether to replace an existing
+     * file at the destination instead of failing with fmjs.AlreadyExistsError (default false).
+     * @param {Function} optional callback whose argument is the new File object or
+     * null otherwise.
+     */
+    fmjs.MemoryFileManager.prototype.copyFile = function(srcPath, dstPath, options, callback) {
+      this.copyOrMoveFile(srcPath, dstPath, false, options, callback);
+    };
+
+    /**
+     * Copy or move a file within the in-memory FS
+     *
+     * @param {String} source file's path.
+     * @param {String} destination file's path.
+     * @param {Boolean} whether to move the file instead of copying it.
+     * @param {Object} optional options object (see moveFile).
+     * @param {Function} optional callback whose argument is the destination File object
+     * or null otherwise.
+     */
+    fmjs.MemoryFileManager.prototype.copyOrMoveFile = function(srcPath, dstPath, move, options, callback) {
+      var self = this;
+      var name = dstPath.substring(dstPath.lastIndexOf('/') + 1);
+      var basedir = dstPath.substring(0, dstPath.lastIndexOf('/'));
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
+      this.getFileBlob(srcPath, function(srcFileObj, err) {
+
+        if (!srcFileObj || self.normalizePath(srcPath) === self.normalizePath(dstPath)) {
+          // a file can't be moved or copied onto itself
+          if (callback) {callback(srcFileObj, err);}
+          return;
+        }
+
+        self.createPath(basedir, function(dirDesc, err) {
+          var dirNode = dirDesc && self.getNode(basedir);
+          var node = dirNode && dirNode.children[name];
+
+          if (!name || !dirNode || (node && node.isDirectory)) {
+            if (callback) {
+              callback(null, err || self.createError('Could not ' + (move ? 'move' : 'copy') + ' file ' + srcPath +
+                ' to ' + dstPath + '. A folder already exists at the destination path', srcPath, null,
+                fmjs.AlreadyExistsError));
+            }
+            return;
+          }
+
+          if (node && !options.overwrite) {
+            if (callback) {
+              callback(null, self.createError('Could not ' + (move ? 'move' : 'copy') + ' file ' + srcPath + ' to ' +
+                dstPath + '. A file already exists at the destination path', srcPath, null, fmjs.AlreadyExistsError));
+            }
+            return;
+          }
+
+          // a moved file keeps its modification time
+          var fileObj = new File([srcFileObj], name, {type: srcFileObj.type,
+            lastModified: move ? srcFileObj.lastModified : Date.now()});
+          dirNode.children[name] = {name: name, isDirectory: false, file: fileObj};
+
+          if (move) {
+            var srcEntries = util.path2array(srcPath);
+            delete self.getNode(srcEntries.slice(0, -1).join('/')).children[srcEntries.pop()];
+
+            self.pathChanged(srcPath, dstPath, function() {
+              if (callback) {callback(fileObj);}
+            });
+          } else {
+            self.pathWritten(dstPath, fileObj);
+            if (callback) {callback(fileObj);}
+          }
+        });
+      });
+    };
+
+    fmjs.promisifyMethods(fmjs.MemoryFileManager,
+      ['requestFileSystem', 'createPath', 'isFile', 'readFile', 'getFileBlob', 'writeFile', 'getDirectoryEntries',
+      'removeFile', 'removePath', 'moveFile', 'copyFile']);
+
+
+    /**
+     * Concrete class implementing a file manager for a filesystem stored in the
+     * browser's IndexedDB. Persistent storage is requested so that data survive
+     * browser restarts. File metadata and file data are kept in separate object
+     * stores so that metadata can be queried without loading the file blobs.
+     *
+     * @constructor
+     * @extends {fmjs.AbstractFileManager}
+     * @param {String} optional name of the IndexedDB database (default 'fmjs').
+     */
+    fmjs.IndexedDBFileManager = function(dbName) {
+
+      // name of the IndexedDB database holding the filesystem
+      this.dbName = dbName || 'fmjs';
+      // IDBDatabase object
+      this.db = null;
+      // whether the browser granted persistent (non evictable) storage
+      this.persistent = false;
+    };
+
+    /**
+     * fmjs.IndexedDBFileManager class inherits from fmjs.AbstractFileManager class
+     */
+    fmjs.IndexedDBFileManager.prototype = Object.create(fmjs.AbstractFileManager.prototype);
+    fmjs.IndexedDBFileManager.prototype.constructor = fmjs.IndexedDBFileManager;
+    fmjs.IndexedDBFileManager.prototype.backendName = 'IndexedDBFileManager';
+
+    /**
+     * Determine whether the browser implements the IndexedDB API
+     *
+     * @return {Boolean} true if IndexedDB is available.
+     */
+    fmjs.IndexedDBFileManager.isSupported = function() {
+      return !!window.indexedDB;
+    };
+
+    /**
+     * Open the filesystem's database and request persistent storage
+     *
+     * @param {Boolean} unused.
+     * @param {Function} callback whose argument is a boolean true if the database
+     * was opened.
+     */
+    fmjs.IndexedDBFileManager.prototype.requestFileSystem = function(immediate, callback) {
+      var self = this;
+
+      if (typeof immediate === 'function') {
+        callback = immediate;
+      }
+
+      if (this.db) {
+        callback(true);
+        return;
+      }
+
+      if (!fmjs.IndexedDBFileManager.isSupported()) {
+        callback(false, this.createError('IndexedDB not supported by this browser', '/', null,
+          fmjs.ApiNotLoadedError));
+        return;
+      }
+
+      var request = window.indexedDB.open(this.dbName, 1);
+
+      request.onupgradeneeded = function() {
+        var db = request.result;
+
+        // file and directory metadata keyed by absolute path
+        var entryStore = db.createObjectStore('entries', {keyPath: 'path'});
+        entryStore.createIndex('parent', 'parent', {unique: false});
+        // file data keyed by absolute path
+        db.createObjectStore('blobs');
+      };
+
+      request.onsuccess = function() {
+        self.db = request.result;
+
+        // ask the browser not to evict the database under storage pressure
+        if (window.navigator && window.navigator.storage && window.navigator.storage.persist) {
+          window.navigator.storage.persist().then(function(persistent) {
+            self.persistent = persistent;
+          }, function() {});
+        }
+        callback(true);
+      };
+
+      request.onerror = function() {
+        callback(false, self.createError('Could not open database ' + self.dbName, '/', request.error));
+      };
+    };
 
     /**
-     * Request sandboxed filesystem
+     * Execute a database operation once the filesystem's database has been opened
      *
-     * @param {Function} callback to be called when the API is ready.
+     * @param {Function} database operation.
+     * @param {Function} optional callback of the operation which is called with null if
+     * the database could not be opened.
      */
-    fmjs.LocalFileManager.prototype.requestFileSystem = function(callback) {
-      var self = this;
+    fmjs.IndexedDBFileManager.prototype.execDbOperation = function(dbOperation, callback) {
 
-      // The file system has been prefixed as of Google Chrome 12:
-      window.requestFileSystem = window.requestFileSystem || window.webkitRequestFileSystem;
-      // Request 5GB
-      /*window.webkitStorageInfo.requestQuota( PERSISTENT, 5*1024*1024*1024, function(grantedBytes) {
-        window.requestFileSystem(PERSISTENT, grantedBytes, function(fs){self.fs = fs;}, self.fsErrorHandler);
-      }, function(err) {
-        window.console.log('Error', err);} ); */
-      if (window.requestFileSystem) {
-        window.requestFileSystem(window.TEMPORARY, 5*1024*1024*1024, function(fs){
-          self.fs = fs;
-          callback();
-        }, function(err) {throw new Error('Could not grant filesystem. Error code: ' + err.code);});
+      if (this.db) {
+        dbOperation();
+      } else {
+        this.requestFileSystem(true, function(granted, err) {
+          if (granted) {
+            dbOperation();
+          } else if (callback) {
+            callback(null, err);
+          }
+        });
       }
     };
 
     /**
-     * Create a new directory path in the sandboxed FS
+     * Create a new directory path in the IndexedDB FS
      *
      * @param {String} new absolute path to be created.
-     * @param {Function} optional callback whose argument is the directory entry or
-     * null otherwise.
+     * @param {Function} optional callback whose argument is the directory metadata
+     * object (properties: path, parent, name, isDirectory, size, mimeType, modifiedTime)
+     * or null otherwise.
      */
-    fmjs.LocalFileManager.prototype.createPath = function(path, callback) {
+    fmjs.IndexedDBFileManager.prototype.createPath = function(path, callback) {
       var self = this;
 
       function createPath() {
-
-        function createFolder(rootDirEntry, folders) {
-
-          function errorHandler(err) {
-            window.console.log('Could not create path. Error code: ' + err.code);
-            if (callback) {
-              callback(null);
+        var folders = util.path2array(path);
+        var tx = self.db.transaction('entries', 'readwrite');
+        var entryStore = tx.objectStore('entries');
+        var dirEntry = {path: '/', parent: null, name: '', isDirectory: true, size: 0, mimeType: '', modifiedTime: 0};
+        var error = null;
+
+        function createFolder(parentEntry, folders) {
+          var folderPath = parentEntry.path.replace(/\/$/, '') + '/' + folders[0];
+          var request = entryStore.get(folderPath);
+
+          request.onsuccess = function() {
+            var entry = request.result;
+
+            if (!entry) {
+              entry = {path: folderPath, parent: parentEntry.path, name: folders[0], isDirectory: true,
+                size: 0, mimeType: '', modifiedTime: Date.now()};
+              entryStore.put(entry);
+            } else if (!entry.isDirectory) {
+              error = self.createError('Could not create path ' + path + '. A file already exists at: ' +
+                folderPath, path, null, fmjs.AlreadyExistsError);
+              tx.abort();
+              return;
             }
-          }
 
-          // exclusive:false means if the folder already exists then don't throw an error
-          rootDirEntry.getDirectory(folders[0], {create: true, exclusive:false}, function(dirEntry) {
             // Recursively add the new subfolder (if we still have another to create).
             folders = folders.slice(1);
             if (folders.length) {
-              createFolder(dirEntry, folders);
-            } else if (callback) {
-              callback(dirEntry);
+              createFolder(entry, folders);
+            } else {
+              dirEntry = entry;
             }
-          }, errorHandler);
-
+          };
         }
 
-        var folders = util.path2array(path);
-        createFolder(self.fs, folders); // fs.root is a DirectoryEntry
+        tx.oncomplete = function() {
+          if (callback) {
+            callback(dirEntry);
+          }
+        };
 
-      }
+        tx.onabort = function() {
+          if (callback) {
+            callback(null, error || self.createError('Could not create path ' + path, path, tx.error));
+          }
+        };
 
-      if (this.fs) {
-        createPath();
-      } else {
-        this.requestFileSystem(createPath);
+        if (folders.length) {
+          createFolder(dirEntry, folders);
+        }
       }
+
+      this.execDbOperation(createPath, callback);
     };
 
     /**
-     * Determine whether a file exists in the sandboxed FS
+     * Determine whether a file exists in the IndexedDB FS. Only the file's metadata
+     * is read from the database.
      *
      * @param {String} file's path.
-     * @param {Function} callback whose argument is the File object if found or
-     * null otherwise.
+     * @param {Function} callback whose argument is the file metadata object (properties:
+     * path, parent, name, isDirectory, size, mimeType, modifiedTime) if found or null otherwise.
      */
-    fmjs.LocalFileManager.prototype.isFile = function(filePath, callback) {
+    fmjs.IndexedDBFileManager.prototype.isFile = function(filePath, callback) {
       var self = this;
 
       function findFile() {
+        var request = self.db.transaction('entries', 'readonly').objectStore('entries').get(
+          self.normalizePath(filePath));
 
-        function errorHandler(err) {
-          window.console.log('File not found. Error code: ' + err.code);
-          callback(null);
-        }
+        request.onsuccess = function() {
+          var entry = request.result;
 
-        self.fs.root.getFile(filePath, {create: false}, function(fileEntry) {
-          // Get a File object representing the file,
-          fileEntry.file(function(fileObj) {
-            callback(fileObj);
-          }, errorHandler);
-        }, errorHandler);
-      }
+          if (entry && !entry.isDirectory) {
+            callback(entry);
+          } else {
+            // File not found
+            callback(null);
+          }
+        };
 
-      if (this.fs) {
-        findFile();
-      } else {
-        this.requestFileSystem(findFile);
+        request.onerror = function() {
+          callback(null, self.createError('Could not find file ' + filePath, filePath, request.error));
+        };
       }
+
+      this.execDbOperation(findFile, callback);
     };
 
     /**
-     * Read a file from the sandboxed FS
+     * Get the version of a file, the IndexedDB FS uses the file's modification time.
+     *
+     * @param {Object} file's metadata entry object as returned by isFile.
+     * @return {String} file's version string.
+     */
+    fmjs.IndexedDBFileManager.prototype.getVersion = function(entry) {
+      return String(entry.modifiedTime);
+    };
+
+    /**
+     * Read a file from the IndexedDB FS
      *
      * @param {String} file's path.
+     * @param {Object} optional read options (see fmjs.AbstractFileManager.prototype.getFileBlob).
      * @param {Function} callback whose argument is an ArrayBuffer object containing
      * the file data if the file is successfuly read or null otherwise.
      */
-    fmjs.LocalFileManager.prototype.readFile = function(filePath, callback) {
-
-      this.getFileBlob(filePath, function(fileObj) {
-        var reader = new FileReader();
+    fmjs.IndexedDBFileManager.prototype.readFile = function(filePath, options, callback) {
+      var self = this;
 
-        reader.onload = function() {
-          callback(this.result);
-        };
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
 
+      this.getFileBlob(filePath, options, function(fileObj, err) {
         if (fileObj) {
-          reader.readAsArrayBuffer(fileObj);
+          self.readBlob(fileObj, filePath, options, callback);
         } else {
-          callback(null);
+          callback(null, err);
         }
       });
     };
 
     /**
-     * Get a File object from the sandboxed FS
+     * Get a File object from the IndexedDB FS
      *
      * @param {String} file's path.
+     * @param {Object} optional read options (see fmjs.AbstractFileManager.prototype.getFileBlob).
      * @param {Function} callback whose argument is a File object if the file is successfuly
      * retrieved or null otherwise.
      */
-    fmjs.LocalFileManager.prototype.getFileBlob = function(filePath, callback) {
+    fmjs.IndexedDBFileManager.prototype.getFileBlob = function(filePath, options, callback) {
       var self = this;
 
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
       function getFile() {
+        var err = self.checkAborted(options, filePath);
 
-        function errorHandler(err) {
-          window.console.log('Could not retrieve file object. Error code: ' + err.code);
-          callback(null);
+        if (err) {
+          callback(null, err);
+          return;
         }
 
-        self.fs.root.getFile(filePath, {create: false}, function(fileEntry) {
+        var path = self.normalizePath(filePath);
+        var tx = self.db.transaction(['entries', 'blobs'], 'readonly');
+        var entryRequest = tx.objectStore('entries').get(path);
+        var blobRequest = tx.objectStore('blobs').get(path);
 
-          // Get a File object representing the file,
-          fileEntry.file(function(fileObj) {
-            callback(fileObj);
-          }, errorHandler);
-        }, errorHandler);
-      }
+        tx.oncomplete = function() {
+          var entry = entryRequest.result;
+          var blob = blobRequest.result;
 
-      if (this.fs) {
-        getFile();
-      } else {
-        this.requestFileSystem(getFile);
+          if (entry && !entry.isDirectory && blob) {
+            callback(new File([blob], entry.name, {type: entry.mimeType, lastModified: entry.modifiedTime}));
+          } else {
+            callback(null, self.createError('File ' + filePath + ' not found', filePath, null, fmjs.NotFoundError));
+          }
+        };
+
+        tx.onabort = function() {
+          callback(null, self.createError('Could not retrieve file object ' + filePath, filePath, tx.error));
+        };
       }
+
+      this.execDbOperation(getFile, callback);
     };
 
     /**
-     * Write a file to the sandboxed FS
+     * Write a file to the IndexedDB FS. An existing file at the same path is overwritten
+     * unless the ifExists option says otherwise.
      *
      * @param {String} file's path.
-     * @param {Array} ArrayBuffer object containing the file data.
+     * @param {Array} ArrayBuffer object or Blob containing the file data.
+     * @param {Object} optional write options (see fmjs.AbstractFileManager.prototype.writeFile).
      * @param {Function} optional callback whose argument is the File object or
      * null otherwise.
      */
-    fmjs.LocalFileManager.prototype.writeFile = function(filePath, fileData, callback) {
+    fmjs.IndexedDBFileManager.prototype.writeFile = function(filePath, fileData, options, callback) {
       var self = this;
+      var basedir = this.normalizePath(filePath);
+      basedir = basedir.substring(0, basedir.lastIndexOf('/'));
 
-      function checkPathAndWriteFile() {
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
 
-        function errorHandler(err) {
-          window.console.log('Could not write file. Error code: ' + err.code);
+      function writeFile(dirEntry, path, err) {
+        var name = path && path.substring(path.lastIndexOf('/') + 1);
+
+        err = err || self.checkAborted(options, filePath);
+        if (err) {
+          if (callback) {callback(null, err);}
+          return;
+        }
+
+        if (!dirEntry || !name) {
           if (callback) {
-            callback(null);
+            callback(null, self.createError('Could not write file ' + filePath + '. Invalid file path',
+              filePath));
           }
+          return;
         }
 
-        function writeFile() {
-          self.fs.root.getFile(filePath, {create: true}, function(fileEntry) {
-            // Create a FileWriter object for our FileEntry (filePath).
-            fileEntry.createWriter(function(fileWriter) {
+        var blob = new Blob([fileData], {type: fileData.type || ''});
+        var entry = {path: path, parent: dirEntry.path, name: name, isDirectory: false, size: blob.size,
+          mimeType: blob.type, modifiedTime: Date.now()};
+        var tx = self.db.transaction(['entries', 'blobs'], 'readwrite');
+        var entryStore = tx.objectStore('entries');
+        var request = entryStore.get(path);
+        var error = null;
+
+        request.onsuccess = function() {
+          var ifMatch = options.ifMatch;
+          var changed = ifMatch !== undefined &&
+            (!request.result || self.getVersion(request.result) !== String(ifMatch));
+
+          // the conditions of the write are checked again within the transaction
+          if (request.result && request.result.isDirectory) {
+            error = self.createError('Could not write file ' + filePath + '. A folder already exists at the path',
+              filePath, null, fmjs.AlreadyExistsError);
+            tx.abort();
+          } else if (changed) {
+            error = self.createError('Could not write file ' + filePath + '. The file has changed since version ' +
+              ifMatch, filePath, null, fmjs.ConflictError);
+            tx.abort();
+          } else if (ifMatch === undefined && options.ifExists === 'fail' && request.result) {
+            error = self.createError('Could not write file ' + filePath + '. A file already exists at the path',
+              filePath, null, fmjs.AlreadyExistsError);
+            tx.abort();
+          } else {
+            // the modification time is the file's version so it must change with every write
+            if (request.result) {
+              entry.modifiedTime = Math.max(entry.modifiedTime, request.result.modifiedTime + 1);
+            }
+            entryStore.put(entry);
+            tx.objectStore('blobs').put(blob, path);
+          }
+        };
 
-              fileWriter.onwrite = function() {
-                if (callback) {
-                  // Get a File object representing the file,
-                  fileEntry.file(function(fileObj) {
-                    callback(fileObj);
-                  }, errorHandler);
-                }
-              };
+        tx.oncomplete = function() {
+          if (options.onProgress) {
+            options.onProgress(blob.size, blob.size);
+          }
+          var fileObj = new File([blob], name, {type: entry.mimeType, lastModified: entry.modifiedTime});
 
-              fileWriter.onerror = function(err) {
-                window.console.log('Could not write file. Error code: ' + err.toString());
-                if (callback) {
-                  callback(null);
-                }
-              };
+          self.pathWritten(path, fileObj);
+          if (callback) {
+            callback(fileObj);
+          }
+        };
 
-              var bBuilder = new BlobBuilder();
-              bBuilder.append(fileData);
-              var dataBlob = bBuilder.getBlob();
-              fileWriter.write(dataBlob);
+        tx.onabort = function() {
+          if (callback) {
+            callback(null, error || self.createError('Could not write file ' + filePath, filePath, tx.error));
+          }
+        };
+      }
 
-            }, errorHandler);
-          }, errorHandler);
+      this.createPath(basedir, function(dirEntry, err) {
+
+        if (!dirEntry) {
+          writeFile(null, null, err);
+          return;
         }
 
-        var basedir = filePath.substring(0, filePath.lastIndexOf('/'));
-        self.fs.getDirectory(basedir, {create: false}, function() {
-          writeFile();
-        }, function (err) {if (err.code === FileError.NOT_FOUND_ERR) {
-          self.createPath(basedir, writeFile);} else {
-            errorHandler(err);
-          }} );
+        self.getWritePath(self.normalizePath(filePath), options, function(path, err) {
+          writeFile(dirEntry, path, err);
+        });
+      });
+    };
+
+    /**
+     * Get the entries of a directory in the IndexedDB FS. Only the entries' metadata
+     * is read from the database.
+     *
+     * @param {String} directory's path.
+     * @param {Object} listing options (see fmjs.AbstractFileManager.prototype.listDirectory).
+     * @param {Function} callback whose argument is an array of entry objects if the
+     * directory is found or null otherwise.
+     */
+    fmjs.IndexedDBFileManager.prototype.getDirectoryEntries = function(path, options, callback) {
+      var self = this;
+
+      function getEntries() {
+        var dirPath = self.normalizePath(path);
+        var entryStore = self.db.transaction('entries', 'readonly').objectStore('entries');
+        // the root directory doesn't have a metadata entry
+        var dirRequest = dirPath === '/' ? null : entryStore.get(dirPath);
+        var childrenRequest = entryStore.index('parent').getAll(dirPath);
+        var tx = entryStore.transaction;
+
+        tx.oncomplete = function() {
+          var dirEntry = dirRequest && dirRequest.result;
+
+          if (dirRequest && !(dirEntry && dirEntry.isDirectory)) {
+            callback(null, self.createError('Directory ' + path + ' not found', path, null, fmjs.NotFoundError));
+            return;
+          }
+
+          callback(childrenRequest.result.map(function(entry) {
+            return self.createDirectoryEntry(dirPath, entry);
+          }));
+        };
+
+        tx.onabort = function() {
+          callback(null, self.createError('Could not list directory ' + path, path, tx.error));
+        };
       }
 
-      if (this.fs) {
-        checkPathAndWriteFile();
-      } else {
-        this.requestFileSystem(checkPathAndWriteFile);
+      this.execDbOperation(getEntries, callback);
+    };
+
+    /**
+     * Remove a file from the IndexedDB FS
+     *
+     * @param {String} file's path.
+     * @param {Object} optional object with removal options (none is used by this file manager).
+     * @param {Function} optional callback whose argument is a boolean true if the file
+     * was removed.
+     */
+    fmjs.IndexedDBFileManager.prototype.removeFile = function(filePath, options, callback) {
+      var self = this;
+
+      if (typeof options === 'function') {
+        callback = options;
+      }
+
+      function removeFile() {
+        var path = self.normalizePath(filePath);
+        var tx = self.db.transaction(['entries', 'blobs'], 'readwrite');
+        var entryStore = tx.objectStore('entries');
+        var request = entryStore.get(path);
+        var error = null;
+
+        request.onsuccess = function() {
+          if (request.result && !request.result.isDirectory) {
+            entryStore.delete(path);
+            tx.objectStore('blobs').delete(path);
+          } else {
+            error = self.createError('File ' + filePath + ' not found', filePath, null, fmjs.NotFoundError);
+            tx.abort();
+          }
+        };
+
+        tx.oncomplete = function() {
+          self.pathChanged(filePath, null, function() {
+            if (callback) {callback(true);}
+          });
+        };
+
+        tx.onabort = function() {
+          if (callback) {
+            callback(false, error || self.createError('Could not remove file ' + filePath, filePath, tx.error));
+          }
+        };
+      }
+
+      this.execDbOperation(removeFile, callback);
+    };
+
+    /**
+     * Remove a file or directory from the IndexedDB FS
+     *
+     * @param {String} file's or directory's path.
+     * @param {Object} optional object with property recursive: whether to remove a
+     * directory that is not empty along with its contents (default false).
+     * @param {Function} optional callback whose argument is a boolean true if the path
+     * was removed.
+     */
+    fmjs.IndexedDBFileManager.prototype.removePath = function(path, options, callback) {
+      var self = this;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
+      function removePath() {
+        var entryPath = self.normalizePath(path);
+        var tx = self.db.transaction(['entries', 'blobs'], 'readwrite');
+        var entryStore = tx.objectStore('entries');
+        var request = entryStore.get(entryPath);
+        var error = null;
+
+        function removeEntries() {
+          // the entry and all its descendants
+          var descendants = window.IDBKeyRange.bound(entryPath + '/', entryPath + '/\uffff');
+
+          entryStore.delete(entryPath);
+          entryStore.delete(descendants);
+          tx.objectStore('blobs').delete(entryPath);
+          tx.objectStore('blobs').delete(descendants);
+        }
+
+        request.onsuccess = function() {
+          var entry = request.result;
+
+          if (!entry) {
+            error = self.createError(entryPath === '/' ? 'Can not remove the root directory' :
+              'Path ' + path + ' not found', path, null,
+              entryPath === '/' ? fmjs.PermissionDeniedError : fmjs.NotFoundError);
+            tx.abort();
+          } else if (entry.isDirectory && !options.recursive) {
+            // a directory that is not empty can't be removed without the recursive option
+            var countRequest = entryStore.index('parent').count(entryPath);
+
+            countRequest.onsuccess = function() {
+              if (countRequest.result) {
+                error = self.createError('Could not remove path ' + path + '. The directory is not empty', path,
+                  null, fmjs.DirectoryNotEmptyError);
+                tx.abort();
+              } else {
+                removeEntries();
+              }
+            };
+          } else {
+            removeEntries();
+          }
+        };
+
+        tx.oncomplete = function() {
+          self.pathChanged(path, null, function() {
+            if (callback) {callback(true);}
+          });
+        };
+
+        tx.onabort = function() {
+          if (callback) {
+            callback(false, error || self.createError('Could not remove path ' + path, path, tx.error));
+          }
+        };
       }
 
+      this.execDbOperation(removePath, callback);
     };
 
+    /**
+     * Move a file within the IndexedDB FS. The destination's parent directories are
+     * created if they don't exist.
+     *
+     * @param {String} source file's path.
+     * @param {String} destination file's path.
+     * @param {Object} optional object with property overwrite: whether to replace an existing
+     * file at the destination instead of failing with fmjs.AlreadyExistsError (default false).
+     * @param {Function} optional callback whose argument is the moved File object or
+     * null otherwise.
+     */
+    fmjs.IndexedDBFileManager.prototype.moveFile = function(srcPath, dstPath, options, callback) {
+      this.copyOrMoveFile(srcPath, dstPath, true, options, callback);
+    };
 
     /**
-     * Concrete class implementing a file manager for Google Drive.
-     * Uses Google Drive's API
+     * Copy a file within the IndexedDB FS. The destination's parent directories are
+     * created if they don't exist.
+     *
+     * @param {String} source file's path.
+     * @param {String} destination file's path.
+     * @param {Object} optional object with property overwrite: whether to replace an existing
+     * file at the destination instead of failing with fmjs.AlreadyExistsError (default false).
+     * @param {Function} optional callback whose argument is the new File object or
+     * null otherwise.
+     */
+    fmjs.IndexedDBFileManager.prototype.copyFile = function(srcPath, dstPath, options, callback) {
+      this.copyOrMoveFile(srcPath, dstPath, false, options, callback);
+    };
+
+    /**
+     * Copy or move a file within the IndexedDB FS
+     *
+     * @param {String} source file's path.
+     * @param {String} destination file's path.
+     * @param {Boolean} whether to move the file instead of copying it.
+     * @param {Object} optional options object (see moveFile).
+     * @param {Function} optional callback whose argument is the destination File object
+     * or null otherwise.
+     */
+    fmjs.IndexedDBFileManager.prototype.copyOrMoveFile = function(srcPath, dstPath, move, options, callback) {
+      var self = this;
+      var src = this.normalizePath(srcPath);
+      var dst = this.normalizePath(dstPath);
+      var basedir = dst.substring(0, dst.lastIndexOf('/'));
+      var name = dst.substring(dst.lastIndexOf('/') + 1);
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
+      function copyOrMoveFile(dirEntry, err) {
+
+        if (!dirEntry || !name) {
+          if (callback) {
+            callback(null, err || self.createError('Could not ' + (move ? 'move' : 'copy') + ' file ' + srcPath +
+              '. Invalid destination path ' + dstPath, srcPath));
+          }
+          return;
+        }
+
+        var tx = self.db.transaction(['entries', 'blobs'], 'readwrite');
+        var entryStore = tx.objectStore('entries');
+        var blobStore = tx.objectStore('blobs');
+        var srcRequest = entryStore.get(src);
+        var dstRequest = entryStore.get(dst);
+        var blobRequest = blobStore.get(src);
+        var error = null;
+        var entry = null;
+        var blob = null;
+
+        blobRequest.onsuccess = function() {
+          var srcEntry = srcRequest.result;
+          var dstEntry = dstRequest.result;
+
+          blob = blobRequest.result;
+
+          if (!srcEntry || srcEntry.isDirectory || !blob) {
+            error = self.createError('File ' + srcPath + ' not found', srcPath, null, fmjs.NotFoundError);
+            tx.abort();
+          } else if (dstEntry && dstEntry.isDirectory) {
+            error = self.createError('Could not ' + (move ? 'move' : 'copy') + ' file ' + srcPath + ' to ' + dstPath +
+              '. A folder already exists at the destination path', srcPath, null, fmjs.AlreadyExistsError);
+            tx.abort();
+          } else if (src === dst) {
+            // a file can't be moved or copied onto itself
+            entry = srcEntry;
+          } else if (dstEntry && !options.overwrite) {
+            error = self.createError('Could not ' + (move ? 'move' : 'copy') + ' file ' + srcPath + ' to ' + dstPath +
+              '. A file already exists at the destination path', srcPath, null, fmjs.AlreadyExistsError);
+            tx.abort();
+          } else {
+            // a moved file keeps its modification time
+            entry = {path: dst, parent: dirEntry.path, name: name, isDirectory: false, size: srcEntry.size,
+              mimeType: srcEntry.mimeType, modifiedTime: move ? srcEntry.modifiedTime : Date.now()};
+            entryStore.put(entry);
+            blobStore.put(blob, dst);
+
+            if (move) {
+              entryStore.delete(src);
+              blobStore.delete(src);
+            }
+          }
+        };
+
+        tx.oncomplete = function() {
+          var fileObj = new File([blob], entry.name, {type: entry.mimeType, lastModified: entry.modifiedTime});
+
+          function done() {
+            if (callback) {
+              callback(fileObj);
+            }
+          }
+
+          if (move && src !== dst) {
+            self.pathChanged(src, dst, done);
+          } else {
+            if (src !== dst) {
+              self.pathWritten(dst, fileObj);
+            }
+            done();
+          }
+        };
+
+        tx.onabort = function() {
+          if (callback) {
+            callback(null, error || self.createError('Could not ' + (move ? 'move' : 'copy') + ' file ' + srcPath +
+              ' to ' + dstPath, srcPath, tx.error));
+          }
+        };
+      }
+
+      this.createPath(basedir, copyOrMoveFile);
+    };
+
+    fmjs.promisifyMethods(fmjs.IndexedDBFileManager,
+      ['requestFileSystem', 'createPath', 'isFile', 'readFile', 'getFileBlob', 'writeFile', 'getDirectoryEntries',
+      'removeFile', 'removePath', 'moveFile', 'copyFile']);
+
+
+    /**
+     * Concrete class implementing a file manager for Dropbox.
+     * Uses Dropbox's HTTP API v2 and the OAuth 2.0 code flow with PKCE.
      *
      * @constructor
      * @extends {fmjs.AbstractFileManager}
-     * @param {String} Client ID from the Google's developer console.
+     * @param {String} App key from the Dropbox's app console.
+     * @param {Object} optional object with properties:
+     *  -apiUrl: base URL of the API endpoints (default 'https://api.dropboxapi.com')
+     *  -contentUrl: base URL of the content endpoints (default 'https://content.dropboxapi.com'
+     *   or apiUrl if that is given)
+     *  -authUrl: URL of the authorization page (default 'https://www.dropbox.com/oauth2/authorize')
+     *  -redirectUri: redirect URI registered in the app console (default current page URL)
+     *  -accessToken: an already retrieved access token
+     *  -refreshToken: an already retrieved refresh token
+     *  -chunkSize: files larger than this number of bytes are uploaded in chunks (default 8MB)
      */
-    fmjs.GDriveFileManager = function(clientId) {
-      // Google's ID for the client app
-      this.CLIENT_ID = clientId;
-      // Permissions to access files uploaded through the API and read-only access to files
-      this.SCOPES = ['https://www.googleapis.com/auth/drive.file','https://www.googleapis.com/auth/drive.readonly'];
-      // Has OAuth 2.0 client library been loaded?
-      this.clientOAuthAPILoaded = false;
-      // Has Google Drive API been loaded?
-      this.driveAPILoaded = false;
-      // Current user information (name, mail)
-      this.userInfo = null;
+    fmjs.DropboxFileManager = function(clientId, options) {
+      options = options || {};
 
+      // Dropbox's app key for the client app
+      this.CLIENT_ID = clientId;
+      // Base URLs, they can point to a local mock server when testing
+      this.API_URL = options.apiUrl || 'https://api.dropboxapi.com';
+      this.CONTENT_URL = options.contentUrl || options.apiUrl || 'https://content.dropboxapi.com';
+      this.AUTH_URL = options.authUrl || 'https://www.dropbox.com/oauth2/authorize';
+      this.REDIRECT_URI = options.redirectUri || (window.location.origin + window.location.pathname);
+      // Upload session chunk size (Dropbox requires a multiple of 4MB and at most 150MB)
+      this.CHUNK_SIZE = options.chunkSize || 8*1024*1024;
+      // OAuth 2.0 tokens
+      this.accessToken = options.accessToken || null;
+      this.refreshToken = options.refreshToken || null;
+      // Access token expiration time in milliseconds since the epoch (0 if unknown)
+      this.tokenExpiration = 0;
     };
 
     /**
-     * fmjs.GDriveFileManager class inherits from fmjs.AbstractFileManager class
+     * fmjs.DropboxFileManager class inherits from fmjs.AbstractFileManager class
      */
-    fmjs.GDriveFileManager.prototype = Object.create(fmjs.AbstractFileManager.prototype);
-    fmjs.GDriveFileManager.prototype.constructor = fmjs.GDriveFileManager;
+    fmjs.DropboxFileManager.prototype = Object.create(fmjs.AbstractFileManager.prototype);
+    fmjs.DropboxFileManager.prototype.constructor = fmjs.DropboxFileManager;
+    fmjs.DropboxFileManager.prototype.backendName = 'DropboxFileManager';
+
+    /**
+     * Check if the current user has authorized the application.
+     *
+     * @param {Boolean} if true do not open a popup window, only existing tokens are used.
+     * @param {Function} callback whose argument is a boolean true if success
+     */
+    fmjs.DropboxFileManager.prototype.requestFileSystem = function(immediate, callback) {
+      this.authorize(immediate, callback);
+    };
 
     /**
-     * Check if the current user has authorized the application and then load the GDrive Api.
+     * Get a valid access token. A new access token is obtained with the refresh token if
+     * the current one has expired. Otherwise if immediate is false a popup window is
+     * opened for the user to authorize the application.
      *
      * @param {Boolean} whether or not to open a popup window.
      * @param {Function} callback whose argument is a boolean true if success
      */
-    fmjs.GDriveFileManager.prototype.requestFileSystem = function(immediate, callback) {
-      var self = this;
+    fmjs.DropboxFileManager.prototype.authorize = function(immediate, callback) {
 
-      function callbackClosure() {
+      if (this.accessToken && (!this.tokenExpiration || Date.now() < this.tokenExpiration - 60000)) {
         callback(true);
+      } else if (this.refreshToken) {
+        this.requestToken({'grant_type': 'refresh_token', 'refresh_token': this.refreshToken}, callback);
+      } else if (immediate) {
+        callback(false, this.createError('Authorization failed. The user has not authorized the application yet',
+          '/', null, fmjs.NotAuthorizedError));
+      } else {
+        this.authorizeWithPopup(callback);
+      }
+    };
+
+    /**
+     * Open a popup window for the user to authorize the application and exchange the
+     * returned authorization code for access and refresh tokens (PKCE code flow).
+     *
+     * @param {Function} callback whose argument is a boolean true if success
+     */
+    fmjs.DropboxFileManager.prototype.authorizeWithPopup = function(callback) {
+      var self = this;
+      var randomBytes = window.crypto.getRandomValues(new Uint8Array(32));
+      var codeVerifier = fmjs.DropboxFileManager.base64UrlEncode(randomBytes);
+      // the popup must be opened synchronously to not be blocked by the browser
+      var popup = window.open('', 'fmjsDropboxAuth', 'width=600,height=700');
+
+      if (!popup) {
+        callback(false, this.createError('Could not open the Dropbox authorization popup window', '/', null,
+          fmjs.NotAuthorizedError));
+        return;
       }
 
-      function authorize() {
-        self.authorize(immediate, function(authorized) {
-          if (authorized) {
-            self.loadApi(callbackClosure);
+      function waitForCode() {
+        var href;
+
+        try {
+          // this throws while the popup is displaying a cross-origin page
+          href = popup.location.href;
+        } catch (e) {
+          href = '';
+        }
+
+        if (popup.closed) {
+          callback(false, self.createError('Authorization failed. The Dropbox authorization popup window was closed',
+            '/', null, fmjs.NotAuthorizedError));
+        } else if (href.indexOf(self.REDIRECT_URI) === 0) {
+          popup.close();
+          var code = /[?&]code=([^&#]*)/.exec(href);
+
+          if (code) {
+            self.requestToken({'grant_type': 'authorization_code', 'code': decodeURIComponent(code[1]),
+              'code_verifier': codeVerifier, 'redirect_uri': self.REDIRECT_URI}, callback);
           } else {
-            callback(false);
+            callback(false, self.createError('Authorization failed. Dropbox authorization was denied', '/', null,
+              fmjs.NotAuthorizedError));
           }
-        });
+        } else {
+          window.setTimeout(waitForCode, 500);
+        }
       }
 
-      if (self.clientOAuthAPILoaded) {
-        authorize();
-      } else {
-        gapi.load('auth:client', function() {
-          self.clientOAuthAPILoaded = true;
-          authorize();
-        });
-      }
+      window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier)).then(function(hash) {
+        popup.location.href = self.AUTH_URL +
+          '?client_id=' + encodeURIComponent(self.CLIENT_ID) +
+          '&response_type=code' +
+          '&token_access_type=offline' +
+          '&code_challenge_method=S256' +
+          '&code_challenge=' + fmjs.DropboxFileManager.base64UrlEncode(new Uint8Array(hash)) +
+          '&redirect_uri=' + encodeURIComponent(self.REDIRECT_URI);
+        waitForCode();
+      });
     };
 
     /**
-     * Check if the current user has authorized the application.
+     * Request new tokens from the OAuth 2.0 token endpoint.
      *
-     * @param {Boolean} whether or not to open a popup window.
+     * @param {Object} grant parameters (grant_type and grant specific parameters).
      * @param {Function} callback whose argument is a boolean true if success
      */
-     fmjs.GDriveFileManager.prototype.authorize = function(immediate, callback) {
-       var self = this;
+    fmjs.DropboxFileManager.prototype.requestToken = function(params, callback) {
+      var self = this;
+      var xhr = new XMLHttpRequest();
+      var body = 'client_id=' + encodeURIComponent(this.CLIENT_ID);
 
-       if (self.clientOAuthAPILoaded) {
-         // OAuth client library has already been loaded, requests using it can be sent
-         gapi.auth.authorize({'client_id': self.CLIENT_ID, 'scope': self.SCOPES, 'immediate': immediate},
-           function(authResult) {
-             if (authResult && !authResult.error) {
-               // Access token has been successfully retrieved, requests can be sent to the API.
-               callback(true);
-             } else {
-               // No access token could be retrieved,
-               callback(false);
-             }
-         });
-       }
-     };
+      for (var key in params) {
+        body += '&' + key + '=' + encodeURIComponent(params[key]);
+      }
+
+      xhr.open('POST', this.API_URL + '/oauth2/token');
+      xhr.setRequestHeader('Content-Type', 'application/x-www-form-urlencoded');
+
+      xhr.onload = function() {
+        var resp = fmjs.parseJson(xhr.responseText);
+
+        if (xhr.status === 200 && resp && resp.access_token) {
+          self.accessToken = resp.access_token;
+          self.tokenExpiration = resp.expires_in ? Date.now() + resp.expires_in*1000 : 0;
+          if (resp.refresh_token) {
+            self.refreshToken = resp.refresh_token;
+          }
+          callback(true);
+        } else {
+          // a rejected refresh token must not be used again
+          if (params.grant_type === 'refresh_token') {
+            self.refreshToken = null;
+          }
+          self.accessToken = null;
+          callback(false, self.createError('Authorization failed. No access token could be retrieved!', '/',
+            resp, fmjs.NotAuthorizedError));
+        }
+      };
+
+      xhr.onerror = function() {
+        callback(false, self.createError('Authorization failed. Could not reach the token endpoint', '/', null,
+          fmjs.NetworkError));
+      };
+
+      xhr.send(body);
+    };
 
     /**
-     * Load GDrive API
+     * Execute a Dropbox API request. Requests are retried with an exponential delay
+     * when Dropbox is temporarily unavailable or rate limits the app, and once after
+     * renewing the access token if it has expired.
      *
-     * @param {Function} callback to be called when the api is loaded
+     * @param {Object} request object with properties:
+     *  -endpoint: API endpoint path, eg. '/files/get_metadata'
+     *  -arg: endpoint's JSON argument
+     *  -content: whether it is a content (upload/download) endpoint
+     *  -body: Blob with the data to be uploaded to a content endpoint
+     *  -headers: optional object with additional request headers, eg. a download's Range
+     * @param {Function} callback whose argument is a response object with properties
+     * status, result (the endpoint's JSON result), blob (downloaded data) and error
+     * (only present when the request fails).
      */
-     fmjs.GDriveFileManager.prototype.loadApi = function(callback) {
-       var self = this;
+    fmjs.DropboxFileManager.prototype.execDropboxRequest = function(request, callback) {
+      var self = this;
+      var ncalls = 0;
+      var reauthorized = false;
+
+      function retry(delay) {
+        ++ncalls;
+
+        if (ncalls<=5) {
+          // exponential delay unless the server says how long to wait, maximum
+          // number of request attempts is 5
+          window.setTimeout(execRequest,
+            delay || Math.floor(1000*Math.pow(2, ncalls-1) + Math.random() * 100));
+          return true;
+        }
+        return false;
+      }
 
-       if (this.clientOAuthAPILoaded) {
-         // OAuth client library has already been loaded, requests using it can be sent
-         if (this.driveAPILoaded) {
-           callback();
-         } else {
-           gapi.client.load('drive', 'v2', function() {
-             self.driveAPILoaded = true;
-             callback();
-           });
-         }
-       }
-     };
+      function execRequest() {
+        var xhr = new XMLHttpRequest();
+        var download = request.content && !request.body;
 
-     /**
-      * Execute a GDrive API request.
-      *
-      * @param {Object} GDrive request object.
-      * @param {Function} callback whose argument is the request response.
-      */
-     fmjs.GDriveFileManager.prototype.execGDriveRequest = function(request, callback) {
-       var self = this;
-       var ncalls = 0;
+        xhr.open('POST', (request.content ? self.CONTENT_URL : self.API_URL) + '/2' + request.endpoint);
+        xhr.setRequestHeader('Authorization', 'Bearer ' + self.accessToken);
 
-       function execRequest() {
+        if (request.content) {
+          xhr.setRequestHeader('Dropbox-API-Arg', fmjs.DropboxFileManager.toHeaderSafeJson(request.arg));
+          if (request.body) {
+            xhr.setRequestHeader('Content-Type', 'application/octet-stream');
+          }
+        } else {
+          xhr.setRequestHeader('Content-Type', 'application/json');
+        }
+        for (var name in request.headers) {
+          xhr.setRequestHeader(name, request.headers[name]);
+        }
 
-         request.execute(function(resp) {
-           if (resp.error) {
-             ++ncalls;
+        xhr.responseType = download ? 'blob' : 'text';
 
-             if (resp.error.code===401) {
+        xhr.onload = function() {
+          var resp = {status: xhr.status};
 
-               // auth token might have expired so check authorization
-                self.authorize(true, function(authorized) {
-                  if (authorized) {
-                    request.execute(function(resp2) {
-                      callback(resp2);
-                    });
-                  } else {
-                    console.error('Authorization failed. No access token could be retrieved!');
-                    callback(resp);
-                  }
-                });
-             } else if (ncalls<=5) {
+          // 206 Partial Content is the response to a download with a Range header
+          if (xhr.status === 200 || xhr.status === 206) {
+            if (download) {
+              resp.result = fmjs.parseJson(xhr.getResponseHeader('Dropbox-API-Result'));
+              resp.blob = xhr.response;
+            } else {
+              resp.result = fmjs.parseJson(xhr.responseText);
+            }
+            callback(resp);
 
-               // exponential delay, maximum number of request attempts is 5
-               window.setTimeout(execRequest,
-                 Math.floor(1000*Math.pow(2, ncalls-1) + Math.random() * 100));
+          } else if (xhr.status === 401 && !reauthorized) {
 
-             } else {
-               console.error(resp.error.message);
-               callback(resp);
-             }
-           } else {
-             callback(resp);
-           }
-         });
-       }
+            // access token might have expired so renew it
+            reauthorized = true;
+            self.accessToken = null;
+            self.authorize(true, function(authorized) {
+              if (authorized) {
+                execRequest();
+              } else {
+                resp.error = {status: 401, summary: 'Authorization failed. No access token could be retrieved!'};
+                callback(resp);
+              }
+            });
 
-       execRequest();
-     };
+          } else if ((xhr.status === 429 || xhr.status >= 500) &&
+            retry(1000 * parseInt(xhr.getResponseHeader('Retry-After') || 0, 10))) {
+            return;
+
+          } else {
+            var body = download ? null : fmjs.parseJson(xhr.responseText);
+
+            resp.error = {status: xhr.status, summary: (body && body.error_summary) || xhr.statusText,
+              detail: body && body.error};
+            callback(resp);
+          }
+        };
+
+        xhr.onerror = function() {
+          if (!retry()) {
+            callback({status: 0, error: {status: 0, summary: 'Network error'}});
+          }
+        };
+
+        if (request.content) {
+          xhr.send(request.body || null);
+        } else {
+          xhr.send(JSON.stringify(request.arg === undefined ? null : request.arg));
+        }
+      }
+
+      this.authorize(true, function(authorized) {
+        if (authorized) {
+          execRequest();
+        } else {
+          callback({status: 401, error: {status: 401, summary: 'Dropbox Api not authorized'}});
+        }
+      });
+    };
+
+    /**
+     * Convert a path into the format expected by Dropbox (the root is the empty string)
+     *
+     * @param {String} absolute path.
+     * @return {String} Dropbox path.
+     */
+    fmjs.DropboxFileManager.prototype.toDropboxPath = function(path) {
+      var entries = util.path2array(path);
+
+      return entries.length ? '/' + entries.join('/') : '';
+    };
 
     /**
-     * Create a new directory path in the GDrive cloud
+     * Create a new directory path in the Dropbox cloud
      *
      * @param {String} new absolute path to be created.
-     * @param {Function} optional callback whose argument is the folder creation
-     * response object or null otherwise.
+     * @param {Function} optional callback whose argument is the folder metadata
+     * object or null otherwise.
      */
-    fmjs.GDriveFileManager.prototype.createPath = function(path, callback) {
+    fmjs.DropboxFileManager.prototype.createPath = function(path, callback) {
       var self = this;
-
-      function createFolder(rootResp, folders) {
-        // list folder with name folders[0] if it already exists
-        var findRequest = gapi.client.drive.children.list({
-          'folderId': rootResp.id,
-          'q': "mimeType='application/vnd.google-apps.folder' and title='" + folders[0] + "'"
+      var dbxPath = this.toDropboxPath(path);
+
+      function getMeta(onNotFound) {
+        self.execDropboxRequest({endpoint: '/files/get_metadata', arg: {'path': dbxPath}}, function(resp) {
+          if (!resp.error && resp.result['.tag'] === 'folder') {
+            if (callback) {callback(resp.result);}
+          } else if (resp.error && resp.status === 409 && onNotFound) {
+            onNotFound();
+          } else if (callback) {
+            if (resp.error) {
+              callback(null, self.createError('Could not create path ' + path, path, resp.error));
+            } else {
+              callback(null, self.createError('Could not create path ' + path + '. A file already exists at the ' +
+                'path', path, null, fmjs.AlreadyExistsError));
+            }
+          }
         });
+      }
 
-        self.execGDriveRequest(findRequest, function(findResp) {
-          if (!findResp.error) {
-            // if folder not found then create it
-            if (findResp.items.length===0) {
-              var request = gapi.client.drive.files.insert({
-                'resource': {'title': folders[0], 'mimeType': 'application/vnd.google-apps.folder', 'parents': [{'id': rootResp.id}]}
-              });
+      function createFolder() {
+        // Dropbox creates the missing parent folders
+        var request = {endpoint: '/files/create_folder_v2', arg: {'path': dbxPath, 'autorename': false}};
 
-              self.execGDriveRequest(request, function(resp) {
-                if (!resp.error) {
-                  folders = folders.slice(1);
-                  if (folders.length) {
-                    //recursively create subsequent folders if needed
-                    createFolder(resp, folders);
-                  } else if (callback) {
-                    callback(resp);
-                  }
-                } else {
-                  console.log('Error: ', resp.error);
-                  if (callback) {callback(null);}
-                }
-              });
-            } else {
-              folders = folders.slice(1);
-              if (folders.length) {
-                // recursively create subsequent folders if needed
-                createFolder(findResp.items[0], folders);
-              } else if (callback) {
-                callback(findResp.items[0]);
-              }
-            }
-          } else {
-            console.log('Error: ', findResp.error);
-            if (callback) {callback(null);}
+        self.execDropboxRequest(request, function(resp) {
+          if (!resp.error) {
+            if (callback) {callback(resp.result.metadata);}
+          } else if (resp.status === 409) {
+            // the folder might have been concurrently created
+            getMeta();
+          } else if (callback) {
+            callback(null, self.createError('Could not create path ' + path, path, resp.error));
           }
         });
       }
 
-      if (this.driveAPILoaded) {
-        var folders = util.path2array(path);
-        if (folders.length) {
-          createFolder({'id': 'root'}, folders);
-        } else if (callback) {
-          callback(null);
-        }
-      } else {
-        console.error("GDrive Api not loaded");
+      if (dbxPath) {
+        getMeta(createFolder);
+      } else if (callback) {
+        // Dropbox doesn't return metadata for the root folder
+        callback({'.tag': 'folder', 'name': '', 'path_lower': '', 'path_display': ''});
       }
     };
 
     /**
-     * Determine whether a file exists in the GDrive cloud
+     * Determine whether a file exists in the Dropbox cloud
      *
      * @param {String} file's path.
-     * @param {Function} callback whose argument is the file response object if
-     * found or null otherwise.
+     * @param {Function} callback whose argument is the file metadata object (its rev
+     * property identifies the file's version) if found or null otherwise.
      */
-    fmjs.GDriveFileManager.prototype.isFile = function(filePath, callback) {
+    fmjs.DropboxFileManager.prototype.isFile = function(filePath, callback) {
       var self = this;
+      var dbxPath = this.toDropboxPath(filePath);
 
-      function findEntry(rootResp, entries) {
-        var findRequest;
+      if (!dbxPath) {
+        callback(null);
+        return;
+      }
 
-        // list entry with name entry[0] if it exists. The search request depends
-        // on whether we are at the filename entry or at an ancestor folder
-        if (entries.length===1) {
-          findRequest = gapi.client.drive.children.list({
-            'folderId': rootResp.id,
-            'q': "mimeType!='application/vnd.google-apps.folder' and title='" + entries[0] + "'"
-          });
+      this.execDropboxRequest({endpoint: '/files/get_metadata', arg: {'path': dbxPath}}, function(resp) {
+        if (!resp.error && resp.result['.tag'] === 'file') {
+          callback(resp.result);
+        } else if (!resp.error || resp.status === 409) {
+          // File not found
+          callback(null);
         } else {
-          findRequest = gapi.client.drive.children.list({
-            'folderId': rootResp.id,
-            'q': "mimeType='application/vnd.google-apps.folder' and title='" + entries[0] + "'"
-          });
+          callback(null, self.createError('Could not find file ' + filePath, filePath, resp.error));
         }
+      });
+    };
 
-        self.execGDriveRequest(findRequest, function(findResp) {
+    /**
+     * Get the version of a file, Dropbox identifies it with the file's rev.
+     *
+     * @param {Object} file metadata object as returned by isFile.
+     * @return {String} file's rev.
+     */
+    fmjs.DropboxFileManager.prototype.getVersion = function(fileObj) {
+      return fileObj.rev;
+    };
 
-          if (!findResp.error) {
-            if (findResp.items.length===0) {
-              console.log('File ' + filePath + ' not found!');
-              callback(null);
-            } else {
-              // Entry was found! Check if there are more entries
-              entries = entries.slice(1);
-              if (entries.length) {
-                // Recursively move to subsequent entry
-                findEntry(findResp.items[0], entries);
-              } else {
-                // No more entries, current entry is the file
-                // Request file response object (resource)
-                self.getFileMeta(findResp.items[0].id, function(fileResp) {
-                  callback(fileResp);
-                });
-              }
-            }
-          } else {
-            console.log('Error: ', findResp.error);
-            callback(null);
-          }
-        });
+    /**
+     * Get a normalized description of a file or folder in the Dropbox cloud
+     *
+     * @param {String} file's or folder's path.
+     * @param {Function} callback whose argument is a stat object (see
+     * fmjs.AbstractFileManager.prototype.stat) or null if the path is not found.
+     */
+    fmjs.DropboxFileManager.prototype.stat = function(path, callback) {
+      var self = this;
+      var dbxPath = this.toDropboxPath(path);
+
+      // Dropbox doesn't return the root folder's metadata
+      if (!dbxPath) {
+        callback(this.createStat('/', {isDirectory: true}));
+        return;
       }
 
-      if (this.driveAPILoaded) {
-        var entries = util.path2array(filePath);
+      if (this.isReservedPath(path)) {
+        callback(null, this.createError('Path ' + path + ' not found', path, null, fmjs.NotFoundError));
+        return;
+      }
 
-        if (entries.length) {
-          findEntry({'id': 'root'}, entries);
+      this.execDropboxRequest({endpoint: '/files/get_metadata', arg: {'path': dbxPath}}, function(resp) {
+        if (!resp.error) {
+          // Dropbox doesn't record the files' creation time nor their MIME type
+          callback(self.createStat(path, {
+            isDirectory: resp.result['.tag'] === 'folder',
+            size: resp.result.size,
+            modifiedTime: resp.result.server_modified && Date.parse(resp.result.server_modified),
+            id: resp.result.id
+          }));
         } else {
-          callback(null);
+          callback(null, self.createError('Could not find path ' + path, path, resp.error,
+            resp.status === 409 ? fmjs.NotFoundError : null));
         }
-      } else {
-        console.error("GDrive Api not loaded");
-      }
+      });
     };
 
     /**
-     * Given a file id get the file response object containing the file meta information
-     * from the GDrive cloud if authorized. Can get file meta from another user's GDrive
-     * if read permission has been granted to the current user.
+     * Read a file from the Dropbox cloud
      *
-     * @param {String} file's id.
-     * @param {Function} callback whose argument is the file response object if the request
-     * is successful or null otherwise.
+     * @param {String} file's path.
+     * @param {Object} optional read options (see fmjs.AbstractFileManager.prototype.getFileBlob).
+     * @param {Function} callback whose argument is an ArrayBuffer object containing
+     * the file data if the file is successfuly read or null otherwise.
      */
-     fmjs.GDriveFileManager.prototype.getFileMeta = function(fileId, callback) {
+    fmjs.DropboxFileManager.prototype.readFile = function(filePath, options, callback) {
+      var self = this;
 
-       if (this.driveAPILoaded) {
-         // Request file response object (resource)
-         var fileRequest = gapi.client.drive.files.get({
-           'fileId': fileId
-         });
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
 
-         this.execGDriveRequest(fileRequest, function(fileResp) {
-           if (!fileResp.error) {
-             callback(fileResp);
-           } else {
-             console.error('Could not retrive file with id ' + fileId);
-             callback(null);
-           }
-         });
-       } else {
-         console.error("GDrive Api not loaded");
-       }
-     };
+      this.getFileBlob(filePath, options, function(blob, err) {
+        if (blob) {
+          self.readBlob(blob, filePath, options, callback);
+        } else {
+          callback(null, err);
+        }
+      });
+    };
 
     /**
-     * Read a file from the GDrive cloud
+     * Read a range of bytes of a file from the Dropbox cloud. Only the range's bytes are
+     * downloaded.
      *
      * @param {String} file's path.
-     * @param {Function} callback whose argument is the file data object if the file is
-     * successfuly read or null otherwise.
+     * @param {Number} offset of the range's first byte.
+     * @param {Number} offset of the byte after the range's last byte or null/undefined to
+     * read until the end of the file.
+     * @param {Object} optional read options (see fmjs.AbstractFileManager.prototype.getFileBlob).
+     * @param {Function} callback whose argument is an ArrayBuffer object containing the
+     * range's data if the file is successfuly read or null otherwise.
      */
-    fmjs.GDriveFileManager.prototype.readFile = function(filePath, callback) {
+    fmjs.DropboxFileManager.prototype.readRange = function(filePath, start, end, options, callback) {
       var self = this;
+      var toEnd = end === null || end === undefined;
+      var request = {endpoint: '/files/download', arg: {'path': this.toDropboxPath(filePath)}, content: true,
+        headers: {'Range': 'bytes=' + start + '-' + (toEnd ? '' : end - 1)}};
+      var err;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
 
-      this.isFile(filePath, function(fileResp) {
-        if (fileResp && !fileResp.error) {
-          self.readFileByID(fileResp.id, callback);
+      err = this.checkAborted(options, filePath);
+      if (err) {
+        callback(null, err);
+        return;
+      }
+
+      if (!toEnd && end <= start) {
+        callback(new ArrayBuffer(0));
+        return;
+      }
+
+      this.execDropboxRequest(request, function(resp) {
+        if (!resp.error) {
+          // the whole file is received if the server ignores the Range header
+          self.readBlob(resp.status === 206 ? resp.blob : resp.blob.slice(start, toEnd ? undefined : end),
+            filePath, options, callback);
+        } else if (resp.status === 416) {
+          // Range Not Satisfiable, the range starts after the end of the file
+          callback(new ArrayBuffer(0));
         } else {
-          callback(null);
+          callback(null, self.createError('Could not read file ' + filePath, filePath, resp.error,
+            resp.status === 409 ? fmjs.NotFoundError : null));
         }
       });
+    };
+
+    /**
+     * Get a ReadableStream object that streams a file's data from the Dropbox cloud. The
+     * data is downloaded in ranges of CHUNK_SIZE bytes as the stream is read.
+     *
+     * @param {String} file's path.
+     * @param {Object} optional read options (see fmjs.AbstractFileManager.prototype.getFileBlob).
+     * @return {ReadableStream} stream object, it is errored with a fmjs.FileManagerError
+     * object if the file can't be read.
+     */
+    fmjs.DropboxFileManager.prototype.createReadStream = function(filePath, options) {
+      var self = this;
+      var offset = 0;
+
+      options = options || {};
+
+      return new ReadableStream({
+        pull: function(controller) {
+          return new Promise(function(resolve, reject) {
+            self.readRange(filePath, offset, offset + self.CHUNK_SIZE, options, function(data, err) {
+
+              if (!data) {
+                reject(err);
+                return;
+              }
 
+              offset += data.byteLength;
+              if (data.byteLength) {
+                controller.enqueue(new Uint8Array(data));
+              }
+              // a short range is the end of the file
+              if (data.byteLength < self.CHUNK_SIZE) {
+                controller.close();
+              }
+              resolve();
+            });
+          });
+        }
+      });
     };
 
     /**
-     * Given a file id read the file from the GDrive cloud if authorized. Can read
-     * a file from another user's GDrive if read permission has been granted to the
-     * current user.
+     * Download a file from the Dropbox cloud and return a Blob object
      *
-     * @param {String} file's id.
-     * @param {Function} callback whose argument is the file data object if the file is
+     * @param {String} file's path.
+     * @param {Object} optional read options (see fmjs.AbstractFileManager.prototype.getFileBlob).
+     * @param {Function} callback whose argument is the Blob object if the file is
      * successfuly read or null otherwise.
      */
-    fmjs.GDriveFileManager.prototype.readFileByID = function(fileId, callback) {
-      var reader = new FileReader();
+    fmjs.DropboxFileManager.prototype.getFileBlob = function(filePath, options, callback) {
+      var self = this;
+      var request = {endpoint: '/files/download', arg: {'path': this.toDropboxPath(filePath)}, content: true};
+      var err;
 
-      reader.onload = function() {
-        callback(reader.result);
-      };
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
 
-      this.getFileBlob(fileId, function(blob) {
-        if (blob) {
-          reader.readAsArrayBuffer(blob);
+      err = this.checkAborted(options, filePath);
+      if (err) {
+        callback(null, err);
+        return;
+      }
+
+      this.execDropboxRequest(request, function(resp) {
+        if (!resp.error) {
+          callback(resp.blob);
         } else {
-          callback(null);
+          // the error body is not parsed for downloads, a conflict is a path lookup error
+          callback(null, self.createError('Could not read file ' + filePath, filePath, resp.error,
+            resp.status === 409 ? fmjs.NotFoundError : null));
         }
       });
     };
 
     /**
-     * Given a file id read the file from the GDrive cloud if authorized and return a Blob
-     * object. Can read a file from another user's GDrive if read permission has been granted
-     * to the current user.
+     * Write a file to Dropbox. An existing file at the same path is overwritten unless the
+     * ifExists option says otherwise. Files larger than CHUNK_SIZE are uploaded in chunks
+     * through an upload session.
      *
-     * @param {String} file's id.
-     * @param {Function} callback whose argument is the Blob object if the file is
-     * successfuly read or null otherwise.
+     * @param {String} file's path.
+     * @param {Array} ArrayBuffer object or Blob containing the file data.
+     * @param {Object} optional write options (see fmjs.AbstractFileManager.prototype.writeFile).
+     * @param {Function} optional callback whose argument is the file metadata object
+     * or null otherwise.
      */
-     fmjs.GDriveFileManager.prototype.getFileBlob = function(fileId, callback) {
-       var ncalls = 0;
-       var self = this;
+    fmjs.DropboxFileManager.prototype.writeFile = function(filePath, fileData, options, callback) {
+      var self = this;
+      var blob = new Blob([fileData], {type: fileData.type || ''});
+      var commitInfo, err;
 
-       function getBlob() {
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
+      // Dropbox creates the missing parent folders and appends a number to the name of the
+      // file when autorename is set
+      commitInfo = {'path': this.toDropboxPath(filePath), 'mode': 'overwrite', 'autorename': false, 'mute': true};
+      if (options.ifMatch !== undefined) {
+        // the file is only overwritten if its rev matches
+        commitInfo.mode = {'.tag': 'update', 'update': String(options.ifMatch)};
+      } else if (options.ifExists === 'fail' || options.ifExists === 'keepBoth') {
+        commitInfo.mode = 'add';
+        commitInfo.autorename = options.ifExists === 'keepBoth';
+      }
+
+      function reportProgress(loaded) {
+        if (options.onProgress) {
+          options.onProgress(loaded, blob.size);
+        }
+      }
 
-         self.getFileMeta(fileId, function(fileResp) {
+      function handleResp(resp) {
+        if (!resp.error) {
+          reportProgress(blob.size);
+          self.pathWritten(resp.result.path_display);
+          if (callback) {callback(resp.result);}
+        } else if (callback) {
+          // a conflict of an update means the file has another rev
+          var conflict = options.ifMatch !== undefined && resp.status === 409 &&
+            /conflict/.test(resp.error.summary);
 
-           var accessToken = gapi.auth.getToken().access_token;
-           var xhr = new XMLHttpRequest();
+          callback(null, self.createError('Could not write file ' + filePath, filePath, resp.error,
+            conflict ? fmjs.ConflictError : null));
+        }
+      }
 
-           xhr.open('GET', fileResp.downloadUrl);
-           xhr.setRequestHeader('Authorization', 'Bearer ' + accessToken);
+      function uploadChunk(sessionId, offset) {
+        var chunk = blob.slice(offset, offset + self.CHUNK_SIZE);
+        var cursor = {'session_id': sessionId, 'offset': offset};
+        var err = self.checkAborted(options, filePath);
 
-           // Response handlers.
-           xhr.responseType = "blob"; // force the HTTP response, response-type header to be blob
-           xhr.onload = function() {
-             callback(xhr.response);
-           };
+        reportProgress(offset);
 
-           xhr.onerror = function() {
-             ++ncalls;
-             if (ncalls<=5) {
-                // exponential delay, maximum number of request attempts is 5
-                window.setTimeout(getBlob,
-                  Math.floor(1000*Math.pow(2, ncalls-1) + Math.random() * 100));
+        if (err) {
+          // the upload session is left to expire
+          if (callback) {callback(null, err);}
+        } else if (offset + chunk.size >= blob.size) {
+          // last chunk, finish the session and commit the file
+          self.execDropboxRequest({endpoint: '/files/upload_session/finish',
+            arg: {'cursor': cursor, 'commit': commitInfo}, content: true, body: chunk}, handleResp);
+        } else {
+          self.execDropboxRequest({endpoint: '/files/upload_session/append_v2',
+            arg: {'cursor': cursor, 'close': false}, content: true, body: chunk}, function(resp) {
+              if (!resp.error) {
+                uploadChunk(sessionId, offset + chunk.size);
               } else {
-                window.console.log('Could not read file: ' + fileResp.title + ' with id: ' + fileResp.id);
-                callback(null);
+                handleResp(resp);
               }
-           };
+            });
+        }
+      }
 
-           xhr.send();
-         });
-       }
+      err = this.checkAborted(options, filePath);
+      if (err) {
+        if (callback) {callback(null, err);}
+      } else if (blob.size <= this.CHUNK_SIZE) {
+        this.execDropboxRequest({endpoint: '/files/upload', arg: commitInfo, content: true, body: blob},
+          handleResp);
+      } else {
+        var firstChunk = blob.slice(0, this.CHUNK_SIZE);
 
-       getBlob();
-     };
+        this.execDropboxRequest({endpoint: '/files/upload_session/start', arg: {'close': false},
+          content: true, body: firstChunk}, function(resp) {
+            if (!resp.error) {
+              uploadChunk(resp.result.session_id, firstChunk.size);
+            } else {
+              handleResp(resp);
+            }
+          });
+      }
+    };
 
     /**
-     * Write a file to GDrive
+     * Get the entries of a folder in the Dropbox cloud. Every page of the folder's
+     * listing is requested.
      *
-     * @param {String} file's path.
-     * @param {Array} ArrayBuffer object containing the file data.
-     * @param {Function} optional callback whose argument is the file response object.
+     * @param {String} folder's path.
+     * @param {Object} listing options (see fmjs.AbstractFileManager.prototype.listDirectory).
+     * @param {Function} callback whose argument is an array of entry objects if the
+     * folder is successfuly read or null otherwise.
      */
-    fmjs.GDriveFileManager.prototype.writeFile = function(filePath, fileData, callback) {
+    fmjs.DropboxFileManager.prototype.getDirectoryEntries = function(path, options, callback) {
       var self = this;
+      var entries = [];
 
-      // callback to insert new file.
-      function writeFile(baseDirResp) {
+      function handleResp(resp) {
 
-        if (baseDirResp && !baseDirResp.error) {
-          var boundary = '-------314159265358979323846';
-          var delimiter = "\r\n--" + boundary + "\r\n";
-          var close_delim = "\r\n--" + boundary + "--";
-
-          var contentType = fileData.type || 'application/octet-stream';
-          var name = fileData.name || filePath.substring(filePath.lastIndexOf('/') + 1);
-          var metadata = {
-            'title': name,
-            'mimeType': contentType,
-            'parents': [{'id': baseDirResp.id}]
-          };
+        if (resp.error) {
+          callback(null, self.createError('Could not list folder ' + path, path, resp.error));
+          return;
+        }
 
-          var base64Data = btoa(util.ab2str(fileData));
-          var multipartRequestBody =
-              delimiter +
-              'Content-Type: application/json\r\n\r\n' +
-              JSON.stringify(metadata) +
-              delimiter +
-              'Content-Type: ' + contentType + '\r\n' +
-              'Content-Transfer-Encoding: base64\r\n' +
-              '\r\n' +
-              base64Data +
-              close_delim;
-
-          var request = gapi.client.request({
-              'path': '/upload/drive/v2/files',
-              'method': 'POST',
-              'params': {'uploadType': 'multipart' /*resumable for more than 5MB files*/},
-                'headers': {
-                  'Content-Type': 'multipart/mixed; boundary="' + boundary + '"'
-                },
-                'body': multipartRequestBody});
+        resp.result.entries.forEach(function(metadata) {
+          // Dropbox doesn't report the MIME type of files nor the modification time of folders
+          entries.push(self.createDirectoryEntry(path, {
+            name: metadata.name,
+            isDirectory: metadata['.tag'] === 'folder',
+            size: metadata.size,
+            modifiedTime: metadata.server_modified && Date.parse(metadata.server_modified),
+            id: metadata.id
+          }));
+        });
 
-          self.execGDriveRequest(request, function(resp) {
-            if (callback) {callback(resp);}
-          });
+        if (resp.result.has_more) {
+          self.execDropboxRequest({endpoint: '/files/list_folder/continue', arg: {'cursor': resp.result.cursor}},
+            handleResp);
+        } else {
+          callback(entries);
         }
       }
 
-      var basedir = filePath.substring(0, filePath.lastIndexOf('/'));
-      this.createPath(basedir, writeFile);
+      var arg = {'path': this.toDropboxPath(path)};
+
+      if (options.pageSize) {
+        arg.limit = options.pageSize;
+      }
+
+      this.execDropboxRequest({endpoint: '/files/list_folder', arg: arg}, handleResp);
     };
 
     /**
-     * Create a file in GDrive
+     * Remove a file from the Dropbox cloud
      *
      * @param {String} file's path.
-     * @param {String} MIME type string.
-     * @param {Function} optional callback whose argument is the file response object.
+     * @param {Object} optional object with removal options (none is used by this file manager).
+     * @param {Function} optional callback whose argument is a boolean true if the file
+     * was removed.
      */
-    fmjs.GDriveFileManager.prototype.createFile = function(filePath, mimeType, callback) {
-      var idx = filePath.lastIndexOf('/');
-      var baseDir = filePath.substring(0, idx);
-      var name = filePath.substring(idx + 1);
+    fmjs.DropboxFileManager.prototype.removeFile = function(filePath, options, callback) {
       var self = this;
 
-      this.createPath(baseDir, function(baseDirResp) {
-        if (baseDirResp && !baseDirResp.error) {
-          var request = gapi.client.drive.files.insert({
-            'resource': {
-              mimeType: mimeType,
-              title: name,
-              'parents': [{'id': baseDirResp.id}]
-              }
-          });
+      if (typeof options === 'function') {
+        callback = options;
+      }
 
-          self.execGDriveRequest(request, function(resp) {
-            if (callback) {callback(resp);}
+      // make sure that the path is not a folder before removing it
+      this.isFile(filePath, function(fileMeta, err) {
+        if (fileMeta) {
+          self.execDropboxRequest({endpoint: '/files/delete_v2', arg: {'path': fileMeta.path_lower}}, function(resp) {
+            if (!resp.error) {
+              self.pathChanged(filePath, null, function() {
+                if (callback) {callback(true);}
+              });
+            } else if (callback) {
+              callback(false, self.createError('Could not remove file ' + filePath, filePath, resp.error));
+            }
           });
+        } else if (callback) {
+          callback(false, err || self.createError('File ' + filePath + ' not found', filePath, null,
+            fmjs.NotFoundError));
         }
       });
     };
 
     /**
-     * Share a file in current users's GDrive with the specified permissions.
+     * Remove a file or folder from the Dropbox cloud
      *
-     * @param {String} file's path.
-     * @param {Object} object with properties: value, type, role as indicated at:
-     * https://developers.google.com/drive/v2/reference/permissions/insert
-     * @param {Function} optional callback whose argument is the shared file
-     * response object.
+     * @param {String} file's or folder's path.
+     * @param {Object} optional object with property recursive: whether to remove a
+     * folder that is not empty along with its contents (default false).
+     * @param {Function} optional callback whose argument is a boolean true if the path
+     * was removed.
      */
-    fmjs.GDriveFileManager.prototype.shareFile = function(filePath, permissions, callback) {
+    fmjs.DropboxFileManager.prototype.removePath = function(path, options, callback) {
       var self = this;
+      var dbxPath = this.toDropboxPath(path);
 
-      this.isFile(filePath, function(fileResp) {
-        if (fileResp && !fileResp.error) {
-          self.shareFileById(fileResp.id, permissions, callback);
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
+      function handleResp(resp) {
+        if (!resp.error) {
+          self.pathChanged(path, null, function() {
+            if (callback) {callback(true);}
+          });
+        } else if (callback) {
+          callback(false, self.createError('Could not remove path ' + path, path, resp.error));
+        }
+      }
+
+      function removePath() {
+        // Dropbox removes folders along with their contents
+        self.execDropboxRequest({endpoint: '/files/delete_v2', arg: {'path': dbxPath}}, handleResp);
+      }
+
+      if (!dbxPath) {
+        if (callback) {
+          callback(false, this.createError('Can not remove the root folder', path, null, fmjs.PermissionDeniedError));
+        }
+        return;
+      }
+
+      if (options.recursive) {
+        removePath();
+        return;
+      }
+
+      // a folder that is not empty can't be removed without the recursive option
+      this.execDropboxRequest({endpoint: '/files/list_folder', arg: {'path': dbxPath, 'limit': 1}}, function(resp) {
+        if (!resp.error && resp.result.entries.length) {
+          if (callback) {
+            callback(false, self.createError('Could not remove path ' + path + '. The folder is not empty', path,
+              null, fmjs.DirectoryNotEmptyError));
+          }
+        } else if (!resp.error || /not_folder/.test(resp.error.summary)) {
+          removePath();
         } else {
-          console.error("File " + filePath + " not found");
+          handleResp(resp);
         }
       });
-
     };
 
     /**
-     * Share a file in current users's GDrive with the specified permissions.
+     * Move a file within the Dropbox cloud. The destination's parent folders are created
+     * if they don't exist.
      *
-     * @param {String} file's id.
-     * @param {Object} object with properties: value, type, role as indicated at:
-     * https://developers.google.com/drive/v2/reference/permissions/insert
-     * @param {Function} optional callback whose argument is the shared file
-     * response object or null otherwise.
+     * @param {String} source file's path.
+     * @param {String} destination file's path.
+     * @param {Object} optional object with property overwrite: whether to replace an existing
+     * file at the destination instead of failing with fmjs.AlreadyExistsError (default false).
+     * @param {Function} optional callback whose argument is the moved file's metadata
+     * object or null otherwise.
      */
-    fmjs.GDriveFileManager.prototype.shareFileById = function(fileId, permissions, callback) {
-
-      if (this.driveAPILoaded) {
-        var request = gapi.client.drive.permissions.insert({
-          'fileId': fileId,
-          'resource': {'value': permissions.value, 'type': permissions.type, 'role': permissions.role}
-          });
+    fmjs.DropboxFileManager.prototype.moveFile = function(srcPath, dstPath, options, callback) {
+      this.copyOrMoveFile(srcPath, dstPath, true, options, callback);
+    };
 
-        this.execGDriveRequest(request, function(resp) {
-          if (!resp.error) {
-            if (callback) {callback(resp);}
-          } else {
-            console.error('Could not share file with id ' + fileId);
-            if (callback) {callback(null);}
-          }
-        });
-      } else {
-        console.error("GDrive Api not loaded");
-      }
+    /**
+     * Copy a file within the Dropbox cloud. The copy is made on the server so the file
+     * data is not downloaded. The destination's parent folders are created if they don't
+     * exist.
+     *
+     * @param {String} source file's path.
+     * @param {String} destination file's path.
+     * @param {Object} optional object with property overwrite: whether to replace an existing
+     * file at the destination instead of failing with fmjs.AlreadyExistsError (default false).
+     * @param {Function} optional callback whose argument is the new file's metadata
+     * object or null otherwise.
+     */
+    fmjs.DropboxFileManager.prototype.copyFile = function(srcPath, dstPath, options, callback) {
+      this.copyOrMoveFile(srcPath, dstPath, false, options, callback);
     };
 
     /**
-     * Get information about current GDrive user.
+     * Copy or move a file within the Dropbox cloud
      *
-     * @param {Function} callback whose argument is an object with the user
-     * info (properties: id, name, mail) or null if there was an error.
+     * @param {String} source file's path.
+     * @param {String} destination file's path.
+     * @param {Boolean} whether to move the file instead of copying it.
+     * @param {Object} optional options object (see moveFile).
+     * @param {Function} optional callback whose argument is the destination file's
+     * metadata object or null otherwise.
      */
-    fmjs.GDriveFileManager.prototype.getUserInfo = function(callback) {
+    fmjs.DropboxFileManager.prototype.copyOrMoveFile = function(srcPath, dstPath, move, options, callback) {
       var self = this;
 
-      if (this.userInfo) {
-        callback(this.userInfo);
-      } else {
-        // retrieve the user info from GDrive
-        if (this.driveAPILoaded) {
-          var request = gapi.client.drive.about.get();
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
 
-          this.execGDriveRequest(request, function(resp) {
-            if (!resp.error) {
-              var userDataObj = {id: resp.permissionId, name: resp.name, mail: resp.user.emailAddress};
-              self.userInfo = userDataObj;
-              callback(userDataObj);
-            } else {
-              console.error('Could not retrieve current user info');
-              callback(null);
-            }
+      function handleResp(resp) {
+        if (resp.error) {
+          if (callback) {
+            callback(null, self.createError('Could not ' + (move ? 'move' : 'copy') + ' file ' + srcPath + ' to ' +
+              dstPath, srcPath, resp.error));
+          }
+        } else if (move) {
+          self.pathChanged(srcPath, dstPath, function() {
+            if (callback) {callback(resp.result.metadata);}
           });
         } else {
-          console.error("GDrive Api not loaded");
+          self.pathWritten(dstPath);
+          if (callback) {callback(resp.result.metadata);}
         }
       }
-    };
 
+      function copyOrMoveFile(fileMeta, done) {
+        // Dropbox creates the missing parent folders
+        var request = {endpoint: move ? '/files/move_v2' : '/files/copy_v2',
+          arg: {'from_path': fileMeta.path_lower, 'to_path': self.toDropboxPath(dstPath), 'autorename': false}};
 
-    /**
-     * Concrete class implementing a file manager for Dropbox.
-     * Uses Dropbox API
-     *
-     * @constructor
-     * @extends {fmjs.AbstractFileManager}
-     */
-    //fmjs.DropboxFileManager = function() {
+        self.execDropboxRequest(request, done);
+      }
 
+      // Dropbox doesn't copy or move over an existing file so the replaced file is set aside
+      // and it is only deleted once the new file is in place
+      function replaceFile(fileMeta, dstMeta) {
+        var asidePath = dstMeta.path_lower + '.fmjs-replaced-' + Date.now().toString(36);
+        var request = {endpoint: '/files/move_v2',
+          arg: {'from_path': dstMeta.path_lower, 'to_path': asidePath, 'autorename': false}};
 
-    //};
+        self.execDropboxRequest(request, function(resp) {
 
-    /**
-     * fmjs.DropboxFileManager class inherits from fmjs.AbstractFileManager class
-     */
-    //fmjs.DropboxFileManager.prototype = Object.create(fmjs.AbstractFileManager.prototype);
-    //fmjs.DropboxFileManager.prototype.constructor = fmjs.DropboxFileManager;
+          if (resp.error) {
+            handleResp(resp);
+            return;
+          }
 
-    /**
-     * Load Dropbox API
-     *
-     * @param {Function} callback to be called when the API is ready.
-     */
-    //fmjs.DropboxFileManager.prototype.requestFileSystem = function(callback) {
+          copyOrMoveFile(fileMeta, function(resp) {
+            // otherwise the replaced file is put back
+            var cleanupRequest = resp.error ? {endpoint: '/files/move_v2',
+              arg: {'from_path': asidePath, 'to_path': dstMeta.path_display, 'autorename': false}} :
+              {endpoint: '/files/delete_v2', arg: {'path': asidePath}};
+
+            self.execDropboxRequest(cleanupRequest, function() {
+              handleResp(resp);
+            });
+          });
+        });
+      }
 
-    //};
+      this.isFile(srcPath, function(fileMeta, err) {
 
-    /**
-     * Create a new directory path in the Dropbox cloud
-     *
-     * @param {String} new absolute path to be created.
-     * @param {Function} optional callback whose argument is the folder creation
-     * response object or null otherwise.
-     */
-    //fmjs.DropboxFileManager.prototype.createPath = function(path, callback) {
+        if (!fileMeta) {
+          if (callback) {
+            callback(null, err || self.createError('File ' + srcPath + ' not found', srcPath, null, fmjs.NotFoundError));
+          }
+          return;
+        }
 
-    //};
+        self.isFile(dstPath, function(dstMeta, err) {
+          if (err) {
+            if (callback) {callback(null, err);}
+          } else if (dstMeta && dstMeta.id === fileMeta.id) {
+            // a file can't be moved or copied onto itself
+            if (callback) {callback(fileMeta);}
+          } else if (dstMeta && !options.overwrite) {
+            if (callback) {
+              callback(null, self.createError('Could not ' + (move ? 'move' : 'copy') + ' file ' + srcPath + ' to ' +
+                dstPath + '. A file already exists at the destination path', srcPath, null, fmjs.AlreadyExistsError));
+            }
+          } else if (dstMeta) {
+            replaceFile(fileMeta, dstMeta);
+          } else {
+            copyOrMoveFile(fileMeta, handleResp);
+          }
+        });
+      });
+    };
 
     /**
-     * Determine whether a file exists in the Dropbox cloud
+     * Serialize an object into JSON that can be sent in an HTTP header (non ASCII
+     * characters are escaped as required by the Dropbox-API-Arg header).
      *
-     * @param {String} file's path.
-     * @param {Function} callback whose argument is the file response object if
-     * found or null otherwise.
+     * @param {Object} object to be serialized.
+     * @return {String} JSON string.
      */
-    //fmjs.DropboxFileManager.prototype.isFile = function(filePath, callback) {
-
-    //};
+    fmjs.DropboxFileManager.toHeaderSafeJson = function(obj) {
+      return JSON.stringify(obj).replace(/[\u007f-\uffff]/g, function(c) {
+        return '\\u' + ('000' + c.charCodeAt(0).toString(16)).slice(-4);
+      });
+    };
 
     /**
-     * Read a file from the Dropbox cloud
+     * Encode bytes in the base64url format without padding.
      *
-     * @param {String} file's path.
-     * @param {Function} callback whose argument is the file data if the file is
-     * successfuly read or null otherwise.
+     * @param {Array} Uint8Array object.
+     * @return {String} base64url string.
      */
-    //fmjs.DropboxFileManager.prototype.readFile = function(filePath, callback) {
+    fmjs.DropboxFileManager.base64UrlEncode = function(bytes) {
+      var str = '';
+
+      for (var i = 0; i < bytes.length; i++) {
+        str += String.fromCharCode(bytes[i]);
+      }
+
+      return btoa(str).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    };
+
+    fmjs.promisifyMethods(fmjs.DropboxFileManager,
+      ['requestFileSystem', 'authorize', 'createPath', 'isFile', 'readFile', 'readRange', 'getFileBlob',
+      'writeFile', 'stat', 'getDirectoryEntries', 'removeFile', 'removePath', 'moveFile', 'copyFile']);
 
-    //};
 
     /**
-     * Write a file to Dropbox
+     * Copy a file or a whole directory tree from a file manager to another (or the same)
+     * one. Files that can not be copied don't stop the transfer, they are listed in the
+     * summary report instead.
      *
-     * @param {String} file's path.
-     * @param {Array} ArrayBuffer object containing the file data.
-     * @param {Function} optional callback whose argument is the response object.
+     * @function
+     * @param {Object} source fmjs.AbstractFileManager object.
+     * @param {String} source file's or directory's path.
+     * @param {Object} destination fmjs.AbstractFileManager object.
+     * @param {String} destination file's or directory's path.
+     * @param {Object} optional object with properties:
+     *  -concurrency: maximum number of files copied at the same time (default 4)
+     *  -skipUnchanged: skip the files that already exist at the destination and are unchanged.
+     *   They are compared by 'metadata' (same size and not modified after the source file) or
+     *   by 'checksum' (same data, both files are streamed and compared chunk by chunk)
+     *   (default false)
+     *  -onProgress: function called with the number of bytes processed so far and the total
+     *   number of bytes
+     *  -onFileProgress: function called with a source file's path, its number of bytes
+     *   written so far and its size
+     *  -signal: AbortSignal object to cancel the transfer, the copies in progress are
+     *   cancelled and no more files are copied
+     * @param {Function} callback whose argument is a summary report object with properties
+     * copied (array of source paths), skipped (array of source paths), failed (array of objects
+     * with properties path and error) and bytesCopied, or null if the source could not be read
+     * or the transfer was cancelled (fmjs.AbortError).
      */
-    //fmjs.DropboxFileManager.prototype.writeFile = function(filePath, fileData, callback) {
+    fmjs.transfer = fmjs.promisify(function(srcManager, srcPath, dstManager, dstPath, options, callback) {
+      var report = {copied: [], skipped: [], failed: [], bytesCopied: 0};
+      var totalBytes = 0;
+      var loadedBytes = 0;
+      // whether the source is a single file rather than a directory
+      var singleFile = false;
+
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      options = options || {};
+
+      // get the directory listing entry of a file
+      function getFileEntry(manager, filePath, cb) {
+        var basedir = filePath.substring(0, filePath.lastIndexOf('/'));
+
+        manager.getDirectoryEntries(basedir, {}, function(entries, err) {
+          var path = manager.normalizePath(filePath);
+
+          cb((entries || []).filter(function(entry) { return entry.path === path; })[0] || null, err);
+        });
+      }
+
+      // get the source entries along with their destination paths
+      function getSourceEntries(cb) {
+
+        srcManager.isFile(srcPath, function(fileObj, err) {
+          if (err) {
+            cb(null, err);
+          } else if (fileObj) {
+            singleFile = true;
+            getFileEntry(srcManager, srcPath, function(entry, err) {
+              cb(entry && [{entry: entry, dstPath: dstManager.normalizePath(dstPath)}], err);
+            });
+          } else {
+            srcManager.listDirectory(srcPath, {recursive: true}, function(entries, err) {
+              var root = srcManager.normalizePath(srcPath).replace(/\/$/, '');
+
+              cb(entries && entries.map(function(entry) {
+                return {entry: entry, dstPath: dstManager.normalizePath(dstPath + entry.path.substring(root.length))};
+              }), err);
+            });
+          }
+        });
+      }
+
+      // get the destination entries indexed by path if they are needed to compare metadata
+      function getDestinationEntries(cb) {
+        var dstEntries = {};
+
+        function indexEntries(entries) {
+          (entries || []).forEach(function(entry) {
+            if (entry) {
+              dstEntries[entry.path] = entry;
+            }
+          });
+          cb(dstEntries);
+        }
+
+        if (options.skipUnchanged !== 'metadata') {
+          cb(dstEntries);
+        } else if (singleFile) {
+          getFileEntry(dstManager, dstPath, function(entry) {
+            indexEntries([entry]);
+          });
+        } else {
+          // a missing destination directory means that every file has to be copied
+          dstManager.listDirectory(dstPath, {recursive: true}, indexEntries);
+        }
+      }
+
+      // compare the data of a file and of its destination without holding them in memory,
+      // the callback receives an error object if the source file can't be read
+      function isSameData(task, cb) {
+        var srcReader = srcManager.createReadStream(task.entry.path, {signal: options.signal}).getReader();
+        var dstReader = dstManager.createReadStream(task.dstPath, {signal: options.signal}).getReader();
+        // bytes of the last chunks read that haven't been compared yet
+        var srcBytes = new Uint8Array(0);
+        var dstBytes = new Uint8Array(0);
+        var srcError = null;
+        var dstFailed = false;
+
+        // resolve with the next bytes to compare or null at the end of the stream
+        function fill(reader, bytes) {
+          if (bytes.length) {
+            return Promise.resolve(bytes);
+          }
+          return reader.read().then(function(result) {
+            return result.done ? null : fill(reader, result.value);
+          });
+        }
+
+        function finish(same) {
+          srcReader.cancel().catch(function() {});
+          dstReader.cancel().catch(function() {});
+          cb(same, srcError);
+        }
+
+        function compareNext() {
+          Promise.all([
+            fill(srcReader, srcBytes).catch(function(err) {
+              srcError = err;
+              return null;
+            }),
+            fill(dstReader, dstBytes).catch(function() {
+              dstFailed = true;
+              return null;
+            })
+          ]).then(function(chunks) {
+            var length;
+
+            if (srcError || dstFailed || !chunks[0] || !chunks[1]) {
+              finish(!srcError && !dstFailed && !chunks[0] && !chunks[1]);
+              return;
+            }
+
+            length = Math.min(chunks[0].length, chunks[1].length);
+            for (var i = 0; i < length; i++) {
+              if (chunks[0][i] !== chunks[1][i]) {
+                finish(false);
+                return;
+              }
+            }
+
+            srcBytes = chunks[0].subarray(length);
+            dstBytes = chunks[1].subarray(length);
+            compareNext();
+          });
+        }
+
+        compareNext();
+      }
 
-    //};
+      // determine whether a file is unchanged at the destination
+      function isUnchanged(task, dstEntries, cb) {
+        var srcEntry = task.entry;
+        var dstEntry = dstEntries[task.dstPath];
+
+        if (options.skipUnchanged === 'metadata') {
+          // the size is the only criterion when a modification time is unknown
+          cb(!!dstEntry && dstEntry.kind === 'file' && dstEntry.size === srcEntry.size &&
+            (!srcEntry.modifiedTime || !dstEntry.modifiedTime || dstEntry.modifiedTime >= srcEntry.modifiedTime));
+
+        } else if (options.skipUnchanged === 'checksum') {
+          isSameData(task, cb);
+
+        } else {
+          cb(false);
+        }
+      }
+
+      function copyFile(task, dstEntries, cb) {
+        var srcEntry = task.entry;
+        // number of bytes of the file written so far
+        var written = 0;
+
+        function reportProgress(loaded) {
+          loadedBytes += loaded - written;
+          written = loaded;
+          if (options.onFileProgress) {
+            options.onFileProgress(srcEntry.path, loaded, srcEntry.size);
+          }
+          if (options.onProgress) {
+            options.onProgress(loadedBytes, totalBytes);
+          }
+        }
+
+        function onDone(copied, err) {
+          if (err) {
+            report.failed.push({path: srcEntry.path, error: err});
+          } else if (copied) {
+            report.copied.push(srcEntry.path);
+            report.bytesCopied += srcEntry.size;
+          } else {
+            report.skipped.push(srcEntry.path);
+          }
+
+          if (err) {
+            // the failed file counts as processed
+            loadedBytes += srcEntry.size - written;
+            if (options.onProgress) {
+              options.onProgress(loadedBytes, totalBytes);
+            }
+          } else {
+            reportProgress(srcEntry.size);
+          }
+          cb();
+        }
+
+        function writeFile(data) {
+          var writeOptions = {signal: options.signal, onProgress: function(loaded) {
+            // the file's last bytes are reported when the file has been written
+            if (loaded < srcEntry.size) {
+              reportProgress(loaded);
+            }
+          }};
+
+          dstManager.writeFile(task.dstPath, data, writeOptions, function(fileObj, err) {
+            onDone(!!fileObj, err || (!fileObj && dstManager.createError('Could not write file ' + task.dstPath,
+              task.dstPath)));
+          });
+        }
+
+        if (options.onFileProgress) {
+          options.onFileProgress(srcEntry.path, 0, srcEntry.size);
+        }
+
+        isUnchanged(task, dstEntries, function(unchanged, err) {
+          if (err) {
+            onDone(false, err);
+          } else if (unchanged) {
+            onDone(false);
+          } else {
+            srcManager.readFile(srcEntry.path, {signal: options.signal}, function(data, err) {
+              if (data) {
+                writeFile(data);
+              } else {
+                onDone(false, err);
+              }
+            });
+          }
+        });
+      }
+
+      getSourceEntries(function(sources, err) {
+
+        if (!sources) {
+          callback(null, err || srcManager.createError('Path ' + srcPath + ' not found', srcPath, null,
+            fmjs.NotFoundError));
+          return;
+        }
+
+        // the destination's own files (see fmjs.AbstractFileManager.prototype.isReservedPath) are not overwritten
+        sources = sources.filter(function(task) {
+          if (dstManager.isReservedPath(task.dstPath)) {
+            report.failed.push({path: task.entry.path, error: dstManager.createError('Can not write the reserved path ' +
+              task.dstPath, task.dstPath, null, fmjs.PermissionDeniedError)});
+            return false;
+          }
+          return true;
+        });
+
+        var folders = sources.filter(function(task) { return task.entry.kind === 'folder'; });
+        var files = sources.filter(function(task) { return task.entry.kind === 'file'; });
+
+        totalBytes = files.reduce(function(total, task) { return total + task.entry.size; }, 0);
+
+        // create the folders first (so that empty ones are copied too) one at a time
+        function createNextFolder(dstEntries) {
+          var task = folders.shift();
+
+          if (!task) {
+            copyFiles(dstEntries);
+            return;
+          }
+
+          dstManager.createPath(task.dstPath, function(dirObj, err) {
+            if (!dirObj) {
+              report.failed.push({path: task.entry.path, error: err});
+            }
+            createNextFolder(dstEntries);
+          });
+        }
+
+        // copy the files keeping at most options.concurrency copies running
+        function copyFiles(dstEntries) {
+          var running = 0;
+
+          function copyNextFiles() {
+            var err = srcManager.checkAborted(options, srcPath);
+
+            if (err) {
+              // wait for the cancelled copies to finish
+              if (!running) {
+                callback(null, err);
+              }
+              return;
+            }
+
+            if (!files.length && !running) {
+              callback(report);
+              return;
+            }
+
+            while (files.length && running < (options.concurrency || 4)) {
+              ++running;
+              copyFile(files.shift(), dstEntries, onCopied);
+            }
+          }
+
+          function onCopied() {
+            --running;
+            copyNextFiles();
+          }
+
+          copyNextFiles();
+        }
+
+        getDestinationEntries(createNextFolder);
+      });
+    });
 
 
   return fmjs;